@@ -0,0 +1,258 @@
+/**
+ * Token Budget Analyzer
+ *
+ * Skills load in three tiers: the frontmatter metadata (name and
+ * description) is always in context, the SKILL.md body is loaded when the
+ * skill triggers, and `references/` files are read on demand. This module
+ * estimates the tokens of each tier, finds the largest body sections and
+ * flags the ones that belong in `references/`, and checks that every
+ * reference the body mentions says when to read it.
+ */
+
+import path from 'path';
+
+// Token limits per tier; configurable with "budget" in the config file
+const BUDGET_DEFAULTS = {
+  frontmatter: 200,     // name + description, loaded for every installed skill
+  body: 5000,           // SKILL.md body, loaded on trigger
+  section: 1500,        // one body section; larger ones belong in references/
+  reference: 10000      // one references/ file; larger ones need a table of contents
+};
+
+// How many of the largest body sections to report
+const LARGEST_SECTIONS = 5;
+
+// A condition saying when to open a reference ("when ...", "if you need
+// ...", "before ..."); "for details" or "if needed" says nothing about when
+const WHEN_TO_READ = /\b(?:when(?:ever)?|before|after|while|during|once)\s+\w|\b(?:if|unless)\s+(?!(?:needed|necessary|required|applicable)\b)\w/i;
+
+// A file path under references/, in prose, a link or inline code
+const REFERENCE_PATH = /(?:\.\/)?references\/[\w./-]*\w\.\w+/g;
+
+/**
+ * Estimate the tokens of a text (about four characters per token)
+ */
+export function estimateTokens(text) {
+  return Math.ceil(String(text || '').length / 4);
+}
+
+/**
+ * Split a markdown body into sections at level 1 and 2 headings
+ *
+ * Returns [{ heading, line, lines, tokens }]; text before the first heading
+ * is a section with a null heading. Headings inside code fences are ignored.
+ */
+export function getSections(body, firstLine = 1) {
+  const sections = [];
+  let current = { heading: null, line: firstLine, text: [] };
+  let inFence = false;
+
+  body.split('\n').forEach((line, i) => {
+    if (/^\s*(```|~~~)/.test(line)) {
+      inFence = !inFence;
+    }
+    const match = !inFence && line.match(/^#{1,2}\s+(.+?)\s*#*\s*$/);
+    if (match) {
+      sections.push(current);
+      current = { heading: match[1], line: firstLine + i, text: [] };
+    }
+    current.text.push(line);
+  });
+  sections.push(current);
+
+  return sections
+    .map(({ heading, line, text }) => ({ heading, line, lines: text.length, tokens: estimateTokens(text.join('\n').trim()) }))
+    .filter(section => section.heading !== null || section.tokens > 0);
+}
+
+/**
+ * The sentence of `text` around the match at `index`
+ */
+function sentenceAt(text, index, length) {
+  const before = text.slice(0, index).search(/[.!?]\s+(?:(?![.!?]\s).)*$/);
+  const after = text.slice(index + length).search(/[.!?](?:\s|$)/);
+  return text.slice(before === -1 ? 0 : before + 1, after === -1 ? text.length : index + length + after);
+}
+
+/**
+ * Paragraphs of a markdown body outside code fences, each with its lines
+ * joined by spaces so sentences wrapped across lines read as one
+ *
+ * A paragraph ends at a blank line or fence and before every list item;
+ * headings and table rows stand alone. Returns [{ text, lines }] where
+ * `lines` maps offsets in `text` to body line numbers ([{ offset, line }]).
+ */
+function getParagraphs(body, firstLine) {
+  const paragraphs = [];
+  let current = null;
+  let inFence = false;
+  const close = () => {
+    if (current) {
+      paragraphs.push(current);
+    }
+    current = null;
+  };
+
+  body.split('\n').forEach((line, i) => {
+    if (/^\s*(```|~~~)/.test(line)) {
+      close();
+      inFence = !inFence;
+      return;
+    }
+    if (inFence || line.trim() === '') {
+      close();
+      return;
+    }
+    const standalone = /^\s{0,3}(?:#{1,6}\s|\|)/.test(line);
+    if (standalone || /^\s*(?:[-*+]|\d+[.)])\s/.test(line)) {
+      close();
+    }
+    current ??= { text: '', lines: [] };
+    const text = line.trim();
+    const offset = current.text === '' ? 0 : current.text.length + 1;
+    current.text = current.text === '' ? text : `${current.text} ${text}`;
+    current.lines.push({ offset, line: firstLine + i });
+    if (standalone) {
+      close();
+    }
+  });
+  close();
+  return paragraphs;
+}
+
+/**
+ * Mentions of references/ files in a markdown body, outside code fences
+ *
+ * Returns [{ file, line, explained }] where `explained` is true when the
+ * sentence naming the file says when to read it. Sentences may wrap across
+ * the lines of a paragraph.
+ */
+export function findReferenceMentions(body, firstLine = 1) {
+  const mentions = [];
+  for (const paragraph of getParagraphs(body, firstLine)) {
+    // Judge the wording around the path, not the path itself
+    for (const match of paragraph.text.matchAll(REFERENCE_PATH)) {
+      const prose = sentenceAt(paragraph.text, match.index, match[0].length)
+        .replace(REFERENCE_PATH, ' ')
+        .replace(/\[[^\]]*\]\([^)]*\)/g, ' ');
+      mentions.push({
+        file: match[0].replace(/^\.\//, ''),
+        line: paragraph.lines.findLast(({ offset }) => offset <= match.index).line,
+        explained: WHEN_TO_READ.test(prose)
+      });
+    }
+  }
+  return mentions;
+}
+
+/**
+ * Text files under references/, read through a rule context
+ *
+ * Returns [{ file, content }] with skill-relative paths; binary files are
+ * skipped.
+ */
+export function collectReferences(context, dir = 'references') {
+  if (!context.isDirectory(dir)) {
+    return [];
+  }
+  const files = [];
+  for (const entry of [...context.list(dir)].sort()) {
+    const file = path.posix.join(dir, entry);
+    if (entry.startsWith('.') || context.isIgnored(file)) {
+      continue;
+    }
+    if (context.isDirectory(file)) {
+      files.push(...collectReferences(context, file));
+      continue;
+    }
+    const content = context.read(file);
+    if (!content.includes('\0')) {
+      files.push({ file, content });
+    }
+  }
+  return files;
+}
+
+/**
+ * Merge configured limits over the defaults, ignoring unknown keys
+ */
+export function resolveBudget(budget = {}) {
+  const resolved = { ...BUDGET_DEFAULTS };
+  for (const key of Object.keys(BUDGET_DEFAULTS)) {
+    if (typeof budget[key] === 'number') {
+      resolved[key] = budget[key];
+    }
+  }
+  return resolved;
+}
+
+/**
+ * Analyze the token budget of a skill
+ *
+ * `frontmatter` is a parseFrontmatter() result and `references` the
+ * collectReferences() files. Returns { budget, tiers: { frontmatter, body,
+ * references }, sections, largest, oversized, mentions, unexplained,
+ * largeReferences }.
+ */
+export function analyzeBudget({ frontmatter, references = [] }, limits = {}) {
+  const budget = resolveBudget(limits);
+  const data = frontmatter.data || {};
+  const metadata = [data.name, data.description].filter(value => typeof value === 'string').join('\n');
+  const body = frontmatter.closed ? frontmatter.body : '';
+
+  const sections = getSections(body, frontmatter.bodyLine);
+  const referenceTiers = references.map(({ file, content }) => ({ file, tokens: estimateTokens(content) }));
+  const mentions = findReferenceMentions(body, frontmatter.bodyLine);
+
+  return {
+    budget,
+    tiers: {
+      frontmatter: { tokens: estimateTokens(metadata), limit: budget.frontmatter },
+      body: { tokens: estimateTokens(body.trim()), lines: body.trim() ? body.trim().split('\n').length : 0, limit: budget.body },
+      references: { tokens: referenceTiers.reduce((sum, r) => sum + r.tokens, 0), files: referenceTiers }
+    },
+    sections,
+    largest: [...sections].sort((a, b) => b.tokens - a.tokens).slice(0, LARGEST_SECTIONS),
+    oversized: sections.filter(section => section.tokens > budget.section),
+    mentions,
+    unexplained: mentions.filter(mention => !mention.explained),
+    largeReferences: referenceTiers.filter(reference => reference.tokens > budget.reference)
+  };
+}
+
+/**
+ * Format a budget analysis as a text report
+ */
+export function formatBudgetReport(report) {
+  const { tiers, budget } = report;
+  const mark = (ok) => (ok ? '✅' : '⚠️ ');
+  const lines = ['📏 Token Budget (estimated, ~4 characters per token)', ''];
+
+  lines.push(`${mark(tiers.frontmatter.tokens <= budget.frontmatter)} Metadata (always loaded):   ${tiers.frontmatter.tokens} / ${budget.frontmatter}`);
+  lines.push(`${mark(tiers.body.tokens <= budget.body)} Body (loaded on trigger):   ${tiers.body.tokens} / ${budget.body} (${tiers.body.lines} lines)`);
+  lines.push(`📚 References (on demand):   ${tiers.references.tokens} in ${tiers.references.files.length} file(s)`);
+  for (const reference of tiers.references.files) {
+    lines.push(`  ${mark(reference.tokens <= budget.reference)} ${reference.file}: ${reference.tokens}`);
+  }
+  lines.push('');
+
+  if (report.largest.length > 0) {
+    lines.push('Largest body sections:');
+    for (const section of report.largest) {
+      const flag = section.tokens > budget.section ? `  ⚠️  over ${budget.section}, move to references/` : '';
+      lines.push(`  ${String(section.tokens).padStart(6)}  SKILL.md:${section.line} ${section.heading ?? '(before the first heading)'}${flag}`);
+    }
+    lines.push('');
+  }
+
+  if (report.unexplained.length > 0) {
+    lines.push('❌ References without "when to read":');
+    for (const mention of report.unexplained) {
+      lines.push(`  SKILL.md:${mention.line} ${mention.file}`);
+    }
+    lines.push('');
+  }
+  return lines.join('\n').trimEnd();
+}
+
+export { BUDGET_DEFAULTS };
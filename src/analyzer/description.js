@@ -0,0 +1,355 @@
+/**
+ * Description Analyzer
+ *
+ * The SKILL.md `description` is all Claude sees before deciding to load a
+ * skill, so it has to name the requests that should trigger it. This module
+ * extracts the description's trigger phrases, flags vague wording and
+ * first- or second-person voice, measures its length, checks that the
+ * SKILL.md headings and `.skill.yml` trigger patterns are reflected in it,
+ * and proposes a rewrite.
+ */
+
+import { FRONTMATTER_SCHEMA } from '../validator/frontmatter.js';
+import { tokenize, tokenOverlap } from './text.js';
+
+// Hard limits come from the frontmatter schema; the recommended range
+// leaves room for a capability sentence plus a "Use when" list
+const LENGTH_LIMITS = {
+  min: FRONTMATTER_SCHEMA.description.minLength,
+  max: FRONTMATTER_SCHEMA.description.maxLength,
+  recommendedMin: 80,
+  recommendedMax: 600
+};
+
+// Phrases that introduce when the skill applies
+const WHEN_CUES = /\b(?:use (?:this skill |it )?(?:when|for|whenever|if)|should be used (?:when|for)|when to use|invoke (?:when|for)|triggers? (?:on|when)|when (?:the user|a user|users|asked|working|you)|for requests (?:like|such as|to|about))\b/i;
+
+// Words that end a trigger list
+const TRIGGER_STOP = /[.;:!?]|\b(?:but|because|so that)\b/i;
+
+// Vague wording and what to say instead; `topic` phrases can be replaced
+// with the skill's own topics in the suggested rewrite
+const VAGUE_PATTERNS = [
+  { pattern: /\bhelps? (?:you )?with (?:things|stuff|tasks|anything|everything|various \w+)\b/i, suggestion: 'name the concrete tasks instead', topic: true },
+  { pattern: /\b(?:things|stuff)\b/i, suggestion: 'name the files, formats or tasks involved', topic: true },
+  { pattern: /\bvarious (?:tasks|things|operations|use cases|purposes)\b/i, suggestion: 'list the tasks', topic: true },
+  { pattern: /\b(?:anything|everything) (?:related to|about|with)\b/i, suggestion: 'say which requests it covers', topic: false },
+  { pattern: /\b(?:and|or) (?:more|much more|so on)\b|\betc\.?(?=\W|$)/i, suggestion: 'list the remaining cases or drop the open end', topic: false },
+  { pattern: /\b(?:general[- ]purpose|all-in-one|miscellaneous|misc)\b/i, suggestion: 'say what it is specifically for', topic: false },
+  { pattern: /\b(?:a|an) (?:useful|handy|helpful|powerful|simple) (?:tool|skill|utility|helper)\b/i, suggestion: 'start with what it does ("Converts...", "Audits...")', topic: false },
+  { pattern: /\b(?:deals|works) with\b/i, suggestion: 'use a specific verb ("extracts", "validates", "generates")', topic: false }
+];
+
+// First- and second-person words; the description should read in the third
+// person ("Extracts tables from PDFs"), as it is injected into the system
+// prompt. First person is case-sensitive so "I/O" and "US" don't count.
+const FIRST_PERSON = /\b(?:I'm|I'll|I(?!\/)|[Mm]e|[Mm]y|[Ww]e're|[Ww]e|[Oo]ur|[Uu]s)\b/g;
+const SECOND_PERSON = /\b(?:you|you're|your|yours)\b/gi;
+
+// Rewrites to the third person, applied in order
+const VOICE_REWRITES = [
+  [/\b(?:I|we) (?:can|will|'ll) help (?:you )?with /gi, 'handle '],
+  [/\b(?:I|we) (?:can|will|'ll) help (?:you )?(?:to )?/gi, ''],
+  [/\b(?:I|we) (?:can|will) /gi, ''],
+  [/\b(?:this skill |it )?helps you (?:to )?/gi, ''],
+  [/\byou can use (?:this|it)(?: skill)? to /gi, ''],
+  [/\byou're\b/gi, 'the user is'],
+  [/\byou've\b/gi, 'the user has'],
+  [/\byours?\b/gi, "the user's"],
+  [/\byou\b/gi, 'the user']
+];
+
+// Words that may follow "the user" unchanged: modals and past tense
+const USER_VERB_OK = /^(?:is|has|can|could|will|would|should|may|might|must|was|\w+ed|\w+'s)$/i;
+
+// Base verbs that commonly follow "you", conjugated after "the user"
+const USER_VERBS = new Set([
+  'want', 'need', 'ask', 'mention', 'request', 'say', 'type', 'upload', 'share', 'provide', 'give',
+  'run', 'use', 'work', 'try', 'wish', 'prefer', 'like', 'get', 'see', 'open', 'paste', 'describe',
+  'have', 'are', 'do'
+]);
+
+// Trigger patterns that already read as a clause ("the user wants to ...")
+const CLAUSE_START = /^(?:when\s+)?(?:the user|a user|users|someone|you)\s+\w/i;
+const USER_CLAUSE = /^the user\s+/i;
+
+// Vague topic words trailing a list ("and stuff", "or other things")
+const VAGUE_TAIL = /,?\s*\b(?:and|or) (?:other )?(?:things|stuff|tasks)\b/gi;
+
+// Headings every skill has, which say nothing about when to use it
+const GENERIC_HEADINGS = new Set([
+  'overview', 'introduction', 'quick start', 'getting started', 'usage', 'commands', 'options',
+  'examples', 'example', 'installation', 'install', 'setup', 'requirements', 'notes', 'license',
+  'configuration', 'reference', 'references', 'resources', 'scripts', 'assets', 'troubleshooting',
+  'faq', 'changelog', 'contributing', 'see also', 'output', 'instructions', 'workflow', 'when to use'
+]);
+
+/**
+ * Extract trigger phrases from a description
+ *
+ * Quoted phrases count as triggers, as do the items listed after a "use
+ * when" cue (split on commas and "or").
+ */
+export function extractTriggers(description) {
+  const triggers = [];
+  const add = (phrase) => {
+    const cleaned = phrase.trim()
+      .replace(/^(?:when|if|for|to|whenever)\s+/i, '')
+      .replace(/^(?:the user|a user|users|you)\s+(?:asks? (?:to|for|about)|wants? to|needs? to|mentions?|is|are)\s+/i, '')
+      .replace(/[\s,]+$/, '');
+    if (cleaned.length > 2 && !triggers.includes(cleaned)) {
+      triggers.push(cleaned);
+    }
+  };
+
+  for (const match of description.matchAll(/["“]([^"”]{3,80})["”]/g)) {
+    add(match[1]);
+  }
+
+  let rest = description;
+  let cue;
+  while ((cue = rest.match(WHEN_CUES))) {
+    rest = rest.slice(cue.index + cue[0].length);
+    const stop = rest.search(TRIGGER_STOP);
+    const list = stop === -1 ? rest : rest.slice(0, stop);
+    for (const item of list.split(/,\s*(?:or\s+|and\s+)?(?:when\s+)?|\s+or\s+(?:when\s+)?/i)) {
+      add(item.replace(/["“”]/g, ''));
+    }
+    rest = stop === -1 ? '' : rest.slice(stop);
+  }
+  return triggers;
+}
+
+/**
+ * Vague phrases in a description: [{ phrase, index, suggestion, topic }]
+ */
+export function findVagueWording(description) {
+  const found = [];
+  for (const { pattern, suggestion, topic } of VAGUE_PATTERNS) {
+    const match = description.match(pattern);
+    // Skip phrases inside a wider match ("helps with things" covers "things")
+    if (match && !found.some(f => match.index >= f.index && match.index < f.index + f.phrase.length)) {
+      found.push({ phrase: match[0], index: match.index, suggestion, topic });
+    }
+  }
+  return found.sort((a, b) => a.index - b.index);
+}
+
+/**
+ * Grammatical person of a description
+ *
+ * Returns { person: "first" | "second" | "third", words } where words are
+ * the first- and second-person words found.
+ */
+export function detectVoice(description) {
+  const first = description.match(FIRST_PERSON) || [];
+  const second = description.match(SECOND_PERSON) || [];
+  const person = first.length > 0 ? 'first' : second.length > 0 ? 'second' : 'third';
+  return { person, words: [...new Set([...first, ...second])] };
+}
+
+/**
+ * Length of a description against the limits
+ *
+ * Returns { characters, words, status } where status is "too short" or
+ * "too long" (outside the schema's limits), "short" or "long" (outside the
+ * recommended range) or "ok".
+ */
+export function measureLength(description, limits = LENGTH_LIMITS) {
+  const characters = description.trim().length;
+  const words = description.trim().split(/\s+/).filter(Boolean).length;
+  const status = characters < limits.min ? 'too short'
+    : characters > limits.max ? 'too long'
+      : characters < limits.recommendedMin ? 'short'
+        : characters > limits.recommendedMax ? 'long'
+          : 'ok';
+  return { characters, words, status, limits };
+}
+
+/**
+ * Compare the description with the skill's headings and trigger patterns
+ *
+ * A heading or pattern is covered when at least half of its words appear in
+ * the description. Generic headings ("Usage", "Examples") are skipped.
+ * Returns { headings, patterns } as [{ text, covered, line? }].
+ */
+export function compareCoverage(description, { headings = [], patterns = [] } = {}) {
+  const words = new Set(tokenize(description));
+  const isCovered = (text) => tokenOverlap(text, words) >= 0.5;
+  return {
+    headings: headings
+      .filter(heading => !GENERIC_HEADINGS.has(heading.text.toLowerCase().replace(/[^a-z ]/g, '').trim()))
+      .filter(heading => tokenize(heading.text).length > 0)
+      .map(heading => ({ text: heading.text, line: heading.line, covered: isCovered(heading.text) })),
+    patterns: patterns
+      .filter(pattern => tokenize(pattern).length > 0)
+      .map(pattern => ({ text: pattern, covered: isCovered(pattern) }))
+  };
+}
+
+/**
+ * Third-person form of a verb: "convert" → "converts"
+ */
+function thirdPerson(verb) {
+  const irregular = { have: 'has', are: 'is', do: 'does' };
+  return irregular[verb.toLowerCase()]
+    ?? (/(s|sh|ch|x|z|o)$/.test(verb) ? `${verb}es`
+      : /[^aeiou]y$/.test(verb) ? `${verb.slice(0, -1)}ies`
+        : `${verb}s`);
+}
+
+/**
+ * "a, b or c"
+ */
+function joinList(items) {
+  return items.length > 1 ? `${items.slice(0, -1).join(', ')} or ${items[items.length - 1]}` : items[0];
+}
+
+/**
+ * Word topics as one "when" clause: "the user mentions a or b, asks about c
+ * or wants to d"
+ *
+ * `mentions` are names and phrases, `questions` are subjects (headings) and
+ * `clauses` are trigger patterns that already read as a clause.
+ */
+function describeTopics({ mentions = [], questions = [], clauses = [] }) {
+  const predicates = [
+    ...(mentions.length > 0 ? [`mentions ${joinList(mentions)}`] : []),
+    ...(questions.length > 0 ? [`asks about ${joinList(questions)}`] : []),
+    ...clauses.filter(clause => USER_CLAUSE.test(clause)).map(clause => clause.replace(USER_CLAUSE, ''))
+  ];
+  const others = clauses.filter(clause => !USER_CLAUSE.test(clause));
+  return joinList([...(predicates.length > 0 ? [`the user ${joinList(predicates)}`] : []), ...others]);
+}
+
+/**
+ * Lowercase a heading for use mid-sentence, keeping acronyms ("PDF tools")
+ */
+function lowerFirst(text) {
+  return /^[A-Z][A-Z]/.test(text) ? text : text.charAt(0).toLowerCase() + text.slice(1);
+}
+
+/**
+ * Propose a rewritten description, or null when there is nothing to change
+ *
+ * Rewrites first/second person to the third person, drops vague open ends
+ * and adds (or extends) a "Use when" sentence with the uncovered headings
+ * and trigger patterns. Returns null as well when the description cannot be
+ * rewritten into a grammatical one (a vague phrase mid-sentence, a first
+ * person that has no third-person form); the suggestions still apply.
+ */
+export function suggestRewrite(description, report) {
+  let text = description.trim();
+
+  const clean = (topic) => topic.replace(/[`*_]/g, '').trim();
+  const questions = [...new Set(report.coverage.headings.filter(h => !h.covered).map(h => lowerFirst(clean(h.text))))];
+  const patterns = [...new Set(report.coverage.patterns.filter(p => !p.covered).map(p => clean(p.text)))];
+  const clauses = patterns.filter(pattern => CLAUSE_START.test(pattern))
+    .map(pattern => lowerFirst(pattern.replace(/^when\s+/i, '')));
+  const mentions = patterns.filter(pattern => !CLAUSE_START.test(pattern));
+
+  // Drop open ends ("and stuff", "etc.", "and more") rather than guess the
+  // missing cases, and sentences that say nothing but a vague phrase
+  text = text.replace(VAGUE_TAIL, '');
+  text = text.replace(/,?\s*\b(?:(?:and|or) (?:more|much more|so on)\b|etc\b\.?)/gi, '');
+  const sentences = text.split(/(?<=[.!?])\s+/);
+  const kept = sentences.filter(sentence => !VAGUE_PATTERNS.some(({ pattern, topic }) => topic &&
+    sentence.replace(pattern, '').replace(/\b(?:this skill|it|I|we|can|will)\b/gi, '').replace(/[^\w]/g, '') === ''));
+  // Dropping the only sentence saying what the skill does leaves no rewrite
+  if (kept.length < sentences.length && (kept.length === 0 || kept[0].search(WHEN_CUES) === 0)) {
+    return null;
+  }
+  text = kept.join(' ');
+
+  // Voice last, so the vague phrases above still match the original wording
+  if (report.voice.person !== 'third') {
+    const before = text;
+    for (const [pattern, replacement] of VOICE_REWRITES) {
+      text = text.replace(pattern, replacement);
+    }
+    // "I can convert PDFs" became "convert PDFs": conjugate the leading verb
+    if (text !== before) {
+      text = text.replace(/^\s*([a-z]+)\b/, (_, verb) => thirdPerson(verb));
+    }
+    // "you want" became "the user want"
+    let agrees = true;
+    text = text.replace(/\bthe user ([\w']+)/g, (match, word) => {
+      if (USER_VERBS.has(word.toLowerCase())) {
+        return `the user ${thirdPerson(word)}`;
+      }
+      agrees &&= USER_VERB_OK.test(word) || !/^[a-z]+$/.test(word) || word.endsWith('s');
+      return match;
+    });
+    if (!agrees) {
+      return null;
+    }
+  }
+
+  // What is left vague or in the wrong person cannot be fixed mechanically
+  if (findVagueWording(text).some(vague => vague.topic) || detectVoice(text).person !== 'third') {
+    return null;
+  }
+
+  // Quoted trigger phrases are all a description without "Use when" has
+  if (!report.whenToUse) {
+    mentions.unshift(...report.triggers.map(trigger => `"${trigger}"`));
+  }
+  if (mentions.length + questions.length + clauses.length > 0) {
+    text = `${text.replace(/[.\s]*$/, '.')} ${report.whenToUse ? 'Also use' : 'Use'} when ${describeTopics({ mentions, questions, clauses })}.`;
+  }
+
+  text = text.replace(/\s{2,}/g, ' ').replace(/^./, c => c.toUpperCase());
+  return text === description.trim() ? null : text;
+}
+
+/**
+ * Analyze a description
+ *
+ * `context` holds the SKILL.md `headings` ([{ text, line }]) and the
+ * `.skill.yml` trigger `patterns`. Returns { description, length, triggers,
+ * whenToUse, vague, voice, coverage, suggestions, rewrite }.
+ */
+export function analyzeDescription(description, context = {}) {
+  const text = typeof description === 'string' ? description : '';
+  const report = {
+    description: text,
+    length: measureLength(text),
+    triggers: extractTriggers(text),
+    whenToUse: WHEN_CUES.test(text),
+    vague: findVagueWording(text),
+    voice: detectVoice(text),
+    coverage: compareCoverage(text, context),
+    suggestions: [],
+    rewrite: null
+  };
+
+  const { suggestions } = report;
+  if (!report.whenToUse) {
+    suggestions.push('Add a "Use when ..." sentence listing the requests that should load this skill');
+  } else if (report.triggers.length === 0) {
+    suggestions.push('List concrete trigger phrases after "Use when" (e.g. "Use when the user asks to merge PDFs, split a PDF or extract PDF tables")');
+  }
+  for (const vague of report.vague) {
+    suggestions.push(`Replace "${vague.phrase}": ${vague.suggestion}`);
+  }
+  if (report.voice.person !== 'third') {
+    suggestions.push(`Write in the third person (found ${report.voice.words.map(w => `"${w}"`).join(', ')}): "Extracts tables from PDFs", not "I can extract" or "You can use this to extract"`);
+  }
+  const { status, characters, limits } = report.length;
+  if (status === 'too short' || status === 'short') {
+    suggestions.push(`Expand the description (${characters} characters, aim for ${limits.recommendedMin}-${limits.recommendedMax}): say what the skill does and when to use it`);
+  } else if (status === 'too long' || status === 'long') {
+    suggestions.push(`Shorten the description (${characters} characters, aim for at most ${limits.recommendedMax}): keep the capability and trigger phrases, move details to the SKILL.md body`);
+  }
+  for (const heading of report.coverage.headings.filter(h => !h.covered)) {
+    suggestions.push(`SKILL.md covers "${heading.text}" (line ${heading.line}) but the description never mentions it`);
+  }
+  for (const pattern of report.coverage.patterns.filter(p => !p.covered)) {
+    suggestions.push(`.skill.yml triggers on "${pattern.text}" but the description never mentions it`);
+  }
+
+  report.rewrite = suggestRewrite(text, report);
+  return report;
+}
+
+export { LENGTH_LIMITS, VAGUE_PATTERNS, GENERIC_HEADINGS };
@@ -0,0 +1,154 @@
+/**
+ * Skill Analyzers
+ *
+ * Deeper, report-style analyses of a skill, run by `skills-builder
+ * analyze`. Unlike the validator's pass/fail checks they explain what they
+ * found and suggest concrete changes.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { parse as parseYaml } from 'yaml';
+import { parseFrontmatter } from '../validator/frontmatter.js';
+import { createContext } from '../validator/context.js';
+import { loadConfig } from '../validator/config.js';
+import { analyzeDescription } from './description.js';
+import { analyzeBudget, collectReferences, formatBudgetReport } from './budget.js';
+import { analyzeScript, collectScripts, getModuleType, formatScriptsReport } from './scripts.js';
+import { getHeadings } from './text.js';
+
+/**
+ * Trigger patterns declared in .skill.yml (`triggers: [{ pattern }]`)
+ */
+export function parseTriggerPatterns(content) {
+  let config;
+  try {
+    config = parseYaml(content);
+  } catch (e) {
+    return [];
+  }
+  const triggers = Array.isArray(config?.triggers) ? config.triggers : [];
+  return triggers
+    .map(trigger => (typeof trigger === 'string' ? trigger : trigger?.pattern))
+    .filter(pattern => typeof pattern === 'string' && pattern.trim())
+    .map(pattern => pattern.trim());
+}
+
+/**
+ * Load what the trigger analysis needs from a skill directory
+ *
+ * Returns { description, headings, patterns } or throws when SKILL.md is
+ * missing or has no frontmatter.
+ */
+export function loadTriggerSources(skillPath) {
+  const skillMdPath = path.join(skillPath, 'SKILL.md');
+  if (!fs.existsSync(skillMdPath)) {
+    throw new Error(`SKILL.md not found in ${skillPath}`);
+  }
+  const frontmatter = parseFrontmatter(fs.readFileSync(skillMdPath, 'utf-8'));
+  if (!frontmatter.closed || !frontmatter.data) {
+    throw new Error('SKILL.md has no readable frontmatter');
+  }
+
+  const skillYmlPath = path.join(skillPath, '.skill.yml');
+  return {
+    description: typeof frontmatter.data.description === 'string' ? frontmatter.data.description : '',
+    headings: getHeadings(frontmatter.body, frontmatter.bodyLine),
+    patterns: fs.existsSync(skillYmlPath) ? parseTriggerPatterns(fs.readFileSync(skillYmlPath, 'utf-8')) : []
+  };
+}
+
+/**
+ * Analyze how well a skill's description triggers it
+ *
+ * Returns the analyzeDescription() report plus `skillPath`.
+ */
+export function analyzeTriggers(skillPath) {
+  const { description, headings, patterns } = loadTriggerSources(skillPath);
+  return { skillPath, ...analyzeDescription(description, { headings, patterns }) };
+}
+
+/**
+ * Analyze the token budget of a skill's loading tiers
+ *
+ * Limits come from "budget" in the nearest config file, or `options.config`
+ * when given. Returns the analyzeBudget() report plus `skillPath`; throws
+ * when SKILL.md is missing or the config is invalid.
+ */
+export function analyzeSkillBudget(skillPath, options = {}) {
+  if (!fs.existsSync(path.join(skillPath, 'SKILL.md'))) {
+    throw new Error(`SKILL.md not found in ${skillPath}`);
+  }
+  const config = loadConfig(skillPath, options.config || null);
+  const context = createContext(skillPath);
+  const frontmatter = context.getSkillMd().frontmatter;
+  return { skillPath, ...analyzeBudget({ frontmatter, references: collectReferences(context) }, config.budget) };
+}
+
+/**
+ * Statically analyze every script under scripts/
+ *
+ * Returns [{ file, interpreter, shebang, executable, syntax, findings }].
+ */
+export function analyzeSkillScripts(skillPath) {
+  if (!fs.existsSync(skillPath)) {
+    throw new Error(`Skill directory not found: ${skillPath}`);
+  }
+  const context = createContext(skillPath);
+  return collectScripts(context).map(script =>
+    analyzeScript(script, { moduleType: getModuleType(context, script.file) }));
+}
+
+/**
+ * Format a trigger analysis as a text report
+ */
+export function formatTriggerReport(report) {
+  const mark = (ok) => (ok ? '✅' : '⚠️ ');
+  const lines = ['🎯 Trigger Coverage Report', `📁 Path: ${report.skillPath}`, ''];
+
+  lines.push('Description:');
+  lines.push(`  ${report.description || '(empty)'}`);
+  lines.push('');
+
+  const { characters, words, status, limits } = report.length;
+  lines.push(`${mark(status === 'ok')} Length: ${characters} characters, ${words} words (${status}; recommended ${limits.recommendedMin}-${limits.recommendedMax}, limit ${limits.max})`);
+  lines.push(`${mark(report.whenToUse)} "Use when" clause: ${report.whenToUse ? 'present' : 'missing'}`);
+  lines.push(`${mark(report.voice.person === 'third')} Voice: ${report.voice.person} person${report.voice.words.length > 0 ? ` (${report.voice.words.join(', ')})` : ''}`);
+  lines.push(`${mark(report.vague.length === 0)} Vague wording: ${report.vague.length === 0 ? 'none' : report.vague.map(v => `"${v.phrase}"`).join(', ')}`);
+  lines.push('');
+
+  lines.push(`Trigger phrases (${report.triggers.length}):`);
+  lines.push(...(report.triggers.length > 0 ? report.triggers.map(trigger => `  • ${trigger}`) : ['  (none found)']));
+  lines.push('');
+
+  const { headings, patterns } = report.coverage;
+  if (headings.length > 0 || patterns.length > 0) {
+    lines.push('Coverage:');
+    for (const heading of headings) {
+      lines.push(`  ${heading.covered ? '✅' : '❌'} SKILL.md:${heading.line} ## ${heading.text}`);
+    }
+    for (const pattern of patterns) {
+      lines.push(`  ${pattern.covered ? '✅' : '❌'} .skill.yml trigger "${pattern.text}"`);
+    }
+    const all = [...headings, ...patterns];
+    lines.push(`  ${all.filter(item => item.covered).length}/${all.length} reflected in the description`);
+    lines.push('');
+  }
+
+  if (report.suggestions.length > 0) {
+    lines.push('💡 Suggestions:');
+    lines.push(...report.suggestions.map(suggestion => `  • ${suggestion}`));
+    lines.push('');
+  }
+  if (report.rewrite) {
+    lines.push('✏️  Suggested description:');
+    lines.push(`  ${report.rewrite}`);
+    lines.push('');
+  }
+  if (report.suggestions.length === 0) {
+    lines.push('✅ The description names its triggers clearly');
+  }
+  return lines.join('\n').trimEnd();
+}
+
+export { analyzeDescription, analyzeBudget, formatBudgetReport, formatScriptsReport };
@@ -0,0 +1,257 @@
+/**
+ * Reference Graph
+ *
+ * Resolves what SKILL.md and the references/ documents point at: markdown
+ * links and images, link definitions, HTML href/src attributes and bare
+ * `scripts/foo.py`-style paths in prose, inline code and code fences. The
+ * graph gives broken links, anchors to missing headings, and bundled
+ * resources that nothing reachable from SKILL.md references.
+ */
+
+import path from 'path';
+import { BUNDLED_RESOURCES } from '../validator/constants.js';
+
+// Targets with a scheme (https:, mailto:) or protocol-relative URLs
+const EXTERNAL = /^(?:[a-z][a-z0-9+.-]*:|\/\/)/i;
+
+// [text](target "title") and ![alt](src)
+const INLINE_LINK = /(!?)\[(?:[^[\]]|\[[^\]]*\])*\]\(\s*(<[^>]*>|[^)\s]*)(?:\s+(?:"[^"]*"|'[^']*'|\([^)]*\)))?\s*\)/g;
+
+// [id]: target
+const LINK_DEFINITION = /^(\s{0,3}\[[^\]]+\]:\s*)(<[^>]*>|\S+)/;
+
+// <a href="..."> and <img src="...">
+const HTML_LINK = /<(a|img)\b[^>]*?\b(?:href|src)\s*=\s*["']([^"']+)["']/gi;
+
+// A file (with an extension) or a subdirectory (with a trailing slash)
+// under one of the bundled resource directories
+const RESOURCE_PATH = new RegExp(
+  `(?<![\\w./-])(?:\\./)?((?:${BUNDLED_RESOURCES.join('|')})/(?:[\\w.-]+/)*(?:[\\w-][\\w.-]*\\.\\w+|[\\w.-]+/))`, 'g');
+
+const FENCE = /^\s*(```|~~~)/;
+
+// Lines that name paths as examples ("Example: `scripts/rotate.py`")
+const ILLUSTRATIVE = /\b(?:e\.g\.|examples?\b)/i;
+
+/**
+ * Blank out a match, keeping the columns of the rest of the line
+ */
+function blank(text) {
+  return ' '.repeat(text.length);
+}
+
+/**
+ * GitHub-style anchor of a heading: "Step 1: Setup" → "step-1-setup"
+ */
+export function slugify(heading) {
+  return heading
+    .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/<[^>]+>/g, '')
+    .trim()
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s_-]/gu, '')
+    .replace(/\s/g, '-');
+}
+
+/**
+ * Anchors a markdown document defines: heading slugs (numbered like
+ * GitHub when repeated) and HTML id/name attributes
+ */
+export function getAnchors(markdown) {
+  const anchors = new Set();
+  const seen = new Map();
+  let inFence = false;
+  for (const line of markdown.split('\n')) {
+    if (FENCE.test(line)) {
+      inFence = !inFence;
+      continue;
+    }
+    if (inFence) {
+      continue;
+    }
+    const heading = line.match(/^\s{0,3}#{1,6}\s+(.+?)\s*#*\s*$/);
+    if (heading) {
+      const slug = slugify(heading[1]);
+      const count = seen.get(slug) || 0;
+      seen.set(slug, count + 1);
+      anchors.add(count === 0 ? slug : `${slug}-${count}`);
+    }
+    for (const match of line.matchAll(/<[a-z]+\b[^>]*?\b(?:id|name)\s*=\s*["']([^"']+)["']/gi)) {
+      anchors.add(match[1]);
+    }
+  }
+  return anchors;
+}
+
+/**
+ * Links and resource paths of a markdown document
+ *
+ * Returns [{ kind, target, line, column }] where kind is "link", "image" or
+ * "path". Links inside code are ignored; resource paths count everywhere
+ * except on lines that give them as examples.
+ */
+export function parseMarkdownReferences(markdown, firstLine = 1) {
+  const references = [];
+  let inFence = false;
+
+  markdown.split('\n').forEach((line, i) => {
+    const at = (index) => ({ line: firstLine + i, column: index + 1 });
+    if (FENCE.test(line)) {
+      inFence = !inFence;
+      return;
+    }
+
+    // Link syntax is blanked once read so its target isn't also a path
+    let rest = line;
+    if (!inFence) {
+      const prose = line.replace(/(`+)[^`]*?\1/g, blank);
+      const definition = prose.match(LINK_DEFINITION);
+      if (definition) {
+        references.push({ kind: 'link', target: definition[2], ...at(definition[1].length) });
+        rest = rest.slice(0, definition[1].length) + blank(definition[2]) + rest.slice(definition[0].length);
+      }
+      for (const match of prose.matchAll(INLINE_LINK)) {
+        references.push({ kind: match[1] ? 'image' : 'link', target: match[2], ...at(match.index) });
+        rest = rest.slice(0, match.index) + blank(match[0]) + rest.slice(match.index + match[0].length);
+      }
+      for (const match of prose.matchAll(HTML_LINK)) {
+        references.push({ kind: match[1].toLowerCase() === 'img' ? 'image' : 'link', target: match[2], ...at(match.index) });
+        rest = rest.slice(0, match.index) + blank(match[0]) + rest.slice(match.index + match[0].length);
+      }
+    }
+
+    if (!inFence && ILLUSTRATIVE.test(rest)) {
+      return;
+    }
+    for (const match of rest.matchAll(RESOURCE_PATH)) {
+      references.push({ kind: 'path', target: match[1], ...at(match.index) });
+    }
+  });
+
+  return references.map(reference => ({ ...reference, target: reference.target.replace(/^<|>$/g, '') }));
+}
+
+/**
+ * Every file under the bundled resource directories, skill-relative
+ */
+function listResources(context, dir) {
+  if (!context.isDirectory(dir)) {
+    return [];
+  }
+  const files = [];
+  for (const entry of [...context.list(dir)].sort()) {
+    const file = path.posix.join(dir, entry);
+    if (entry.startsWith('.') || context.isIgnored(file)) {
+      continue;
+    }
+    files.push(...(context.isDirectory(file) ? listResources(context, file) : [file]));
+  }
+  return files;
+}
+
+/**
+ * Resolve a link target from `file`: relative to the file, then (for
+ * documents below the skill root) relative to the skill root
+ *
+ * Returns { resolved, anchor } with `resolved` null when nothing exists.
+ */
+function resolveTarget(context, file, target, kind) {
+  const [rawPath, anchor = null] = target.split('#');
+  let targetPath = rawPath.split('?')[0];
+  try {
+    targetPath = decodeURI(targetPath);
+  } catch (e) {
+    // Keep the raw path
+  }
+  if (!targetPath) {
+    return { resolved: file, anchor };
+  }
+
+  const candidates = targetPath.startsWith('/')
+    ? [targetPath.slice(1)]
+    : kind === 'path'
+      ? [targetPath, path.posix.join(path.posix.dirname(file), targetPath)]
+      : [path.posix.join(path.posix.dirname(file), targetPath), targetPath];
+  const resolved = candidates
+    .map(candidate => path.posix.normalize(candidate).replace(/\/$/, ''))
+    .find(candidate => candidate && context.exists(candidate));
+  return { resolved: resolved ?? null, anchor };
+}
+
+/**
+ * Build the reference graph of a skill from a rule context
+ *
+ * Checks SKILL.md and every references/ markdown file. Returns { documents,
+ * references, broken, brokenAnchors, resources, orphans } where each
+ * reference is { file, kind, target, line, column, resolved, anchor } and
+ * orphans are resource files not reachable from SKILL.md.
+ */
+export function buildReferenceGraph(context) {
+  const { content, frontmatter } = context.getSkillMd();
+  const resources = BUNDLED_RESOURCES.flatMap(dir => listResources(context, dir));
+  const documents = ['SKILL.md', ...resources.filter(file => file.startsWith('references/') && file.endsWith('.md'))];
+
+  const readText = (file) => {
+    const text = file === 'SKILL.md' ? content : context.read(file);
+    return text.includes('\0') ? null : text;
+  };
+  const anchorCache = new Map();
+  const anchorsOf = (file) => {
+    if (!anchorCache.has(file)) {
+      const text = file === 'SKILL.md' ? frontmatter.body : readText(file);
+      anchorCache.set(file, getAnchors(text || ''));
+    }
+    return anchorCache.get(file);
+  };
+  const referencesOf = (file) => {
+    if (file === 'SKILL.md') {
+      return frontmatter.closed
+        ? parseMarkdownReferences(frontmatter.body, frontmatter.bodyLine)
+        : parseMarkdownReferences(content);
+    }
+    const text = readText(file);
+    if (text === null) {
+      return [];
+    }
+    // Other files only point at resources by path
+    const references = parseMarkdownReferences(text);
+    return file.endsWith('.md') ? references : references.filter(r => r.kind === 'path');
+  };
+  const resolveAll = (file) => referencesOf(file)
+    .filter(reference => !EXTERNAL.test(reference.target))
+    .map(reference => ({ file, ...reference, ...resolveTarget(context, file, reference.target, reference.kind) }));
+
+  const references = documents.flatMap(resolveAll);
+  const broken = references.filter(reference => reference.resolved === null);
+  const brokenAnchors = references.filter(reference =>
+    reference.resolved !== null && reference.anchor && reference.resolved.endsWith('.md') &&
+    !context.isDirectory(reference.resolved) && !anchorsOf(reference.resolved).has(reference.anchor));
+
+  // Walk everything reachable from SKILL.md; a directory reaches its files
+  const reached = new Set(['SKILL.md']);
+  const queue = ['SKILL.md'];
+  while (queue.length > 0) {
+    const file = queue.shift();
+    const targets = (documents.includes(file) ? references.filter(r => r.file === file) : resolveAll(file))
+      .map(reference => reference.resolved)
+      .filter(Boolean);
+    for (const target of targets) {
+      const files = context.isDirectory(target)
+        ? resources.filter(resource => resource.startsWith(`${target}/`))
+        : [target];
+      for (const reachedFile of files.filter(f => !reached.has(f))) {
+        reached.add(reachedFile);
+        queue.push(reachedFile);
+      }
+    }
+  }
+
+  return {
+    documents,
+    references,
+    broken,
+    brokenAnchors,
+    resources,
+    orphans: resources.filter(file => !reached.has(file))
+  };
+}
@@ -0,0 +1,400 @@
+/**
+ * Scripts Analyzer
+ *
+ * Static checks for the executable code a skill ships in `scripts/`: the
+ * interpreter (from the shebang or extension), shebang and executable
+ * bit, a local syntax check (node --check, JSON.parse, bash -n), hardcoded
+ * absolute or home-directory paths, and risky patterns such as `rm -rf`,
+ * `curl | sh`, eval of input and writes outside the skill. Every finding
+ * carries its own severity. Nothing is executed.
+ */
+
+import path from 'path';
+import { spawnSync } from 'child_process';
+import { SEVERITY } from '../validator/constants.js';
+import { checkSyntax } from '../generator/verify.js';
+
+// Interpreters by extension; a shebang takes precedence
+const EXTENSIONS = {
+  '.js': 'node',
+  '.mjs': 'node',
+  '.cjs': 'node',
+  '.py': 'python',
+  '.sh': 'bash',
+  '.bash': 'bash',
+  '.json': 'json'
+};
+
+// Shebang commands and the interpreter they run
+const SHEBANG_COMMANDS = {
+  node: 'node',
+  nodejs: 'node',
+  python: 'python',
+  python3: 'python',
+  bash: 'bash',
+  sh: 'bash'
+};
+
+// Shebangs that need no /usr/bin/env
+const PORTABLE_SHEBANGS = ['/bin/sh', '/bin/bash'];
+
+// Absolute paths that are the same on every machine
+const SYSTEM_PATHS = /^\/(?:dev|tmp|var\/tmp|proc|sys|bin|sbin|usr\/bin|usr\/sbin|usr\/local\/bin)(?:\/|$)/;
+
+// System directories a skill must never write to
+const PROTECTED_PATHS = /^\/(?:etc|usr|bin|sbin|lib|boot|System|Library|var(?!\/tmp))(?:\/|$)/;
+
+const ALL = ['node', 'python', 'bash'];
+
+// Line patterns and the severity of each finding. `languages` limits a
+// pattern to some interpreters (commands run through a shell can appear
+// in any of them); the first match of a check on a line wins.
+const RISKY_PATTERNS = [
+  {
+    check: 'rm_rf',
+    severity: SEVERITY.ERROR,
+    languages: ALL,
+    pattern: /\brm\s+-(?:[a-zA-Z]*r[a-zA-Z]*f|[a-zA-Z]*f[a-zA-Z]*r)[a-zA-Z]*\s+["']?(?:\/\*?|~\/?|\$HOME\/?|\$\{?[\w@*]+\}?\/?\*?)["']?(?=[\s;&|)]|$)/,
+    message: 'rm -rf on the root, the home directory or an unchecked variable'
+  },
+  {
+    check: 'rm_rf',
+    severity: SEVERITY.WARNING,
+    languages: ALL,
+    pattern: /\brm\s+-(?:[a-zA-Z]*r[a-zA-Z]*f|[a-zA-Z]*f[a-zA-Z]*r)|\bshutil\.rmtree\(|\brm(?:Sync)?\([^)]*\brecursive:\s*true/,
+    message: 'Recursive delete: make sure the target is inside the skill or a temporary directory'
+  },
+  {
+    check: 'curl_pipe_shell',
+    severity: SEVERITY.ERROR,
+    languages: ALL,
+    pattern: /\b(?:curl|wget)\b[^|\n]*\|\s*(?:sudo\s+)?(?:ba|z)?sh\b/,
+    message: 'Runs a downloaded script (curl | sh); vendor it into scripts/ or verify a checksum'
+  },
+  {
+    check: 'eval_input',
+    severity: SEVERITY.ERROR,
+    languages: ['bash'],
+    pattern: /(?:^|[;&|]\s*)eval\s+["']?\$(?:[0-9@*]|\{[0-9@*]|\(\s*cat\b)/,
+    message: 'eval of the script arguments or input runs arbitrary commands'
+  },
+  {
+    check: 'eval_input',
+    severity: SEVERITY.ERROR,
+    languages: ['python'],
+    pattern: /\b(?:eval|exec)\(\s*(?:input\(|sys\.argv|sys\.stdin|os\.environ|os\.getenv)/,
+    message: 'eval/exec of the script arguments or input runs arbitrary code'
+  },
+  {
+    check: 'eval_input',
+    severity: SEVERITY.ERROR,
+    languages: ['node'],
+    pattern: /\b(?:eval|Function)\(\s*(?:process\.argv|process\.env|[^)]*\bstdin\b|[^)]*readFileSync\(\s*0)/,
+    message: 'eval of the script arguments or input runs arbitrary code'
+  },
+  {
+    check: 'eval_input',
+    severity: SEVERITY.INFO,
+    languages: ['python'],
+    pattern: /(?<![\w.])(?:eval|exec)\(/,
+    message: 'Dynamic evaluation: prefer parsing the input (json, argparse) over evaluating it'
+  },
+  {
+    check: 'eval_input',
+    severity: SEVERITY.INFO,
+    languages: ['node'],
+    pattern: /(?<![\w.])eval\(|\bnew Function\(/,
+    message: 'Dynamic evaluation: prefer parsing the input (JSON.parse, an argument parser) over evaluating it'
+  },
+  {
+    check: 'sudo',
+    severity: SEVERITY.WARNING,
+    languages: ALL,
+    pattern: /(?:^|[\s;&|(`"'])sudo\s/,
+    message: 'Needs root (sudo); a skill should not change the system'
+  },
+  {
+    check: 'write_outside_skill',
+    severity: SEVERITY.WARNING,
+    languages: ['bash'],
+    pattern: /(?:[^<>&0-9]>>?|\btee\s+(?:-a\s+)?|\b(?:cp|mv|install)\s+(?:-\w+\s+)*[^\s-]\S*\s+)\s*["']?(?<target>~(?:\/\S*)?|\$HOME\S*|\$\{HOME\}\S*|\.\.\/\S*|\/[\w.-]+(?:\/[\w.-]*)*)/,
+    message: 'Writes outside the skill directory'
+  },
+  {
+    check: 'write_outside_skill',
+    severity: SEVERITY.WARNING,
+    languages: ['python'],
+    pattern: /\bopen\(\s*[rfb]?["'](?<target>~[^"']*|\.\.\/[^"']*|\/[^"']*)["']\s*,\s*["'][wax]/,
+    message: 'Writes outside the skill directory'
+  },
+  {
+    check: 'write_outside_skill',
+    severity: SEVERITY.WARNING,
+    languages: ['node'],
+    pattern: /\b(?:writeFile|writeFileSync|appendFile|appendFileSync|createWriteStream|copyFile|copyFileSync|rename|renameSync|mkdir|mkdirSync)\(\s*(?:["'`](?<target>~[^"'`]*|\.\.\/[^"'`]*|\/[^"'`]*)["'`]|(?:path\.join\(\s*)?os\.homedir\(\))/,
+    message: 'Writes outside the skill directory'
+  }
+];
+
+// Home-directory assumptions, per interpreter
+const HOME_PATTERNS = {
+  bash: /(?:^|[\s"'=:(])(?:~\/|\$HOME\b|\$\{HOME\})/,
+  python: /\bos\.path\.expanduser\(|\bPath\.home\(\)|\bos\.environ(?:\.get\(|\[)\s*["']HOME["']|\bos\.getenv\(\s*["']HOME["']|["']~\//,
+  node: /\bos\.homedir\(\)|\bprocess\.env\.HOME\b|\bprocess\.env\[\s*["']HOME["']\s*\]|["'`]~\//
+};
+
+// Absolute paths: "/opt/data/x" after a quote, space, =, ( or :
+const ABSOLUTE_PATH = /(?<=^|[\s"'`=(:,])\/[A-Za-z][\w.-]*(?:\/[\w.-]+)+\/?/g;
+const USER_PATH = /(?:^|[\s"'`=(:,])(\/(?:Users|home)\/[\w.-]+|[A-Za-z]:\\\\?Users\\\\?[\w.-]+)/;
+
+/**
+ * Interpreter of a script from its shebang, else its extension
+ *
+ * Returns { interpreter, shebang, command } where `interpreter` is node,
+ * python, bash, json or null and `command` the shebang's program.
+ */
+export function detectInterpreter(file, content) {
+  const shebang = content.startsWith('#!') ? content.split('\n')[0].slice(2).trim() : null;
+  let command = null;
+  if (shebang) {
+    const words = shebang.split(/\s+/);
+    const program = path.posix.basename(words[0]) === 'env'
+      ? words.slice(1).find(word => !word.startsWith('-'))
+      : words[0];
+    command = program ? path.posix.basename(program) : null;
+  }
+  const fromShebang = command ? SHEBANG_COMMANDS[command.replace(/[\d.]+$/, '')] || SHEBANG_COMMANDS[command] : null;
+  return {
+    interpreter: fromShebang || EXTENSIONS[path.extname(file)] || null,
+    shebang,
+    command
+  };
+}
+
+/**
+ * Syntax-check a script with the tools available locally
+ *
+ * Returns null when it parses (or cannot be checked), else { line, message }.
+ */
+export function checkScriptSyntax(file, content, interpreter, { moduleType = 'commonjs' } = {}) {
+  if (interpreter === 'json') {
+    try {
+      JSON.parse(content);
+      return null;
+    } catch (e) {
+      const position = Number(e.message.match(/position (\d+)/)?.[1]);
+      const line = Number.isNaN(position) ? null : content.slice(0, position).split('\n').length;
+      return { line, message: e.message };
+    }
+  }
+
+  if (interpreter === 'node') {
+    const inputType = file.endsWith('.cjs') ? 'commonjs' : file.endsWith('.mjs') ? 'module' : moduleType;
+    const error = checkSyntax(file, content, inputType);
+    return error && { line: error.line, message: error.message };
+  }
+
+  if (interpreter === 'bash') {
+    const result = spawnSync('bash', ['-n'], { input: content, encoding: 'utf-8', timeout: 10000 });
+    if (result.error || result.status === 0) {
+      // No bash here: nothing to say
+      return null;
+    }
+    const stderr = result.stderr.trim();
+    return {
+      line: Number(stderr.match(/line (\d+)/)?.[1]) || null,
+      message: stderr.split('\n')[0].replace(/^bash: (?:line \d+: )?/, '') || 'Syntax error'
+    };
+  }
+  return null;
+}
+
+/**
+ * True for lines that are only a comment
+ */
+function isComment(line, interpreter) {
+  const trimmed = line.trim();
+  return interpreter === 'node'
+    ? /^(?:\/\/|\/\*|\*)/.test(trimmed)
+    : trimmed.startsWith('#');
+}
+
+/**
+ * Path and risky-pattern findings of a script's source
+ *
+ * Returns [{ check, severity, line, column, message }].
+ */
+export function scanScript(content, interpreter) {
+  const findings = [];
+  if (!ALL.includes(interpreter)) {
+    return findings;
+  }
+  const add = (check, severity, line, column, message) =>
+    findings.push({ check, severity, line, column, message });
+
+  content.split('\n').forEach((text, i) => {
+    const line = i + 1;
+    if ((line === 1 && text.startsWith('#!')) || isComment(text, interpreter)) {
+      return;
+    }
+
+    const user = text.match(USER_PATH);
+    if (user) {
+      add('hardcoded_path', SEVERITY.WARNING, line, user.index + user[0].indexOf(user[1]) + 1,
+        `User-specific path ${user[1]}: take it as an argument or resolve it relative to the script`);
+    } else {
+      const absolute = [...text.matchAll(ABSOLUTE_PATH)].find(match => !SYSTEM_PATHS.test(match[0]));
+      if (absolute) {
+        add('hardcoded_path', SEVERITY.WARNING, line, absolute.index + 1,
+          `Hardcoded absolute path ${absolute[0]}: take it as an argument or resolve it relative to the script`);
+      }
+    }
+
+    const home = text.match(HOME_PATTERNS[interpreter]);
+    if (home) {
+      add('home_directory', SEVERITY.WARNING, line, home.index + 1,
+        'Assumes a home directory layout; take paths as arguments or keep files inside the skill');
+    }
+
+    const matched = new Set();
+    for (const { check, severity, languages, pattern, message } of RISKY_PATTERNS) {
+      if (matched.has(check) || !languages.includes(interpreter)) {
+        continue;
+      }
+      const match = text.match(pattern);
+      if (!match) {
+        continue;
+      }
+      const target = match.groups?.target;
+      if (target !== undefined && SYSTEM_PATHS.test(target) && !PROTECTED_PATHS.test(target)) {
+        continue;
+      }
+      matched.add(check);
+      const protectedTarget = target && PROTECTED_PATHS.test(target);
+      add(check, protectedTarget ? SEVERITY.ERROR : severity, line, match.index + 1,
+        target ? `${message} (${target})` : message);
+    }
+  });
+  return findings;
+}
+
+/**
+ * Analyze one script
+ *
+ * `mode` is the file's stat mode, or null where the executable bit means
+ * nothing (Windows). Returns { file, interpreter, shebang, executable,
+ * syntax, findings } where syntax is null when the file parses and
+ * findings include the shebang and executable-bit problems.
+ */
+export function analyzeScript({ file, content, mode = null }, options = {}) {
+  const { interpreter, shebang, command } = detectInterpreter(file, content);
+  const executable = mode === null ? null : (mode & 0o111) !== 0;
+  const findings = [];
+  const add = (check, severity, message) => findings.push({ check, severity, line: 1, column: 1, message });
+
+  if (ALL.includes(interpreter)) {
+    const fromExtension = EXTENSIONS[path.extname(file)];
+    if (!shebang) {
+      add('script_shebang', SEVERITY.WARNING,
+        `No shebang: start with "#!/usr/bin/env ${interpreter === 'bash' ? 'bash' : interpreter === 'python' ? 'python3' : 'node'}" so it runs directly`);
+    } else if (!command || !SHEBANG_COMMANDS[command.replace(/[\d.]+$/, '')]) {
+      add('script_interpreter', SEVERITY.INFO, `Unrecognized interpreter "${shebang}"`);
+    } else if (fromExtension && fromExtension !== interpreter) {
+      add('script_interpreter', SEVERITY.WARNING,
+        `Shebang runs ${interpreter} but the ${path.extname(file)} extension says ${fromExtension}`);
+    } else if (!shebang.startsWith('/usr/bin/env') && !PORTABLE_SHEBANGS.includes(shebang.split(/\s+/)[0])) {
+      add('script_interpreter', SEVERITY.INFO,
+        `"#!${shebang}" depends on where ${command} is installed; use "#!/usr/bin/env ${command}"`);
+    }
+    if (executable === false) {
+      add('script_executable', SEVERITY.WARNING, `Not executable: run "chmod +x ${file}"`);
+    }
+  } else if (interpreter === null && (shebang || executable)) {
+    add('script_interpreter', SEVERITY.INFO,
+      shebang ? `Unrecognized interpreter "${shebang}"` : 'Executable with no shebang or known extension');
+  }
+
+  return {
+    file,
+    interpreter,
+    shebang,
+    executable,
+    syntax: checkScriptSyntax(file, content, interpreter, options),
+    findings: [...findings, ...scanScript(content, interpreter)]
+  };
+}
+
+/**
+ * Module type ("module" or "commonjs") of a .js script: the "type" of the
+ * nearest package.json between the script and the skill root
+ */
+export function getModuleType(context, file) {
+  for (let dir = path.posix.dirname(file); ; dir = path.posix.dirname(dir)) {
+    const pkgFile = dir === '.' ? 'package.json' : `${dir}/package.json`;
+    if (context.exists(pkgFile)) {
+      try {
+        return context.readJson(pkgFile).type === 'module' ? 'module' : 'commonjs';
+      } catch (e) {
+        return 'commonjs';
+      }
+    }
+    if (dir === '.') {
+      return 'commonjs';
+    }
+  }
+}
+
+/**
+ * Script files under scripts/, read through a rule context
+ *
+ * Returns [{ file, content, mode }]; binary files and dependency folders
+ * are skipped.
+ */
+export function collectScripts(context, dir = 'scripts') {
+  if (!context.isDirectory(dir)) {
+    return [];
+  }
+  const files = [];
+  for (const entry of [...context.list(dir)].sort()) {
+    const file = path.posix.join(dir, entry);
+    if (entry.startsWith('.') || ['node_modules', '__pycache__'].includes(entry) || context.isIgnored(file)) {
+      continue;
+    }
+    if (context.isDirectory(file)) {
+      files.push(...collectScripts(context, file));
+      continue;
+    }
+    const content = context.read(file);
+    if (!content.includes('\0')) {
+      files.push({ file, content, mode: context.mode(file) });
+    }
+  }
+  return files;
+}
+
+/**
+ * Format script analyses as a text report
+ */
+export function formatScriptsReport(scripts) {
+  const icons = { [SEVERITY.ERROR]: '❌', [SEVERITY.WARNING]: '⚠️ ', [SEVERITY.INFO]: 'ℹ️ ' };
+  const lines = ['🛠️  Scripts', ''];
+  if (scripts.length === 0) {
+    lines.push('No scripts/ to analyze');
+    return lines.join('\n');
+  }
+  for (const script of scripts) {
+    const details = [
+      script.interpreter || 'unknown interpreter',
+      script.executable === null || script.interpreter === 'json' ? null : script.executable ? 'executable' : 'not executable',
+      script.syntax ? 'syntax error' : 'parses'
+    ].filter(Boolean);
+    lines.push(`${script.syntax || script.findings.some(f => f.severity === SEVERITY.ERROR) ? '❌' : script.findings.length > 0 ? '⚠️ ' : '✅'} ${script.file} (${details.join(', ')})`);
+    if (script.syntax) {
+      lines.push(`    ❌ ${script.file}${script.syntax.line ? `:${script.syntax.line}` : ''} ${script.syntax.message}`);
+    }
+    for (const finding of script.findings) {
+      lines.push(`    ${icons[finding.severity]} ${script.file}:${finding.line} [${finding.check}] ${finding.message}`);
+    }
+  }
+  return lines.join('\n');
+}
@@ -0,0 +1,77 @@
+/**
+ * Text Helpers
+ *
+ * Word-level tokenizing shared by the analyzers: lowercase words without
+ * stopwords, reduced to a rough stem so "converting", "converts" and
+ * "convert" compare equal.
+ */
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'can', 'do', 'for', 'from', 'has', 'have',
+  'how', 'i', 'if', 'in', 'into', 'is', 'it', 'its', 'me', 'my', 'of', 'on', 'or', 'our',
+  'so', 'that', 'the', 'their', 'them', 'then', 'there', 'these', 'this', 'those', 'to',
+  'up', 'us', 'was', 'we', 'what', 'when', 'where', 'which', 'while', 'who', 'will', 'with',
+  'you', 'your', 'use', 'used', 'using', 'user', 'users', 'skill', 'claude', 'should', 'any',
+  'about', 'also', 'other', 'more', 'need', 'needs', 'want', 'wants', 'asks', 'ask', 'asked'
+]);
+
+/**
+ * Rough English stem: strips common inflections, not a real stemmer
+ */
+export function stem(word) {
+  if (word.length <= 3) {
+    return word;
+  }
+  return word
+    .replace(/ies$/, 'y')
+    .replace(/(ss|sh|ch|x)es$/, '$1')
+    .replace(/([^s])s$/, '$1')
+    .replace(/(.{3,})ing$/, '$1')
+    .replace(/(.{3,})ed$/, '$1')
+    .replace(/e$/, '');
+}
+
+/**
+ * Split text into stemmed content words
+ */
+export function tokenize(text) {
+  return (String(text).toLowerCase().match(/[a-z0-9][a-z0-9+#.-]*[a-z0-9+#]|[a-z0-9]/g) || [])
+    .flatMap(word => word.split(/[-.]/))
+    .filter(word => word && !STOPWORDS.has(word))
+    .map(stem);
+}
+
+/**
+ * Share of `needle`'s tokens found in `haystack` (a token list or Set), 0-1
+ */
+export function tokenOverlap(needle, haystack) {
+  const tokens = [...new Set(tokenize(needle))];
+  if (tokens.length === 0) {
+    return 0;
+  }
+  const set = haystack instanceof Set ? haystack : new Set(haystack);
+  return tokens.filter(token => set.has(token)).length / tokens.length;
+}
+
+/**
+ * Markdown headings (levels 2-4) of a document, outside code fences
+ *
+ * Returns [{ level, text, line }] with 1-based line numbers.
+ */
+export function getHeadings(markdown, firstLine = 1) {
+  const headings = [];
+  let inFence = false;
+  markdown.split('\n').forEach((line, i) => {
+    if (/^\s*(```|~~~)/.test(line)) {
+      inFence = !inFence;
+      return;
+    }
+    const match = !inFence && line.match(/^(#{2,4})\s+(.+?)\s*#*\s*$/);
+    if (match) {
+      headings.push({ level: match[1].length, text: match[2].trim(), line: firstLine + i });
+    }
+  });
+  return headings;
+}
+
+export { STOPWORDS };
@@ -40,41 +40,236 @@ function t(key, translations = {}) {
   return translations[key]?.[''] || key;
 }
 
+// Print a report, or write it to a file when --output is given
+function writeReport(report, output) {
+  if (output) {
+    fs.mkdirSync(path.dirname(path.resolve(output)), { recursive: true });
+    fs.writeFileSync(output, report.endsWith('\n') ? report : `${report}\n`);
+    console.error(`Report written to ${output}`);
+  } else {
+    console.log(report);
+  }
+}
+
+// Print a generator result; a --dry-run preview is printed as text first
+function printResult(result) {
+  const { preview, ...rest } = result;
+  if (preview) {
+    console.log(preview);
+  }
+  console.log(rest);
+}
+
+// --dry-run, shared by the commands that write files
+function dryRunOption(yargs) {
+  return yargs.option('dry-run', {
+    describe: 'Print the files that would be written (tree, contents and diffs) without writing them',
+    type: 'boolean',
+    default: false
+  });
+}
+
+// --scope, shared by install, list and uninstall
+function scopeOption(yargs, defaultScope) {
+  return yargs.option('scope', {
+    alias: 's',
+    describe: 'personal (~/.claude/skills) or project (.claude/skills)',
+    choices: ['personal', 'project'],
+    default: defaultScope
+  });
+}
+
+// yargs coerce for options that take a positive integer
+function positiveInteger(option) {
+  return (value) => {
+    if (value === undefined) {
+      return value;
+    }
+    if (!Number.isInteger(value) || value < 1) {
+      throw new Error(`--${option} must be a positive integer (got ${value})`);
+    }
+    return value;
+  };
+}
+
+// yargs coerce for options that take a ratio from 0 to 1
+function ratio(option) {
+  return (value) => {
+    if (value !== undefined && !(value >= 0 && value <= 1)) {
+      throw new Error(`--${option} must be a number from 0 to 1 (got ${value})`);
+    }
+    return value;
+  };
+}
+
+// Options shared by `check` and `check-all`
+function checkOptions(yargs) {
+  return yargs
+    .option('format', {
+      alias: 'f',
+      describe: 'Output format (text, json, markdown, sarif, junit, html)',
+      choices: ['text', 'json', 'markdown', 'sarif', 'junit', 'html'],
+      default: 'text'
+    })
+    .option('output', {
+      alias: 'o',
+      describe: 'Write the report to a file instead of stdout',
+      type: 'string'
+    })
+    .option('verbose', {
+      alias: 'v',
+      describe: 'Enable verbose output',
+      type: 'boolean',
+      default: false
+    })
+    .option('plugin', {
+      describe: 'Load rules from a third-party rule package (repeatable)',
+      type: 'string',
+      array: true,
+      default: []
+    })
+    .option('config', {
+      alias: 'c',
+      describe: 'Path to a config file (default: nearest .skillsbuilderrc.json)',
+      type: 'string'
+    })
+    .option('target', {
+      describe: 'Check against a marketplace\'s requirements, or "all" for a readiness matrix',
+      choices: ['skillsmp', 'daymade', 'hexrays', 'smartscope', 'all']
+    })
+    .option('concurrency', {
+      describe: 'Number of skills validated in parallel with --recursive',
+      type: 'number',
+      coerce: positiveInteger('concurrency')
+    })
+    .option('max-warnings', {
+      describe: 'Exit with code 2 when there are more warnings than this (-1: unlimited)',
+      type: 'number',
+      default: -1
+    })
+    .option('fail-on', {
+      describe: 'Lowest severity of a failed check that exits with code 1',
+      choices: ['error', 'warning', 'info'],
+      default: 'error'
+    });
+}
+
+// Handler shared by `check` and `check-all`
+async function runCheck(argv) {
+  const translations = getTranslations();
+  const { validateSkill, formatOutput, getExitCode, EXIT_CODES } = await import('../validator/index.js');
+  const validateOptions = {
+    verbose: argv.verbose,
+    plugins: argv.plugin,
+    config: argv.config,
+    target: argv.target,
+    translations
+  };
+
+  try {
+    if (argv.recursive && (argv.fix || argv.fixDryRun)) {
+      console.error('Error: --fix and --fix-dry-run cannot be combined with --recursive');
+      process.exitCode = EXIT_CODES.USAGE;
+      return;
+    }
+
+    if (argv.watch) {
+      if (argv.recursive || argv.fix || argv.fixDryRun || argv.output) {
+        console.error('Error: --watch cannot be combined with --recursive, --fix, --fix-dry-run or --output');
+        process.exitCode = EXIT_CODES.USAGE;
+        return;
+      }
+      const { watchSkill, formatWatchUpdate } = await import('../validator/watch.js');
+      const watcher = await watchSkill(argv.path, {
+        ...validateOptions,
+        onResults: (results) => {
+          console.log(formatOutput(results, argv.format, translations));
+          console.error(`👀 Watching ${argv.path} for changes (Ctrl+C to stop)`);
+        },
+        onUpdate: (update) => console.log(formatWatchUpdate(update)),
+        onError: (e) => console.error(`Error: ${e.message}`)
+      });
+      process.once('SIGINT', async () => {
+        await watcher.close();
+        process.exit(getExitCode(watcher.getResults(), { failOn: argv.failOn, maxWarnings: argv.maxWarnings }));
+      });
+      return;
+    }
+
+    if (argv.fix || argv.fixDryRun) {
+      const { fixSkill, formatFixReport } = await import('../validator/fix.js');
+      const fixResult = await fixSkill(argv.path, { ...validateOptions, dryRun: argv.fixDryRun });
+      writeReport(formatFixReport(fixResult, argv.format, translations), argv.output);
+      process.exitCode = fixResult.dryRun
+        ? (fixResult.results.usageError ? EXIT_CODES.USAGE : EXIT_CODES.OK)
+        : getExitCode(fixResult.results, { failOn: argv.failOn, maxWarnings: argv.maxWarnings });
+      return;
+    }
+
+    let results;
+    if (argv.recursive) {
+      const { validateSkills } = await import('../validator/batch.js');
+      results = await validateSkills(argv.path, { ...validateOptions, concurrency: argv.concurrency });
+    } else {
+      results = await validateSkill(argv.path, validateOptions);
+    }
+    if (results.type !== 'aggregate' || results.skills.length > 0) {
+      writeReport(formatOutput(results, argv.format, translations), argv.output);
+    }
+    if (results.usageError) {
+      console.error(results.usageError);
+    }
+    process.exitCode = getExitCode(results, { failOn: argv.failOn, maxWarnings: argv.maxWarnings });
+  } catch (e) {
+    console.error(`Error: ${e.message}`);
+    process.exitCode = EXIT_CODES.USAGE;
+  }
+}
+
 // CLI Configuration
 const argv = yargs(hideBin(process.argv))
   .scriptName('skills-builder')
   .usage('Usage: $0 <command> [options]')
   .command('check [path]', 'Validate a skill', (yargs) => {
-    return yargs
+    return checkOptions(yargs
       .positional('path', {
-        describe: 'Path to skill directory',
+        describe: 'Path to skill directory (or to a directory of skills with --recursive)',
         type: 'string',
         default: '.'
+      }))
+      .option('recursive', {
+        alias: 'r',
+        describe: 'Validate every skill (directory containing SKILL.md) below path',
+        type: 'boolean',
+        default: false
       })
-      .option('format', {
-        alias: 'f',
-        describe: 'Output format (text, json, markdown)',
-        choices: ['text', 'json', 'markdown'],
-        default: 'text'
+      .option('fix', {
+        describe: 'Apply safe fixes, then re-run validation',
+        type: 'boolean',
+        default: false
+      })
+      .option('fix-dry-run', {
+        describe: 'Print the fixes --fix would apply as a unified diff',
+        type: 'boolean',
+        default: false
       })
-      .option('verbose', {
-        alias: 'v',
-        describe: 'Enable verbose output',
+      .option('watch', {
+        alias: 'w',
+        describe: 'Keep running and re-validate whenever the skill changes',
         type: 'boolean',
         default: false
       });
-  }, async (argv) => {
-    const translations = getTranslations();
-    const { checkSkill } = await import('../validator/index.js');
-    const result = await checkSkill(argv.path, {
-      format: argv.format,
-      verbose: argv.verbose,
-      translations
-    });
-    console.log(result);
-  })
+  }, runCheck)
+  .command('check-all [path]', 'Validate every skill in a directory', (yargs) => {
+    return checkOptions(yargs
+      .positional('path', {
+        describe: 'Directory to search for skills',
+        type: 'string',
+        default: '.'
+      }));
+  }, (argv) => runCheck({ ...argv, recursive: true }))
   .command('create [name]', 'Create a new skill', (yargs) => {
-    return yargs
+    return dryRunOption(yargs)
       .positional('name', {
         describe: 'Name of skill (kebab-case)',
         type: 'string',
@@ -88,15 +283,68 @@ const argv = yargs(hideBin(process.argv))
       })
       .option('interactive', {
         alias: 'i',
-        describe: 'Interactive mode with guided prompts',
+        describe: 'Interactive mode with guided prompts (--no-interactive to use flags and --answers)',
         type: 'boolean',
         default: true
       })
       .option('template', {
         alias: 't',
-        describe: 'Template to use (basic, advanced, analyzer)',
-        choices: ['basic', 'advanced', 'analyzer'],
-        default: 'basic'
+        describe: 'Template: a built-in name (see "templates list"), a directory or a package',
+        type: 'string'
+      })
+      .option('verify', {
+        describe: 'Run the generated CLI with --help and report failures',
+        type: 'boolean',
+        default: false
+      })
+      .option('var', {
+        describe: 'Set a template variable (key=value, repeatable)',
+        type: 'string',
+        array: true
+      })
+      .option('answers', {
+        describe: 'JSON file with answers to the wizard questions',
+        type: 'string'
+      })
+      .option('purpose', {
+        describe: 'One-line description of what the skill does',
+        type: 'string'
+      })
+      .option('trigger', {
+        describe: 'A "use when" trigger phrase (repeatable)',
+        type: 'string',
+        array: true
+      })
+      .option('languages', {
+        describe: 'Languages to seed in polyglot.json (e.g. zh ja)',
+        type: 'string',
+        array: true
+      })
+      .option('marketplace', {
+        describe: 'Generate marketplace.json for a marketplace (skillsmp, daymade, hexrays, smartscope)',
+        type: 'string'
+      })
+      .option('repository', {
+        describe: 'Repository URL for package.json and marketplace.json (default: the git remote)',
+        type: 'string'
+      })
+      .option('category', {
+        describe: 'Marketplace category (repeatable)',
+        type: 'string',
+        array: true
+      })
+      .option('keyword', {
+        describe: 'Keyword (repeatable)',
+        type: 'string',
+        array: true
+      })
+      .option('author', {
+        describe: 'Author name',
+        type: 'string'
+      })
+      .option('license', {
+        describe: 'License identifier (MIT, Apache-2.0, ...)',
+        type: 'string'
       });
   }, async (argv) => {
     const translations = getTranslations();
@@ -104,30 +352,66 @@ const argv = yargs(hideBin(process.argv))
     const result = await createSkill(argv.name, {
       path: argv.path,
       interactive: argv.interactive,
+      answersFile: argv.answers,
       template: argv.template,
+      variables: argv.var && Object.fromEntries(argv.var.map(pair => {
+        const index = pair.indexOf('=');
+        return index === -1 ? [pair, 'true'] : [pair.slice(0, index), pair.slice(index + 1)];
+      })),
+      purpose: argv.purpose,
+      triggers: argv.trigger,
+      languages: argv.languages,
+      // A bare --marketplace picks the default marketplace
+      marketplace: argv.marketplace === '' ? true : argv.marketplace,
+      repository: argv.repository,
+      categories: argv.category,
+      keywords: argv.keyword,
+      author: argv.author,
+      license: argv.license,
+      verify: argv.verify,
+      dryRun: argv.dryRun,
       translations
     });
-    console.log(result);
+    printResult(result);
+    if (!result.success) {
+      process.exitCode = 1;
+    }
   })
-  .command('init', 'Initialize current directory as a skill', (yargs) => {
+  .command('templates', 'Manage skill templates', (yargs) => {
     return yargs
+      .command('list', 'List built-in and installed templates', () => {}, async () => {
+        const { listTemplates, formatTemplateList } = await import('../generator/templates.js');
+        console.log(formatTemplateList(listTemplates()));
+      })
+      .demandCommand(1, 'Specify a templates command (list)');
+  })
+  .command('init', 'Initialize current directory as a skill', (yargs) => {
+    return dryRunOption(yargs)
       .option('force', {
         alias: 'f',
-        describe: 'Overwrite existing files',
+        describe: 'Regenerate SKILL.md, .skill.yml and polyglot.json even if they exist',
         type: 'boolean',
         default: false
       });
   }, async (argv) => {
     const translations = getTranslations();
-    const { initSkill } = await import('../generator/init.js');
+    const { initSkill, formatInitReport } = await import('../generator/init.js');
     const result = await initSkill(process.cwd(), {
       force: argv.force,
+      dryRun: argv.dryRun,
       translations
     });
-    console.log(result);
+    if (result.preview) {
+      console.log(result.preview);
+      console.log('');
+    }
+    console.log(formatInitReport(result));
+    if (!result.success) {
+      process.exitCode = 1;
+    }
   })
   .command('update [path]', 'Update an existing skill', (yargs) => {
-    return yargs
+    return dryRunOption(yargs)
       .positional('path', {
         describe: 'Path to skill directory',
         type: 'string',
@@ -147,18 +431,290 @@ const argv = yargs(hideBin(process.argv))
     const result = await updateSkill(argv.path, {
       addLanguage: argv.addLanguage,
       addDependency: argv.addDependency,
+      dryRun: argv.dryRun,
       translations
     });
-    console.log(result);
+    printResult(result);
+    if (!result.success) {
+      process.exitCode = 1;
+    }
+  })
+  .command('analyze [path]', 'Analyze the description\'s triggers, the token budget and the scripts of a skill', (yargs) => {
+    return yargs
+      .positional('path', {
+        describe: 'Path to skill directory',
+        type: 'string',
+        default: '.'
+      })
+      .option('only', {
+        describe: 'Run one analysis: triggers (the description), budget (tokens per loading tier) or scripts',
+        choices: ['triggers', 'budget', 'scripts']
+      })
+      .option('config', {
+        alias: 'c',
+        describe: 'Path to a config file (default: nearest .skillsbuilderrc.json), for budget limits',
+        type: 'string'
+      })
+      .option('format', {
+        alias: 'f',
+        describe: 'Output format',
+        choices: ['text', 'json'],
+        default: 'text'
+      });
+  }, async (argv) => {
+    const {
+      analyzeTriggers, formatTriggerReport,
+      analyzeSkillBudget, formatBudgetReport,
+      analyzeSkillScripts, formatScriptsReport
+    } = await import('../analyzer/index.js');
+    const runs = (name) => !argv.only || argv.only === name;
+    try {
+      const reports = {};
+      if (runs('triggers')) {
+        reports.triggers = analyzeTriggers(argv.path);
+      }
+      if (runs('budget')) {
+        reports.budget = analyzeSkillBudget(argv.path, { config: argv.config });
+      }
+      if (runs('scripts')) {
+        reports.scripts = analyzeSkillScripts(argv.path);
+      }
+      if (argv.format === 'json') {
+        console.log(JSON.stringify(reports, null, 2));
+      } else {
+        console.log([
+          reports.triggers && formatTriggerReport(reports.triggers),
+          reports.budget && formatBudgetReport(reports.budget),
+          reports.scripts && formatScriptsReport(reports.scripts)
+        ].filter(Boolean).join('\n\n'));
+      }
+    } catch (e) {
+      console.error(`Error: ${e.message}`);
+      process.exitCode = 1;
+    }
+  })
+  .command('eval [path]', 'Measure how well the description triggers on the skill\'s eval prompts', (yargs) => {
+    return yargs
+      .positional('path', {
+        describe: 'Path to skill directory',
+        type: 'string',
+        default: '.'
+      })
+      .option('evals', {
+        alias: 'e',
+        describe: 'Eval file (default: evals/triggers.json in the skill)',
+        type: 'string'
+      })
+      .option('matcher', {
+        alias: 'm',
+        describe: 'Matcher: tfidf (built in), or a path or package exporting score(prompt, skills)',
+        type: 'string',
+        default: 'tfidf'
+      })
+      .option('threshold', {
+        describe: 'Score at which a prompt triggers a skill (default: from the eval file or matcher)',
+        type: 'number',
+        coerce: ratio('threshold')
+      })
+      .option('min-precision', {
+        describe: 'Fail when precision is below this ratio (0-1)',
+        type: 'number',
+        coerce: ratio('min-precision')
+      })
+      .option('min-recall', {
+        describe: 'Fail when recall is below this ratio (0-1)',
+        type: 'number',
+        coerce: ratio('min-recall')
+      })
+      .option('installed', {
+        describe: 'Check for collisions with installed skills (--no-installed to skip)',
+        type: 'boolean',
+        default: true
+      })
+      .option('format', {
+        alias: 'f',
+        describe: 'Output format',
+        choices: ['text', 'json'],
+        default: 'text'
+      });
+  }, async (argv) => {
+    const { evaluateTriggers, formatEvalResult } = await import('../evaluator/index.js');
+    const result = await evaluateTriggers(argv.path, {
+      evals: argv.evals,
+      matcher: argv.matcher,
+      threshold: argv.threshold,
+      minPrecision: argv.minPrecision,
+      minRecall: argv.minRecall,
+      installed: argv.installed
+    });
+    console.log(argv.format === 'json' ? JSON.stringify(result, null, 2) : formatEvalResult(result));
+    if (!result.success) {
+      process.exitCode = 1;
+    }
+  })
+  .command('version <bump> [path]', 'Bump the version in every metadata file and CHANGELOG.md', (yargs) => {
+    return dryRunOption(yargs
+      .positional('bump', {
+        describe: 'major, minor, patch or an explicit x.y.z',
+        type: 'string'
+      })
+      .positional('path', {
+        describe: 'Path to skill directory',
+        type: 'string',
+        default: '.'
+      }))
+      .option('changelog', {
+        describe: 'Add a CHANGELOG.md section from the git commits since the last tag (--no-changelog to skip)',
+        type: 'boolean',
+        default: true
+      });
+  }, async (argv) => {
+    const { bumpVersion, formatVersionResult } = await import('../generator/update.js');
+    const result = await bumpVersion(argv.path, argv.bump, {
+      dryRun: argv.dryRun,
+      changelog: argv.changelog
+    });
+    console.log(formatVersionResult(result));
+    if (!result.success) {
+      process.exitCode = 1;
+    }
+  })
+  .command('pack [path]', 'Validate a skill and pack it into zip and tar.gz archives', (yargs) => {
+    return yargs
+      .positional('path', {
+        describe: 'Path to skill directory',
+        type: 'string',
+        default: '.'
+      })
+      .option('out-dir', {
+        alias: 'o',
+        describe: 'Directory the archives are written to',
+        type: 'string',
+        default: '.'
+      })
+      .option('format', {
+        alias: 'f',
+        describe: 'Archive format',
+        choices: ['zip', 'tar.gz', 'both'],
+        default: 'both'
+      })
+      .option('config', {
+        alias: 'c',
+        describe: 'Path to a config file (default: nearest .skillsbuilderrc.json)',
+        type: 'string'
+      });
+  }, async (argv) => {
+    const translations = getTranslations();
+    const { packSkill, formatPackResult } = await import('../packer/index.js');
+    const { formatOutput, EXIT_CODES } = await import('../validator/index.js');
+    const result = await packSkill(argv.path, {
+      outDir: argv.outDir,
+      formats: argv.format === 'both' ? ['zip', 'tar.gz'] : [argv.format],
+      config: argv.config,
+      translations
+    });
+    if (!result.success && !result.results?.usageError && result.results?.errors.length > 0) {
+      console.log(formatOutput(result.results, 'text', translations));
+    }
+    console.log(formatPackResult(result));
+    if (!result.success) {
+      process.exitCode = result.results?.usageError || !result.results ? EXIT_CODES.USAGE : EXIT_CODES.ERRORS;
+    }
+  })
+  .command('install [source]', 'Install a skill directory or bundle, or every skill in the lockfile', (yargs) => {
+    return scopeOption(yargs
+      .positional('source', {
+        describe: 'Skill directory or .zip/.tar.gz bundle (default: install from skills-lock.json)',
+        type: 'string'
+      }), 'personal')
+      .option('link', {
+        alias: 'l',
+        describe: 'Symlink the skill directory instead of copying it',
+        type: 'boolean',
+        default: false
+      })
+      .option('force', {
+        alias: 'f',
+        describe: 'Replace an installed skill of the same name',
+        type: 'boolean',
+        default: false
+      })
+      .option('config', {
+        alias: 'c',
+        describe: 'Path to a config file (default: nearest .skillsbuilderrc.json)',
+        type: 'string'
+      });
+  }, async (argv) => {
+    const translations = getTranslations();
+    const { installSkill, installFromLockfile, formatInstallResult } = await import('../installer/index.js');
+    const { formatOutput } = await import('../validator/index.js');
+    const options = { scope: argv.scope, link: argv.link, force: argv.force, config: argv.config, translations };
+    const result = argv.source
+      ? await installSkill(argv.source, options)
+      : await installFromLockfile(options);
+    for (const installed of result.installed || [result]) {
+      if (!installed.success && installed.results?.errors.length > 0 && !installed.results.usageError) {
+        console.log(formatOutput(installed.results, 'text', translations));
+      }
+    }
+    console.log(formatInstallResult(result));
+    if (!result.success) {
+      process.exitCode = 1;
+    }
+  })
+  .command('list', 'List installed skills', (yargs) => {
+    return scopeOption(yargs)
+      .option('format', {
+        alias: 'f',
+        describe: 'Output format',
+        choices: ['text', 'json'],
+        default: 'text'
+      });
+  }, async (argv) => {
+    const translations = getTranslations();
+    const { listSkills, formatSkillList } = await import('../installer/index.js');
+    const result = await listSkills({ scope: argv.scope, translations });
+    console.log(argv.format === 'json' ? JSON.stringify(result, null, 2) : formatSkillList(result));
+    if (result.errors.length > 0) {
+      process.exitCode = 1;
+    }
+  })
+  .command('uninstall <name>', 'Remove an installed skill', (yargs) => {
+    return scopeOption(yargs
+      .positional('name', {
+        describe: 'Name of the installed skill',
+        type: 'string'
+      }));
+  }, async (argv) => {
+    const { uninstallSkill } = await import('../installer/index.js');
+    const result = await uninstallSkill(argv.name, { scope: argv.scope });
+    if (result.success) {
+      console.log(`✅ Uninstalled ${result.name} (${result.scope}) from ${result.path}`);
+    } else {
+      console.log(result.errors.map(error => `❌ ${error}`).join('\n'));
+      process.exitCode = 1;
+    }
+  })
+  .fail((message, error, yargs) => {
+    // Usage errors exit with 3 so CI can tell them apart from failed checks
+    console.error(message || error?.message);
+    console.error(`Run "skills-builder --help" for usage`);
+    process.exit(3);
   })
   .help()
   .alias('help', 'h')
   .version('1.0.0')
-  .alias('version', 'v')
   .example('$0 check', 'Validate current directory as a skill')
+  .example('$0 check-all ~/.claude/skills', 'Validate every installed skill')
   .example('$0 create my-awesome-skill', 'Create a new skill')
+  .example('$0 create my-skill -t ./my-template', 'Create a skill from a local template')
   .example('$0 init', 'Initialize current directory as a skill')
   .example('$0 update --add-language zh', 'Add Chinese language support')
+  .example('$0 analyze', 'Report trigger coverage of the description with rewrite suggestions')
+  .example('$0 eval --min-recall 0.8', 'Score evals/triggers.json prompts against the description')
+  .example('$0 version minor', 'Bump the minor version everywhere and update CHANGELOG.md')
+  .example('$0 pack -o dist/packages', 'Pack the current skill for distribution')
+  .example('$0 install ./my-skill --scope project', 'Install a skill for this project')
   .argv;
 
 export { argv, colors };
@@ -0,0 +1,348 @@
+/**
+ * Trigger Evaluation
+ *
+ * Runs a skill's eval prompts through a matcher to measure whether its
+ * frontmatter description selects the skill for the right requests. The
+ * prompts live with the skill in `evals/triggers.json`:
+ *
+ * {
+ *   "threshold": 0.2,                 // optional, overrides the matcher's
+ *   "minPrecision": 0.8,              // optional, fail below these
+ *   "minRecall": 0.8,
+ *   "positive": [                     // prompts that should load the skill
+ *     "merge these two PDFs",
+ *     { "prompt": "pull the tables out of report.pdf", "note": "extraction" }
+ *   ],
+ *   "negative": ["write a haiku about autumn"]
+ * }
+ *
+ * Installed skills (personal and project scopes) are scored alongside, so
+ * descriptions that compete for the same prompts show up as collisions.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { parseFrontmatter } from '../validator/frontmatter.js';
+import { getScopes } from '../installer/lockfile.js';
+import { loadMatcher } from './matchers.js';
+
+const EVALS_FILE = path.join('evals', 'triggers.json');
+const SCOPES = ['personal', 'project'];
+
+/**
+ * Name and description from a skill's SKILL.md frontmatter, or null
+ */
+function readSkillDescription(skillPath) {
+  const skillMdPath = path.join(skillPath, 'SKILL.md');
+  if (!fs.existsSync(skillMdPath)) {
+    return null;
+  }
+  const { data } = parseFrontmatter(fs.readFileSync(skillMdPath, 'utf-8'));
+  if (typeof data?.description !== 'string') {
+    return null;
+  }
+  return {
+    name: typeof data.name === 'string' ? data.name : path.basename(path.resolve(skillPath)),
+    description: data.description
+  };
+}
+
+/**
+ * Read an eval file
+ *
+ * Prompts may be strings or { prompt, note } objects. Returns { positive,
+ * negative, threshold, minPrecision, minRecall } with prompts as objects;
+ * throws when the file is not valid JSON or has no prompts.
+ */
+export function readEvals(file) {
+  let evals;
+  try {
+    evals = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  } catch (e) {
+    throw new Error(`${file} is not valid JSON: ${e.message}`);
+  }
+
+  const prompts = (key) => {
+    const list = evals?.[key] ?? [];
+    if (!Array.isArray(list)) {
+      throw new Error(`${file}: "${key}" must be an array of prompts`);
+    }
+    return list.map((entry, i) => {
+      const prompt = typeof entry === 'string' ? entry : entry?.prompt;
+      if (typeof prompt !== 'string' || !prompt.trim()) {
+        throw new Error(`${file}: ${key}[${i}] must be a prompt string or { "prompt": "..." }`);
+      }
+      return { prompt: prompt.trim(), note: typeof entry?.note === 'string' ? entry.note : null };
+    });
+  };
+
+  const setting = (key) => {
+    const value = evals[key] ?? null;
+    if (value !== null && !isRatio(value)) {
+      throw new Error(`${file}: "${key}" must be a number from 0 to 1`);
+    }
+    return value;
+  };
+
+  const result = {
+    positive: prompts('positive'),
+    negative: prompts('negative'),
+    threshold: setting('threshold'),
+    minPrecision: setting('minPrecision'),
+    minRecall: setting('minRecall')
+  };
+  if (result.positive.length === 0) {
+    throw new Error(`${file} has no "positive" prompts`);
+  }
+  return result;
+}
+
+/**
+ * Descriptions of the skills installed in the personal and project scopes
+ *
+ * Returns [{ name, scope, path, description }], skipping `exclude` (a skill
+ * directory, matched by its real path or name).
+ */
+export function getInstalledDescriptions(options = {}) {
+  const { cwd, home, exclude = null } = options;
+  const scopes = getScopes({ cwd, home });
+  const excluded = exclude ? readSkillDescription(exclude)?.name : null;
+  const excludedPath = exclude && fs.existsSync(exclude) ? fs.realpathSync(exclude) : null;
+  const skills = [];
+
+  for (const scope of SCOPES) {
+    const dir = scopes[scope].dir;
+    if (!fs.existsSync(dir)) {
+      continue;
+    }
+    for (const entry of fs.readdirSync(dir).filter(name => !name.startsWith('.')).sort()) {
+      const skillPath = path.join(dir, entry);
+      if (!fs.existsSync(skillPath) || fs.realpathSync(skillPath) === excludedPath) {
+        continue;
+      }
+      const skill = readSkillDescription(skillPath);
+      if (skill && skill.name !== excluded && !skills.some(s => s.name === skill.name)) {
+        skills.push({ ...skill, scope, path: skillPath });
+      }
+    }
+  }
+  return skills;
+}
+
+/**
+ * Score a prompt against the candidates, checking the matcher's answer
+ */
+async function scorePrompt(matcher, prompt, candidates) {
+  const scores = await matcher.score(prompt, candidates);
+  if (!Array.isArray(scores) || scores.length !== candidates.length || scores.some(score => typeof score !== 'number' || Number.isNaN(score))) {
+    throw new Error(`Matcher "${matcher.name}" must return one number per skill`);
+  }
+  return scores;
+}
+
+/**
+ * Share of `part` in `total`, or null when there is nothing to divide
+ */
+function ratio(part, total) {
+  return total === 0 ? null : part / total;
+}
+
+/**
+ * Whether a threshold or minimum is a number from 0 to 1
+ */
+export function isRatio(value) {
+  return typeof value === 'number' && value >= 0 && value <= 1;
+}
+
+/**
+ * Evaluate how well a skill's description triggers on its eval prompts
+ *
+ * Options: `evals` (eval file, default evals/triggers.json in the skill),
+ * `matcher` (name, path or package; default "tfidf"), `threshold`,
+ * `minPrecision`/`minRecall` (override the eval file), `installed` (score
+ * installed skills too, default true) and `cwd`/`home` for the scopes.
+ *
+ * Returns { success, skillPath, name, matcher, threshold, results, misfires,
+ * precision, recall, counts, collisions, errors } where each result is
+ * { prompt, note, expected, score, triggered, outrankedBy }.
+ */
+export async function evaluateTriggers(skillPath, options = {}) {
+  const {
+    evals: evalsFile = path.join(skillPath, EVALS_FILE),
+    matcher: matcherSpec = 'tfidf',
+    installed = true,
+    cwd,
+    home
+  } = options;
+
+  const result = {
+    success: false,
+    skillPath,
+    name: null,
+    matcher: null,
+    threshold: null,
+    results: [],
+    misfires: [],
+    precision: null,
+    recall: null,
+    counts: { truePositive: 0, falsePositive: 0, falseNegative: 0, trueNegative: 0 },
+    collisions: [],
+    errors: []
+  };
+
+  const skill = readSkillDescription(skillPath);
+  if (!skill) {
+    result.errors.push(`No SKILL.md with a description in ${skillPath}`);
+    return result;
+  }
+  result.name = skill.name;
+
+  if (!fs.existsSync(evalsFile)) {
+    result.errors.push(`No eval file at ${evalsFile}: add "positive" and "negative" prompts (see README "Evaluate Triggers")`);
+    return result;
+  }
+
+  for (const [key, value] of Object.entries({ threshold: options.threshold, minPrecision: options.minPrecision, minRecall: options.minRecall })) {
+    if (value != null && !isRatio(value)) {
+      result.errors.push(`${key} must be a number from 0 to 1 (got ${value})`);
+      return result;
+    }
+  }
+
+  let evals, matcher;
+  try {
+    evals = readEvals(evalsFile);
+    matcher = await loadMatcher(matcherSpec, { cwd });
+  } catch (e) {
+    result.errors.push(e.message);
+    return result;
+  }
+  const threshold = options.threshold ?? evals.threshold ?? matcher.threshold ?? 0.5;
+  const minPrecision = options.minPrecision ?? evals.minPrecision;
+  const minRecall = options.minRecall ?? evals.minRecall;
+
+  const others = installed ? getInstalledDescriptions({ cwd, home, exclude: skillPath }) : [];
+  const candidates = [skill, ...others];
+  const competing = new Map(others.map(other => [other.name, []]));
+
+  const cases = [
+    ...evals.positive.map(entry => ({ ...entry, expected: true })),
+    ...evals.negative.map(entry => ({ ...entry, expected: false }))
+  ];
+  for (const entry of cases) {
+    let score, otherScores;
+    try {
+      [score, ...otherScores] = await scorePrompt(matcher, entry.prompt, candidates);
+    } catch (e) {
+      result.errors.push(e.message);
+      return result;
+    }
+    const triggered = score >= threshold;
+    const outrankedBy = others
+      .map((other, i) => ({ name: other.name, score: otherScores[i] }))
+      .filter(other => other.score >= threshold && other.score >= score)
+      .sort((a, b) => b.score - a.score);
+    if (entry.expected) {
+      for (const other of outrankedBy) {
+        competing.get(other.name).push({ prompt: entry.prompt, score: other.score, ownScore: score });
+      }
+    }
+
+    const key = entry.expected
+      ? (triggered ? 'truePositive' : 'falseNegative')
+      : (triggered ? 'falsePositive' : 'trueNegative');
+    result.counts[key]++;
+    result.results.push({ ...entry, score, triggered, outrankedBy: outrankedBy.map(other => other.name) });
+  }
+
+  result.matcher = matcher.name;
+  result.threshold = threshold;
+
+  const { truePositive, falsePositive, falseNegative } = result.counts;
+  result.precision = ratio(truePositive, truePositive + falsePositive);
+  result.recall = ratio(truePositive, truePositive + falseNegative);
+  result.misfires = result.results.filter(r => r.triggered !== r.expected);
+
+  // Compare the descriptions themselves, then keep the skills that come
+  // close or win prompts meant for this one
+  for (const other of others) {
+    let similarity;
+    try {
+      [, similarity] = await scorePrompt(matcher, skill.description, [skill, other]);
+    } catch (e) {
+      result.errors.push(e.message);
+      return result;
+    }
+    const prompts = competing.get(other.name);
+    if (similarity >= threshold || prompts.length > 0) {
+      result.collisions.push({ name: other.name, scope: other.scope, path: other.path, similarity, prompts });
+    }
+  }
+  result.collisions.sort((a, b) => b.prompts.length - a.prompts.length || b.similarity - a.similarity);
+
+  if (minPrecision != null && (result.precision ?? 0) < minPrecision) {
+    result.errors.push(`Precision ${percent(result.precision)} is below the minimum ${percent(minPrecision)}`);
+  }
+  if (minRecall != null && (result.recall ?? 0) < minRecall) {
+    result.errors.push(`Recall ${percent(result.recall)} is below the minimum ${percent(minRecall)}`);
+  }
+  result.success = result.errors.length === 0;
+  return result;
+}
+
+/**
+ * Format a ratio as a percentage, "n/a" for null
+ */
+function percent(value) {
+  return value === null ? 'n/a' : `${Math.round(value * 100)}%`;
+}
+
+/**
+ * Format an evaluation as a text report
+ */
+export function formatEvalResult(result) {
+  if (!result.matcher) {
+    return result.errors.map(error => `❌ ${error}`).join('\n');
+  }
+
+  const { truePositive, falsePositive, falseNegative, trueNegative } = result.counts;
+  const lines = [
+    '🧪 Trigger Evaluation',
+    `📁 Path: ${result.skillPath}`,
+    `Matcher: ${result.matcher} (threshold ${result.threshold})`,
+    '',
+    `Positive prompts: ${truePositive}/${truePositive + falseNegative} triggered`,
+    `Negative prompts: ${falsePositive}/${falsePositive + trueNegative} triggered`,
+    `Precision: ${percent(result.precision)}`,
+    `Recall:    ${percent(result.recall)}`,
+    ''
+  ];
+
+  if (result.misfires.length > 0) {
+    lines.push('❌ Misfires:');
+    for (const misfire of result.misfires) {
+      const kind = misfire.expected ? 'missed   ' : 'false hit';
+      const note = misfire.note ? ` (${misfire.note})` : '';
+      lines.push(`  ${kind} ${misfire.score.toFixed(2)}  "${misfire.prompt}"${note}`);
+    }
+    lines.push('');
+  } else {
+    lines.push('✅ No misfires', '');
+  }
+
+  if (result.collisions.length > 0) {
+    lines.push('⚠️  Collisions with installed skills:');
+    for (const collision of result.collisions) {
+      lines.push(`  ${collision.name} (${collision.scope}): description similarity ${collision.similarity.toFixed(2)}`);
+      for (const prompt of collision.prompts) {
+        lines.push(`    wins or ties ${prompt.score.toFixed(2)} vs ${prompt.ownScore.toFixed(2)}  "${prompt.prompt}"`);
+      }
+    }
+    lines.push('');
+  }
+
+  lines.push(...result.errors.map(error => `❌ ${error}`));
+  return lines.join('\n').trimEnd();
+}
+
+export { EVALS_FILE };
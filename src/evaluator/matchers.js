@@ -0,0 +1,128 @@
+/**
+ * Trigger Matchers
+ *
+ * A matcher decides how strongly a user prompt selects each skill, given
+ * only the skills' frontmatter descriptions, the way Claude does before
+ * loading a skill. The built-in `tfidf` matcher is lexical and runs
+ * offline; a team can plug in its own (for example a local model stand-in)
+ * as a module exporting the same interface:
+ *
+ *   export default {
+ *     name: 'local-model',
+ *     threshold: 0.5,                      // optional, score that counts as a trigger
+ *     async score(prompt, skills) {        // skills: [{ name, description }]
+ *       return skills.map(skill => ...);   // one score per skill, 0-1
+ *     }
+ *   };
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { createRequire } from 'module';
+import { pathToFileURL } from 'url';
+import { tokenize } from '../analyzer/text.js';
+
+// Cosine scores of a short prompt against a description rarely pass 0.5;
+// calibrated so a prompt sharing two or three content words triggers
+const TFIDF_THRESHOLD = 0.15;
+
+/**
+ * Sparse TF-IDF vector of a token list, with sublinear term frequency
+ */
+function toVector(tokens, idf) {
+  const counts = new Map();
+  for (const token of tokens) {
+    counts.set(token, (counts.get(token) || 0) + 1);
+  }
+  const vector = new Map();
+  for (const [token, count] of counts) {
+    vector.set(token, (1 + Math.log(count)) * (idf.get(token) ?? idf.unseen));
+  }
+  return vector;
+}
+
+/**
+ * Cosine similarity of two sparse vectors, 0-1
+ */
+function cosine(a, b) {
+  let dot = 0;
+  for (const [token, weight] of a) {
+    dot += weight * (b.get(token) || 0);
+  }
+  const norm = (v) => Math.sqrt([...v.values()].reduce((sum, w) => sum + w * w, 0));
+  const denominator = norm(a) * norm(b);
+  return denominator === 0 ? 0 : dot / denominator;
+}
+
+/**
+ * Built-in lexical matcher
+ *
+ * Scores are the cosine similarity of TF-IDF vectors, with the document
+ * frequencies taken from the descriptions being compared, so words every
+ * skill uses ("files", "code") count for less than the ones that set a
+ * skill apart.
+ */
+export function createTfidfMatcher() {
+  return {
+    name: 'tfidf',
+    threshold: TFIDF_THRESHOLD,
+    score(prompt, skills) {
+      const documents = skills.map(skill => tokenize(skill.description));
+      const frequency = new Map();
+      for (const tokens of documents) {
+        for (const token of new Set(tokens)) {
+          frequency.set(token, (frequency.get(token) || 0) + 1);
+        }
+      }
+      // Smoothed idf, so a word in every description still counts
+      const idf = new Map();
+      for (const [token, count] of frequency) {
+        idf.set(token, Math.log((1 + documents.length) / (1 + count)) + 1);
+      }
+      idf.unseen = Math.log(1 + documents.length) + 1;
+
+      const query = toVector(tokenize(prompt), idf);
+      return documents.map(tokens => cosine(query, toVector(tokens, idf)));
+    }
+  };
+}
+
+/**
+ * Load a matcher by name (`tfidf`), path or package name
+ *
+ * A module may export the matcher as its default export, as `matcher`, as
+ * a `createMatcher()` factory or as a bare `score` function. Throws when it has no `score` function.
+ */
+export async function loadMatcher(specifier = 'tfidf', { cwd = process.cwd() } = {}) {
+  if (specifier === 'tfidf') {
+    return createTfidfMatcher();
+  }
+
+  let mod;
+  try {
+    let resolved;
+    const asPath = path.resolve(cwd, specifier);
+    if (specifier.startsWith('.') || path.isAbsolute(specifier) || fs.existsSync(asPath)) {
+      resolved = asPath;
+    } else {
+      const require = createRequire(path.join(path.resolve(cwd), 'package.json'));
+      resolved = require.resolve(specifier);
+    }
+    mod = await import(pathToFileURL(resolved).href);
+  } catch (e) {
+    throw new Error(`Could not load matcher "${specifier}": ${e.message.split('\n')[0]}`);
+  }
+
+  const factory = mod.createMatcher || mod.default?.createMatcher;
+  const matcher = factory ? await factory() : (mod.matcher || mod.default || mod);
+  if (typeof matcher?.score !== 'function') {
+    throw new Error(`Matcher "${specifier}" must export a "score(prompt, skills)" function`);
+  }
+  return {
+    name: matcher.name || specifier,
+    threshold: matcher.threshold,
+    score: (prompt, skills) => matcher.score(prompt, skills)
+  };
+}
+
+export { TFIDF_THRESHOLD };
@@ -8,23 +8,49 @@ import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
+import { parse as parseYaml } from 'yaml';
+import { collectAnswers, collectTemplateVariables, defaultAnswers } from './wizard.js';
+import { loadTemplate, renderTemplate, substitute } from './templates.js';
+import { formatSyntaxErrors, verifySkill } from './verify.js';
+import { createPlan, checkPlan, commitPlan, formatPlan } from './plan.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
 /**
  * Create a new skill
+ *
+ * With `interactive` (the default) the wizard asks for the skill's details;
+ * otherwise they come from `options` (purpose, triggers, languages, ...)
+ * and `options.answersFile`. See wizard.js.
+ *
+ * The files are planned in memory and parse-checked, then written to a
+ * temporary directory that is moved into place (see plan.js). With
+ * `options.dryRun` nothing is written and the result holds a preview. With
+ * `options.verify` the new skill's CLI is also run with --help.
  */
 export async function createSkill(name, options = {}) {
   const {
     path: basePath = '.',
-    interactive = true,
-    template = 'basic',
-    marketplace = options.marketplace || false,  // New option for market-ready skills
     translations = {}
   } = options;
 
-  const t = (key) => translations[key]?.[''] || key;
+  const t = (key, fallback) => translations[key]?.[''] || fallback;
+
+  let answers;
+  let template;
+  let templateValues;
+  try {
+    answers = await collectAnswers(name, { interactive: true, ...options });
+    template = loadTemplate(answers.template);
+    templateValues = await collectTemplateVariables(template, answers, { interactive: true, ...options });
+  } catch (e) {
+    return {
+      success: false,
+      error: e.message
+    };
+  }
+  name = answers.name;
 
   const skillPath = join(basePath, name);
 
@@ -36,142 +62,173 @@ export async function createSkill(name, options = {}) {
     };
   }
 
-  // Create directory structure
-  const dirs = [
-    'src/cli',
-    'locales',
-    'dist/cli',
-    'dist/analyzer'
-  ];
-
-  for (const dir of dirs) {
-    fs.mkdirSync(join(skillPath, dir), { recursive: true });
-  }
-
   // Generate skill name variations
   const skillClassName = name.split('-')
     .map(word => word.charAt(0).toUpperCase() + word.slice(1))
     .join('');
 
-  // Create package.json
-  const packageJson = generatePackageJson(name, skillClassName);
-  fs.writeFileSync(
-    join(skillPath, 'package.json'),
-    JSON.stringify(packageJson, null, 2)
-    );
+  // Render the template's files (CLI, README.md, .skill.yml, ...)
+  const variables = {
+    ...getTemplateVariables(name, skillClassName, answers, skillPath),
+    ...templateValues
+  };
+  const templateFiles = renderTemplate(template, variables);
+
+  // Plan every file in memory; nothing touches the disk until commitPlan()
+  const plan = createPlan(skillPath);
+  const sources = templateFiles.map(({ file }) => file);
+  plan.write('package.json', JSON.stringify(generatePackageJson(name, skillClassName, answers, sources), null, 2));
 
   // Create marketplace.json if market-ready skill
-  if (options.marketplace) {
-      const marketplaceJson = generateMarketplaceJson(name, skillClassName);
-      fs.writeFileSync(
-        join(skillPath, 'marketplace.json'),
-        JSON.stringify(marketplaceJson, null, 2)
-      );
-    }
+  if (answers.marketplace) {
+    plan.write('marketplace.json', JSON.stringify(generateMarketplaceJson(name, skillClassName, answers), null, 2));
+  }
+
+  plan.write('polyglot.json', JSON.stringify(generatePolyglotJson(name, skillClassName, answers), null, 2));
+  plan.write('.gitignore', generateGitignore());
 
-  // Create polyglot.json
-  const polyglotJson = generatePolyglotJson(name, skillClassName);
-  fs.writeFileSync(
-    join(skillPath, 'polyglot.json'),
-    JSON.stringify(polyglotJson, null, 2)
-  );
-
-  // Create CLI entry point
-  const cliContent = generateCli(name);
-  fs.writeFileSync(
-    join(skillPath, 'src/cli/index.js'),
-    cliContent,
-    { mode: 0o755 }
-  );
-
-  // Create README.md
-  const readmeContent = generateReadme(name, skillClassName);
-  fs.writeFileSync(
-    join(skillPath, 'README.md'),
-    readmeContent
-  );
-
-  // Create .gitignore
-  const gitignoreContent = generateGitignore();
-  fs.writeFileSync(
-    join(skillPath, '.gitignore'),
-    gitignoreContent
-  );
-
-  // Create .skill.yml
-  const skillYmlContent = generateSkillYml(name);
-  fs.writeFileSync(
-    join(skillPath, '.skill.yml'),
-    skillYmlContent
-  );
-
-  // Create analyzer if template requires it
-  if (template === 'analyzer' || template === 'advanced') {
-    const analyzerContent = generateAnalyzer(name);
-    fs.writeFileSync(
-      join(skillPath, 'src/analyzer/index.js'),
-      analyzerContent
-    );
+  // The MIT text is the only license generated
+  if (answers.license === 'MIT') {
+    plan.write('LICENSE', generateLicense(answers.author));
   }
 
-  // Create bunfig.toml for proper npm installs
-  const bunfigContent = generateBunfig();
-  fs.writeFileSync(
-    join(skillPath, 'bunfig.toml'),
-    bunfigContent
-  );
+  // bunfig.toml for proper npm installs
+  plan.write('bunfig.toml', generateBunfig());
 
-  // Create marketplace.json if market-ready skill
-  if (options.marketplace) {
-    const marketplaceJson = generateMarketplaceJson(name, skillClassName);
-    fs.writeFileSync(
-      join(skillPath, 'marketplace.json'),
-      JSON.stringify(marketplaceJson, null, 2)
-      );
+  // The template's files override the generated ones
+  for (const { file, content, mode } of templateFiles) {
+    plan.write(file, content, { mode });
   }
 
-  return {
+  // SKILL.md, the one file Claude Code requires, unless the template has one
+  if (!plan.has('SKILL.md')) {
+    const resources = plan.files()
+      .filter(({ file }) => /^(?:scripts|references|assets)\//.test(file))
+      .map(({ file, content }) => ({
+        file,
+        content,
+        use: template.resources[file] && substitute(template.resources[file], variables)
+      }));
+    plan.write('SKILL.md', generateSkillMd(name, skillClassName, answers, plan.read('.skill.yml') || '', resources));
+  }
+
+  // Never write JavaScript that does not parse
+  const syntaxErrors = checkPlan(plan);
+  if (syntaxErrors.length > 0) {
+    return {
+      success: false,
+      error: `Template "${template.name}" generates invalid JavaScript:\n${formatSyntaxErrors(syntaxErrors)}`,
+      syntaxErrors
+    };
+  }
+
+  if (options.dryRun) {
+    return {
+      success: true,
+      dryRun: true,
+      skillPath,
+      skillName: name,
+      template: template.name,
+      files: plan.changes().map(({ file }) => file),
+      preview: formatPlan(plan)
+    };
+  }
+
+  try {
+    commitPlan(plan);
+  } catch (e) {
+    return {
+      success: false,
+      error: `Could not write ${skillPath}: ${e.message}`
+    };
+  }
+
+  const result = {
     success: true,
     skillPath,
     skillName: name,
-    message: t('success_skill_created')
+    message: t('success_skill_created', '✅ Created {name} in {path}')
       .replace('{name}', name)
       .replace('{path}', skillPath),
-    nextSteps: [
-      `cd ${skillPath}`,
-      'npm install',
-      'bun run build',
-      'Test your skill: ./dist/cli/index.js --help'
-    ]
+    template: template.name,
+    nextSteps: template.postCreate.map(step => substitute(step, variables))
   };
+
+  // Smoke-test the generated CLI
+  if (options.verify) {
+    result.verify = verifySkill(skillPath);
+    if (!result.verify.passed) {
+      result.success = false;
+      result.error = `Generated CLI failed verification (${result.verify.command}): ${result.verify.error}`;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Built-in template variables
+ */
+function getTemplateVariables(name, className, answers, skillPath) {
+  const { purpose, triggers, author, license, languages } = resolveAnswers(name, answers);
+  const title = name.replace(/-/g, ' ');
+  const triggerPhrases = triggers.length > 0 ? triggers : [`working with ${title}`];
+  const description = purpose.replace(/\.?$/, '.');
+
+  return {
+    name,
+    className,
+    title,
+    path: skillPath,
+    purpose,
+    description,
+    descriptionYaml: JSON.stringify(purpose),
+    author,
+    license,
+    copyright: `${license}${author ? ` © ${author}` : ''}`,
+    year: new Date().getFullYear(),
+    languages: languages.join(', '),
+    whenToUse: describeWhenToUse(name, triggers),
+    triggerList: triggerPhrases.map(trigger => `- ${trigger}`).join('\n'),
+    triggerPatterns: triggers
+      .map(trigger => `  - pattern: ${JSON.stringify(trigger)}\n    description: Use when ${trigger}`)
+      .join('\n')
+  };
+}
+
+/**
+ * Fill in default answers for generators called without the wizard
+ */
+function resolveAnswers(name, answers = {}) {
+  const given = Object.entries(answers).filter(([, value]) => value !== undefined);
+  return { ...defaultAnswers(name), ...Object.fromEntries(given) };
 }
 
 /**
  * Generate package.json content
+ *
+ * Build scripts are only added for the entry points the template ships.
  */
-function generatePackageJson(name, className) {
+function generatePackageJson(name, className, answers = {}, sources = []) {
+  const { purpose, keywords, author, license } = resolveAnswers(name, answers);
   return {
     name,
     version: '1.0.0',
-    description: `A Claude skill for ${name} that follows SkillsMP/DayMade best practices`,
+    description: answers.purpose ? purpose : `A Claude skill for ${name} that follows SkillsMP/DayMade best practices`,
     type: 'module',
     main: 'dist/cli/index.js',
     bin: {
       [name]: 'dist/cli/index.js'
     },
-    scripts: {
-      build: 'bun build src/cli/index.js --outdir dist/cli --target node --platform neutral',
-      'build:analyzer': 'bun build src/analyzer/index.js --outdir dist/analyzer --target node --platform neutral',
-      'build:all': 'bun run build && bun run build:analyzer',
-      dev: `bun run src/cli/index.js`
-    },
-    keywords: [
-      'claude',
-      'skill',
-      name
-    ],
-    author: '',
-    license: 'MIT',
+    scripts: generateScripts(sources),
+    keywords,
+    author,
+    license,
+    ...(answers.repository && {
+      repository: { type: 'git', url: `git+${answers.repository}.git` },
+      homepage: answers.homepage || `${answers.repository}#readme`,
+      bugs: { url: answers.bugs || `${answers.repository}/issues` }
+    }),
     dependencies: {
       'picocolors': '^1.1.1',
       'yargs': '^17.7.2'
@@ -186,208 +243,105 @@ function generatePackageJson(name, className) {
 }
 
 /**
- * Generate polyglot.json content
+ * Generate the build and dev scripts for the template's src/ entry points
  */
-function generatePolyglotJson(name, className) {
+function generateScripts(sources) {
+  const hasCli = sources.includes('src/cli/index.js');
+  const hasAnalyzer = sources.includes('src/analyzer/index.js');
   return {
-    skill_name: {
-      '': className,
-      zh: ''
-    },
-    skill_description: {
-      '': `A Claude skill for ${name.replace(/-/g, ' ')}`,
-      zh: ''
-    },
-    help_description: {
-      '': `Use this skill to ${name.replace(/-/g, ' ')}`,
-      zh: ''
-    },
-    command_help: {
-      '': 'Show help information',
-      zh: '显示帮助信息'
-    },
-    command_version: {
-      '': 'Show version information',
-      zh: '显示版本信息'
-    },
-    success_message: {
-      '': 'Operation completed successfully',
-      zh: '操作成功完成'
-    },
-    error_message: {
-      '': 'An error occurred',
-      zh: '发生错误'
-    }
+    ...(hasCli && { build: 'bun build src/cli/index.js --outdir dist/cli --target node --platform neutral' }),
+    ...(hasAnalyzer && { 'build:analyzer': 'bun build src/analyzer/index.js --outdir dist/analyzer --target node --platform neutral' }),
+    ...(hasCli && hasAnalyzer && { 'build:all': 'bun run build && bun run build:analyzer' }),
+    ...(hasCli && { dev: 'bun run src/cli/index.js' })
   };
 }
 
 /**
- * Generate CLI entry point
+ * Describe when to use the skill, from the wizard's trigger phrases
+ *
+ * The skill's name is always mentioned, as every template's .skill.yml
+ * triggers on it. The fallback names the skill twice so even the default
+ * description reaches the analyzer's recommended length.
  */
-function generateCli(name) {
-  return `#!/usr/bin/env node
-import yargs from 'yargs';
-import { hideBin } from 'yargs/helpers';
-import path from 'path';
-import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
-
-// Load translations
-function loadTranslations() {
-  try {
-    const polyglotPath = join(__dirname, '../../polyglot.json');
-    const fs = await import('fs');
-    if (fs.existsSync(polyglotPath)) {
-      const content = fs.readFileSync(polyglotPath, 'utf-8');
-      return JSON.parse(content);
-    }
-  } catch (e) {
-    console.warn('Failed to load translations:', e.message);
-  }
-  return {};
-}
-
-// Get translation helper
-let translations = {};
-function t(key, defaultValue = key) {
-  return translations[key]?.[''] || defaultValue;
-}
-
-// CLI configuration
-const argv = yargs(hideBin(process.argv))
-  .scriptName('${name}')
-  .usage('Usage: $0 <command> [options]')
-  .command('hello [name]', 'Say hello to someone', (yargs) => {
-    return yargs
-      .positional('name', {
-        describe: 'Name to greet',
-        type: 'string',
-        default: 'World'
-      });
-  }, async (argv) => {
-    translations = loadTranslations();
-    console.log(\`Hello, \${argv.name}!\`);
-    console.log(t('success_message', 'Success!'));
-  })
-  .help()
-  .alias('help', 'h')
-  .version('1.0.0')
-  .alias('version', 'v')
-  .example('$0 hello Claude', 'Say hello to Claude')
-  .argv;
-
-export { argv };
-`;
+function describeWhenToUse(name, triggers = []) {
+  const title = name.replace(/-/g, ' ');
+  return triggers.length > 0
+    ? `Use this skill when the user mentions ${title}, or when ${triggers.join(', or when ')}`
+    : `Use this skill when the user mentions ${title} or asks for help with ${title}`;
 }
 
 /**
- * Generate analyzer content
- */
-function generateAnalyzer(name) {
-  return `/**
- * ${name} Analyzer
+ * Generate polyglot.json content
  *
- * Analyzes input and generates structured data for visualization
+ * Every key gets the default ("") text plus an entry per seeded language,
+ * pre-filled where a translation is known.
  */
+function generatePolyglotJson(name, className, answers = {}) {
+  const { purpose, triggers, languages } = resolveAnswers(name, answers);
+  const entry = (text, known = {}) => ({
+    '': text,
+    ...Object.fromEntries(languages.map(language => [language, known[language] || '']))
+  });
 
-import fs from 'fs';
-import path from 'path';
-
-/**
- * Analyze the given input
- * @param {string} input - The input to analyze
- * @param {object} options - Analysis options
- * @returns {object} Analysis results
- */
-export async function analyze(input, options = {}) {
-  const results = {
-    input,
-    timestamp: new Date().toISOString(),
-    analysis: {}
+  return {
+    skill_name: entry(className),
+    skill_description: entry(purpose),
+    help_description: entry(describeWhenToUse(name, triggers)),
+    command_help: entry('Show help information', { zh: '显示帮助信息' }),
+    command_version: entry('Show version information', { zh: '显示版本信息' }),
+    success_message: entry('Operation completed successfully', { zh: '操作成功完成' }),
+    error_message: entry('An error occurred', { zh: '发生错误' })
   };
-
-  // Add your analysis logic here
-  // Example: Parse input, extract patterns, generate metrics
-
-  return results;
-}
-
-/**
- * Analyze a file
- * @param {string} filePath - Path to the file to analyze
- * @returns {object} Analysis results
- */
-export async function analyzeFile(filePath) {
-  if (!fs.existsSync(filePath)) {
-    throw new Error(\`File not found: \${filePath}\`);
-  }
-
-  const content = fs.readFileSync(filePath, 'utf-8');
-  return analyze(content, { source: filePath });
 }
 
 /**
- * Analyze a directory
- * @param {string} dirPath - Path to the directory to analyze
- * @returns {object} Analysis results
+ * Generate SKILL.md content
+ *
+ * The Commands and Examples sections are derived from the commands declared
+ * in `.skill.yml` (its YAML text is passed as `skillYml`); a Resources
+ * section links the bundled `resources` ([{ file, content, use }]) and says
+ * when to use each.
  */
-export async function analyzeDirectory(dirPath) {
-  if (!fs.existsSync(dirPath)) {
-    throw new Error(\`Directory not found: \${dirPath}\`);
-  }
-
-  const results = {
-    type: 'directory',
-    path: dirPath,
-    files: [],
-    timestamp: new Date().toISOString()
-  };
+function generateSkillMd(name, className, answers = {}, skillYml = '', resources = []) {
+  const { purpose, triggers, license } = resolveAnswers(name, answers);
+  const description = `${purpose.replace(/\.?$/, '.')} ${describeWhenToUse(name, triggers)}.`;
 
-  const entries = fs.readdirSync(dirPath, { withFileTypes: true });
-
-  for (const entry of entries) {
-    if (entry.isFile()) {
-      const filePath = path.join(dirPath, entry.name);
-      try {
-        const analysis = await analyzeFile(filePath);
-        results.files.push({
-          name: entry.name,
-          analysis
-        });
-      } catch (e) {
-        results.files.push({
-          name: entry.name,
-          error: e.message
-        });
-      }
-    }
+  let commands = [];
+  try {
+    commands = parseYaml(skillYml)?.commands || [];
+  } catch (e) {
+    // An unreadable .skill.yml just leaves the sections empty
   }
 
-  return results;
-}
-
-export { analyze, analyzeFile, analyzeDirectory };
-`;
-}
-
-/**
- * Generate README.md content
- */
-function generateReadme(name, className) {
-  return `# ${className}
-
-A Claude skill for ${name.replace(/-/g, ' ')}.
+  const usage = (command) => [command.name, ...(command.arguments || [])
+    .map(arg => arg.required ? `<${arg.name}>` : `[${arg.name}]`)].join(' ');
+  const example = (command) => [name, command.name, ...(command.arguments || [])
+    .map(arg => arg.default !== undefined ? arg.default : `<${arg.name}>`)].join(' ');
+
+  const commandRows = commands.length > 0
+    ? commands.map(command => `| \`${usage(command)}\` | ${command.description || ''} |`).join('\n')
+    : '| _none yet_ | Declare commands in `.skill.yml` |';
+  const examples = commands.length > 0
+    ? commands.map(command => `# ${command.description || command.name}\n${example(command)}`).join('\n\n')
+    : `${name} --help`;
+  const resourceSection = resources.length > 0
+    ? `\n## Resources\n\n${resources.map(describeResource).join('\n')}\n`
+    : '';
+
+  return `---
+name: ${name}
+description: ${JSON.stringify(description)}
+${license ? `license: ${license}\n` : ''}---
 
-## Installation
+# ${className}
 
-This skill is installed as part of Claude Code environment.
+${purpose.replace(/\.?$/, '.')}
 
-## Usage
+## Quick Start
 
 \`\`\`bash
+npm install
+bun run build
 ${name} --help
 \`\`\`
 
@@ -395,46 +349,44 @@ ${name} --help
 
 | Command | Description |
 |---------|-------------|
-| \`hello [name]\` | Say hello to someone |
+${commandRows}
 
-## Development
+## Examples
 
 \`\`\`bash
-# Install dependencies
-bun install
-
-# Build the skill
-bun run build
-
-# Run in development mode
-bun run dev
-\`\`\`
-
-## Structure
-
+${examples}
 \`\`\`
-${name}/
-├── src/
-│   ├── cli/
-│   │   └── index.js      # CLI entry point
-│   └── analyzer/
-│       └── index.js      # Analyzer (optional)
-├── dist/                 # Built files
-├── locales/              # Additional translations
-├── polyglot.json         # Internationalization
-├── package.json
-├── .skill.yml           # Skill configuration
-└── README.md
-\`\`\`
-
-## Contributing
-
-Contributions are welcome! Please feel free to submit a Pull Request.
-
-## License
+${resourceSection}`;
+}
 
-MIT
-`;
+/**
+ * One Resources line for a bundled file, saying when to use it
+ *
+ * `use` is the template's own text for the file. Without it, scripts are
+ * described by their leading comment and references by their headings.
+ */
+function describeResource({ file, content = '', use }) {
+  const link = `[${file}](${file})`;
+  if (use) {
+    return `- ${link}: ${use.replace(/\.?$/, '')}`;
+  }
+  if (file.startsWith('references/')) {
+    const headings = [...content.matchAll(/^##\s+(.+?)\s*#*$/gm)].map(match => match[1]);
+    const topics = headings.length > 0 ? headings : [path.basename(file, path.extname(file)).replace(/[-_]/g, ' ')];
+    const list = topics.length > 1
+      ? `${topics.slice(0, -1).join(', ')} or ${topics[topics.length - 1]}`
+      : topics[0];
+    return `- Read ${link} when you need details on ${list}`;
+  }
+  if (file.startsWith('scripts/')) {
+    const comment = content.split('\n')
+      .find(line => line.startsWith('#') && !line.startsWith('#!'))
+      ?.replace(/^#+\s*/, '');
+    return comment
+      ? `- Run ${link} to ${comment.charAt(0).toLowerCase()}${comment.slice(1).replace(/\.?$/, '')}`
+      : `- Run ${link} when the task needs it, instead of repeating its steps`;
+  }
+  return `- Use ${link} when the output needs it`;
 }
 
 /**
@@ -470,43 +422,6 @@ yarn-error.log*
 `;
 }
 
-/**
- * Generate .skill.yml content
- */
-function generateSkillYml(name) {
-  return `# Claude Skill Configuration
-name: ${name}
-version: 1.0.0
-description: A Claude skill for ${name.replace(/-/g, ' ')}
-
-# Skill settings
-settings:
-  # Output format for results
-  output_format: text
-
-  # Enable verbose logging
-  verbose: false
-
-  # Default language
-  language: en
-
-# Supported commands
-commands:
-  - name: hello
-    description: Say hello to someone
-    arguments:
-      - name: name
-        description: Name to greet
-        required: false
-        default: World
-
-# Triggers that invoke this skill
-triggers:
-  - pattern: "${name}"
-    description: User mentions ${name}
-`;
-}
-
 /**
  * Generate bunfig.toml content
  */
@@ -527,25 +442,88 @@ enable = true
 /**
  * Generate marketplace.json content for market-ready skills
  */
-function generateMarketplaceJson(name, className) {
-  const categories = {
-    'productivity': 'Workflow automation',
-    'development': 'CLI tool',
-    'documentation': 'Developer tool',
-    'utilities': 'System administration'
-  };
+function generateMarketplaceJson(name, className, answers = {}) {
+  const { purpose, categories, keywords, author, license, repository, homepage, bugs, marketplace } = resolveAnswers(name, {
+    keywords: ['claude', 'skill', 'ai', 'automation'],
+    ...answers,
+    marketplace: answers.marketplace || 'skillsmp'
+  });
 
   return {
     name,
     version: '1.0.0',
-    description: `A Claude skill for ${name} that follows SkillsMP/DayMade best practices`,
-    categories: Object.values(categories),
-    keywords: ['claude', 'skill', 'ai', 'automation'],
-    author: 'Claude Code',
-    license: 'MIT',
-    repository: `https://github.com/ETZhang/skills-builder`,
-    homepage: `https://github.com/ETZhang/skills-builder#readme`,
-    bugs: `https://github.com/ETZhang/skills-builder/issues`,
-    marketplace: 'skillsmp'
+    description: answers.purpose ? purpose : `A Claude skill for ${name} that follows SkillsMP/DayMade best practices`,
+    categories,
+    keywords,
+    author,
+    license,
+    repository,
+    homepage,
+    bugs,
+    marketplace
   };
 }
+
+/**
+ * Generate LICENSE content (MIT)
+ */
+function generateLicense(author = '', year = new Date().getFullYear()) {
+  const holder = [year, author].filter(Boolean).join(' ');
+  return `MIT License
+
+Copyright (c) ${holder}
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights
+to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in all
+copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+SOFTWARE.
+`;
+}
+
+/**
+ * Generate CHANGELOG.md content
+ *
+ * A null `version` leaves out the initial release section.
+ */
+function generateChangelog(version = '1.0.0', date = new Date().toISOString().slice(0, 10)) {
+  const header = `# Changelog
+
+All notable changes to this project will be documented in this file.
+
+The format is based on [Keep a Changelog](https://keepachangelog.com/en/1.1.0/),
+and this project adheres to [Semantic Versioning](https://semver.org/spec/v2.0.0.html).
+
+## [Unreleased]
+`;
+  if (version === null) {
+    return header;
+  }
+  return `${header}
+## [${version}] - ${date}
+
+### Added
+- Initial release
+`;
+}
+
+export {
+  generatePackageJson,
+  generatePolyglotJson,
+  generateGitignore,
+  generateSkillMd,
+  generateLicense,
+  generateChangelog
+};
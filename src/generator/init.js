@@ -1,96 +1,341 @@
 /**
  * Initialize current directory as a skill
+ *
+ * `init` adopts whatever project is already there instead of replacing it:
+ * it detects package.json, an existing CLI entry, README, git and
+ * TypeScript, merges only the missing skill fields into package.json and
+ * writes only the skill files that do not exist yet. Every decision goes
+ * into a merge report as "added", "skipped" (already there) or "conflict"
+ * (a different value exists and is kept).
  */
 
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
+import { generateSkillMd } from './index.js';
+import { formatSyntaxErrors } from './verify.js';
+import { createPlan, checkPlan, commitPlan, formatPlan } from './plan.js';
+import { BEST_PRACTICES } from '../validator/constants.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
+// Where an existing CLI's source usually lives, checked in order
+const CLI_SOURCES = [
+  'src/cli/index.js',
+  'src/cli/index.ts',
+  'src/cli/index.mjs',
+  'src/cli.js',
+  'src/cli.ts',
+  'bin/cli.js',
+  'cli.js'
+];
+
+const README_FILES = ['README.md', 'readme.md', 'Readme.md', 'README'];
+
+// Lines every skill's .gitignore needs
+const GITIGNORE_ENTRIES = ['node_modules/', 'dist/'];
+
+// package.json fields any existing value satisfies
+const ANY_VALUE_FIELDS = ['name', 'version', 'description', 'main', 'keywords', 'license'];
+
+// Files owned by the skill, regenerated by --force
+const SKILL_FILES = ['SKILL.md', '.skill.yml', 'polyglot.json'];
+
+// Directories never searched for CommonJS sources
+const SKIPPED_DIRS = new Set(['node_modules', '.git', 'dist', 'build', 'coverage']);
+
+/**
+ * Read a project file, or null when it is missing or not a file
+ */
+function readText(cwd, file) {
+  try {
+    return fs.readFileSync(join(cwd, file), 'utf-8');
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Detect what an existing project already has
+ */
+export function detectProject(cwd) {
+  const read = (file) => readText(cwd, file);
+
+  let packageJson = null;
+  let packageError = null;
+  const packageText = read('package.json');
+  if (packageText !== null) {
+    try {
+      packageJson = JSON.parse(packageText);
+    } catch (e) {
+      packageError = e.message;
+    }
+  }
+
+  const dependencies = Object.keys({ ...packageJson?.dependencies, ...packageJson?.devDependencies });
+  const bin = typeof packageJson?.bin === 'string'
+    ? packageJson.bin
+    : Object.values(packageJson?.bin || {})[0];
+  const cliSource = CLI_SOURCES.find(file => fs.existsSync(join(cwd, file))) || null;
+
+  return {
+    packageJson,
+    packageError,
+    scripts: Object.keys(packageJson?.scripts || {}),
+    dependencies,
+    bin: bin ? bin.replace(/^\.\//, '') : null,
+    cliSource,
+    readme: README_FILES.find(file => fs.existsSync(join(cwd, file))) || null,
+    git: fs.existsSync(join(cwd, '.git')),
+    typescript: fs.existsSync(join(cwd, 'tsconfig.json'))
+      || dependencies.includes('typescript')
+      || Boolean(cliSource?.endsWith('.ts'))
+  };
+}
+
+/**
+ * Title and first prose paragraph of a README
+ */
+function readReadme(content) {
+  const title = content.match(/^#\s+(.+)$/m)?.[1].trim() || null;
+  const summary = content
+    .split(/\r?\n\s*\r?\n/)
+    .map(paragraph => paragraph.trim())
+    .find(paragraph => paragraph
+      && !paragraph.startsWith('#')
+      && !paragraph.startsWith('```')
+      && !/^(\[?!\[|<|[-*|>] )/.test(paragraph));
+  return {
+    title,
+    summary: summary
+      ? summary.replace(/\[([^\]]+)\]\([^)]*\)/g, '$1').replace(/\s+/g, ' ')
+      : null
+  };
+}
+
+/**
+ * Command names declared with yargs or commander `.command('name ...')`
+ * in any of the given sources
+ */
+function readCliCommands(contents) {
+  const names = contents.flatMap(content =>
+    [...content.matchAll(/\.command\(\s*['"`]([\w-]+)/g)].map(match => match[1]));
+  return [...new Set(names)].filter(name => name !== '$0');
+}
+
+/**
+ * Whether a source file is CommonJS: it uses require() or module.exports
+ * and has no import or export statement
+ */
+function isCommonJs(content) {
+  return /\brequire\(|\bmodule\.exports\b/.test(content) && !/^\s*(?:import|export)\s/m.test(content);
+}
+
+/**
+ * Find a file that `"type": "module"` would break: the bin and main
+ * targets, then every .js file outside dependencies and build output.
+ * Returns its project-relative path, or null.
+ */
+function findCommonJsFile(cwd, project) {
+  // .mjs, .cjs and .ts files keep their module system whatever "type" says
+  const affected = (file) => /(?:^|\/)[^./]+$|\.js$/.test(file);
+
+  const entries = [project.bin, project.packageJson?.main]
+    .filter(file => typeof file === 'string')
+    .map(file => file.replace(/^\.\//, ''));
+  for (const file of entries) {
+    const content = affected(file) ? readText(cwd, file) : null;
+    if (content !== null && isCommonJs(content)) {
+      return file;
+    }
+  }
+
+  const walk = (dir) => {
+    for (const entry of fs.readdirSync(join(cwd, dir), { withFileTypes: true })) {
+      const file = dir ? `${dir}/${entry.name}` : entry.name;
+      if (entry.isDirectory() && !SKIPPED_DIRS.has(entry.name)) {
+        const found = walk(file);
+        if (found) {
+          return found;
+        }
+      } else if (entry.isFile() && file.endsWith('.js') && isCommonJs(readText(cwd, file) || '')) {
+        return file;
+      }
+    }
+    return null;
+  };
+  return walk('');
+}
+
+/**
+ * Merge skill fields into package.json, recording every decision
+ *
+ * `fields` maps dotted paths ("scripts.build") to the skill's value;
+ * existing values are never replaced, and only count as a conflict when
+ * the skill needs that exact value.
+ */
+function mergePackageJson(existing, fields, report) {
+  const merged = JSON.parse(JSON.stringify(existing));
+  for (const [field, value] of Object.entries(fields)) {
+    const keys = field.split('.');
+    const last = keys.pop();
+    let parent = merged;
+    let blocked = null;
+    for (const [index, key] of keys.entries()) {
+      if (parent[key] === undefined) {
+        parent[key] = {};
+      } else if (typeof parent[key] !== 'object' || Array.isArray(parent[key])) {
+        blocked = keys.slice(0, index + 1).join('.');
+        break;
+      }
+      parent = parent[key];
+    }
+
+    if (blocked) {
+      report.push({ file: 'package.json', field, status: 'conflict', value, existing: existing[blocked], reason: `"${blocked}" is not an object` });
+    } else if (parent[last] === undefined) {
+      parent[last] = value;
+      report.push({ file: 'package.json', field, status: 'added', value });
+    } else if (ANY_VALUE_FIELDS.includes(field) || JSON.stringify(parent[last]) === JSON.stringify(value)) {
+      report.push({ file: 'package.json', field, status: 'skipped', value: parent[last] });
+    } else {
+      report.push({ file: 'package.json', field, status: 'conflict', value, existing: parent[last] });
+    }
+  }
+  return merged;
+}
+
+/**
+ * Initialize `cwd` as a skill
+ *
+ * Files are planned in memory and written together (see plan.js); with
+ * `options.dryRun` the result holds a preview instead. `options.force`
+ * regenerates the skill's own files (SKILL.md, .skill.yml, polyglot.json)
+ * but never the project's package.json, README or CLI.
+ */
 export async function initSkill(cwd, options = {}) {
   const {
     force = false,
+    dryRun = false,
     translations = {}
   } = options;
 
   const t = (key) => translations[key]?.[''] || key;
 
+  const project = detectProject(cwd);
   const results = {
     success: true,
     path: cwd,
+    detected: project,
     created: [],
     skipped: [],
+    report: [],
     errors: []
   };
+  const { report } = results;
+
+  const plan = createPlan(cwd);
 
-  // Helper to create file if it doesn't exist
-  const createFile = (filename, content, overwrite = false) => {
-    const filePath = join(cwd, filename);
-    if (fs.existsSync(filePath) && !overwrite && !force) {
+  // Helper to plan a file unless it already exists
+  const createFile = (filename, content, reason) => {
+    const exists = fs.existsSync(join(cwd, filename));
+    if (exists && !(force && SKILL_FILES.includes(filename))) {
       results.skipped.push(filename);
+      report.push({ file: filename, field: null, status: 'skipped', reason: 'already exists' });
       return false;
     }
-    fs.mkdirSync(path.dirname(filePath), { recursive: true });
-    fs.writeFileSync(filePath, content);
+    plan.write(filename, content);
     results.created.push(filename);
+    report.push({ file: filename, field: null, status: 'added', reason: exists ? 'regenerated (--force)' : reason });
     return true;
   };
 
-  // Get skill name from directory name
-  const skillName = path.basename(cwd);
-  const skillClassName = skillName.split('-')
+  // Skill name: the package's own name when it is a valid skill name
+  const packageName = project.packageJson?.name?.replace(/^@[^/]+\//, '');
+  const skillName = packageName && BEST_PRACTICES.nameFormat.test(packageName)
+    ? packageName
+    : path.basename(cwd);
+  const readme = project.readme ? readReadme(fs.readFileSync(join(cwd, project.readme), 'utf-8')) : {};
+  const skillClassName = readme.title || skillName.split('-')
     .map(word => word.charAt(0).toUpperCase() + word.slice(1))
     .join('');
+  const description = project.packageJson?.description
+    || readme.summary
+    || `A Claude skill for ${skillName.replace(/-/g, ' ')}`;
 
-  // Check if already initialized
-  if (fs.existsSync(join(cwd, 'package.json')) && !force) {
-    const existingPackage = JSON.parse(fs.readFileSync(join(cwd, 'package.json'), 'utf-8'));
-    if (existingPackage.name === skillName) {
-      results.success = false;
-      results.message = 'Directory is already initialized as a skill. Use --force to overwrite.';
-      return results;
-    }
-  }
+  // A CLI is only generated when the project has none
+  const generateCli = !project.cliSource && !project.bin;
+  const cliSource = project.cliSource || (generateCli ? 'src/cli/index.js' : null);
 
-  // Create package.json
-  const packageJson = {
+  // Skill fields merged into package.json
+  const fields = {
     name: skillName,
     version: '1.0.0',
-    description: `A Claude skill for ${skillName.replace(/-/g, ' ')}`,
+    description,
     type: 'module',
-    main: 'dist/cli/index.js',
-    bin: {
-      [skillName]: 'dist/cli/index.js'
-    },
-    scripts: {
-      build: 'bun build src/cli/index.js --outdir dist/cli --target node --platform neutral',
-      dev: `bun run src/cli/index.js`
-    },
-    keywords: ['claude', 'skill', skillName],
-    author: '',
-    license: 'MIT',
-    dependencies: {
-      'picocolors': '^1.1.1',
-      'yargs': '^17.7.2'
-    }
+    // Only a missing main points at the built CLI
+    ...(!project.packageJson?.main && cliSource && { main: 'dist/cli/index.js' }),
+    // An existing bin is compared as a whole rather than gaining a second command
+    [project.packageJson?.bin ? 'bin' : `bin.${skillName}`]: project.packageJson?.bin
+      ? { [skillName]: 'dist/cli/index.js' }
+      : 'dist/cli/index.js'
   };
-  createFile('package.json', JSON.stringify(packageJson, null, 2));
+  if (cliSource) {
+    fields['scripts.build'] = /\/index\.\w+$/.test(cliSource)
+      ? `bun build ${cliSource} --outdir dist/cli --target node --platform neutral`
+      : `bun build ${cliSource} --outfile dist/cli/index.js --target node --platform neutral`;
+    fields['scripts.dev'] = `bun run ${cliSource}`;
+  }
+  fields.keywords = ['claude', 'skill', skillName];
+  // Never pick a license for somebody else's project
+  if (!project.packageJson) {
+    fields.license = 'MIT';
+  }
+  if (generateCli) {
+    fields['dependencies.picocolors'] = '^1.1.1';
+    fields['dependencies.yargs'] = '^17.7.2';
+  }
+
+  if (project.packageError) {
+    report.push({ file: 'package.json', field: null, status: 'conflict', reason: `not valid JSON (${project.packageError}); left unchanged` });
+  } else {
+    const existing = project.packageJson || {};
+    const packageJson = mergePackageJson(existing, fields, report);
+
+    // Switching a CommonJS project to ES modules would break it
+    const typeEntry = report.find(entry => entry.field === 'type');
+    const commonJsFile = typeEntry.status === 'added' ? findCommonJsFile(cwd, project) : null;
+    if (commonJsFile) {
+      delete packageJson.type;
+      Object.assign(typeEntry, {
+        status: 'conflict',
+        existing: undefined,
+        reason: `${commonJsFile} is CommonJS; not switching the package to ES modules`
+      });
+    }
+
+    if (JSON.stringify(packageJson) !== JSON.stringify(existing)) {
+      const trailingNewline = plan.read('package.json')?.endsWith('\n') ? '\n' : '';
+      plan.write('package.json', `${JSON.stringify(packageJson, null, 2)}${trailingNewline}`);
+      results.created.push('package.json');
+    }
+  }
 
   // Create polyglot.json
   const polyglotJson = {
     skill_name: { '': skillClassName },
-    skill_description: { '': `A Claude skill for ${skillName}` },
+    skill_description: { '': description },
     help_description: { '': `Use this skill to ${skillName}` },
     success_message: { '': 'Operation completed successfully' },
     error_message: { '': 'An error occurred' }
   };
   createFile('polyglot.json', JSON.stringify(polyglotJson, null, 2));
 
-  // Create src/cli directory and index.js
-  const cliContent = `#!/usr/bin/env node
+  // Create src/cli/index.js unless the project has a CLI already
+  if (generateCli) {
+    const cliContent = `#!/usr/bin/env node
 import yargs from 'yargs';
 import { hideBin } from 'yargs/helpers';
 
@@ -113,12 +358,18 @@ const argv = yargs(hideBin(process.argv))
 
 export { argv };
 `;
-  createFile('src/cli/index.js', cliContent);
+    createFile('src/cli/index.js', cliContent);
+  } else {
+    report.push({ file: project.cliSource || project.bin, field: null, status: 'skipped', reason: 'existing CLI entry is used' });
+  }
 
   // Create README.md
-  const readmeContent = `# ${skillClassName}
+  if (project.readme) {
+    report.push({ file: project.readme, field: null, status: 'skipped', reason: 'already exists' });
+  } else {
+    const readmeContent = `# ${skillClassName}
 
-A Claude skill for ${skillName.replace(/-/g, ' ')}.
+${description.replace(/\.?$/, '.')}
 
 ## Usage
 
@@ -133,27 +384,141 @@ bun install
 bun run build
 \`\`\`
 `;
-  createFile('README.md', readmeContent);
+    createFile('README.md', readmeContent);
+  }
 
-  // Create .gitignore
-  const gitignoreContent = `node_modules/
-dist/
-.env
-*.log
-`;
-  createFile('.gitignore', gitignoreContent);
+  // Create .gitignore, or add the entries a skill needs
+  const gitignore = plan.read('.gitignore');
+  if (gitignore === null) {
+    createFile('.gitignore', `${GITIGNORE_ENTRIES.join('\n')}\n.env\n*.log\n`);
+  } else {
+    const lines = gitignore.split(/\r?\n/).map(line => line.trim());
+    const missing = GITIGNORE_ENTRIES.filter(entry => !lines.includes(entry) && !lines.includes(entry.slice(0, -1)));
+    for (const entry of GITIGNORE_ENTRIES) {
+      report.push({ file: '.gitignore', field: entry, status: missing.includes(entry) ? 'added' : 'skipped' });
+    }
+    if (missing.length > 0) {
+      plan.write('.gitignore', `${gitignore.replace(/\n?$/, '\n')}${missing.join('\n')}\n`);
+      results.created.push('.gitignore');
+    }
+  }
 
-  // Create .skill.yml
+  // Create .skill.yml, listing the commands the CLI source and bin entry declare
+  const cliCommands = generateCli
+    ? ['hello']
+    : readCliCommands([...new Set([project.cliSource, project.bin])]
+      .filter(Boolean)
+      .map(file => readText(cwd, file))
+      .filter(content => content !== null));
   const skillYmlContent = `name: ${skillName}
-version: 1.0.0
-description: A Claude skill for ${skillName}
+version: ${project.packageJson?.version || '1.0.0'}
+description: ${JSON.stringify(description)}
 
-commands:
-  - name: hello
-    description: Say hello to someone
-`;
+commands:${cliCommands.length > 0 ? '' : ' []'}
+${cliCommands.map(name => `  - name: ${name}\n    description: ${name === 'hello' && generateCli ? 'Say hello to someone' : `Run ${name}`}\n`).join('')}`;
   createFile('.skill.yml', skillYmlContent);
 
-  results.message = `✅ Skill initialized at ${cwd}`;
+  // Create SKILL.md from the README, package.json and .skill.yml
+  let packageInfo = {};
+  try {
+    packageInfo = JSON.parse(plan.read('package.json'));
+  } catch (e) {
+    // Fall back to the defaults
+  }
+  const skillMdContent = generateSkillMd(skillName, skillClassName, {
+    purpose: description,
+    // A project without a license gets none in SKILL.md either
+    license: typeof packageInfo.license === 'string' ? packageInfo.license : null
+  }, plan.read('.skill.yml') || '');
+  const descriptionSource = project.packageJson?.description ? 'package.json' : readme.summary && project.readme;
+  const sources = descriptionSource && descriptionSource === project.readme && readme.title
+    ? [`title and description from ${project.readme}`]
+    : [
+      readme.title && `title from ${project.readme}`,
+      descriptionSource && `description from ${descriptionSource}`
+    ].filter(Boolean);
+  createFile('SKILL.md', skillMdContent, sources.length > 0 ? sources.join(', ') : undefined);
+
+  // Never write JavaScript that does not parse
+  const syntaxErrors = checkPlan(plan);
+  if (syntaxErrors.length > 0) {
+    results.success = false;
+    results.created = [];
+    results.errors.push(`Refusing to write invalid JavaScript:\n${formatSyntaxErrors(syntaxErrors)}`);
+    return results;
+  }
+
+  if (dryRun) {
+    results.dryRun = true;
+    results.preview = formatPlan(plan);
+    results.message = `Dry run: nothing was written to ${cwd}`;
+    return results;
+  }
+
+  try {
+    commitPlan(plan);
+  } catch (e) {
+    results.success = false;
+    results.created = [];
+    results.errors.push(`Could not write files, nothing was changed: ${e.message}`);
+    return results;
+  }
+
+  results.message = results.created.length > 0
+    ? `✅ Skill initialized at ${cwd}`
+    : `Nothing to change: ${cwd} is already a skill`;
   return results;
 }
+
+/**
+ * Format what init detected and its merge report
+ */
+export function formatInitReport(results) {
+  const { detected, report } = results;
+  const found = [];
+  if (detected.packageJson) {
+    found.push(`package.json (${detected.scripts.length} script(s), ${detected.dependencies.length} dependenc${detected.dependencies.length === 1 ? 'y' : 'ies'})`);
+  }
+  if (detected.cliSource || detected.bin) {
+    found.push(`CLI entry ${detected.cliSource || detected.bin}`);
+  }
+  if (detected.readme) {
+    found.push(detected.readme);
+  }
+  if (detected.git) {
+    found.push('git repository');
+  }
+  if (detected.typescript) {
+    found.push('TypeScript');
+  }
+
+  const icons = { added: '+', skipped: '=', conflict: '!' };
+  const lines = [`Detected: ${found.length > 0 ? found.join(', ') : 'empty directory'}`, ''];
+  for (const file of [...new Set(report.map(entry => entry.file))]) {
+    lines.push(file);
+    for (const entry of report.filter(e => e.file === file)) {
+      const label = entry.field ?? (entry.status === 'added' ? 'created' : 'kept');
+      let detail = '';
+      if (entry.status === 'conflict' && entry.existing !== undefined) {
+        detail = `: kept ${JSON.stringify(entry.existing)} (skill default ${JSON.stringify(entry.value)})`;
+      } else if (entry.field && entry.value !== undefined) {
+        detail = `: ${JSON.stringify(entry.value)}`;
+      }
+      const reason = entry.reason ? ` (${entry.reason})` : '';
+      lines.push(`  ${icons[entry.status]} ${label}${detail}${reason}`);
+    }
+  }
+
+  const count = (status) => report.filter(entry => entry.status === status).length;
+  lines.push('');
+  lines.push(`${count('added')} added, ${count('skipped')} skipped, ${count('conflict')} conflict(s)`);
+  for (const error of results.errors) {
+    lines.push(`❌ ${error}`);
+  }
+  if (results.message) {
+    lines.push(results.message);
+  }
+  return lines.join('\n');
+}
+
+export { CLI_SOURCES };
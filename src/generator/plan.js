@@ -0,0 +1,264 @@
+/**
+ * File Plan
+ *
+ * Every generator command (create, init, update) first records the
+ * directories and files it wants in an in-memory plan. The plan can then be
+ * previewed (--dry-run) or committed transactionally:
+ *
+ * - a new skill is written to a temporary sibling directory and renamed
+ *   into place, so a failure never leaves a half-built skill behind;
+ * - changes to an existing directory are staged, then swapped in file by
+ *   file, and the previous files are restored if any step fails.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { join } from 'path';
+import { createUnifiedDiff } from '../utils/diff.js';
+import { checkFiles } from './verify.js';
+
+/**
+ * Create an empty plan for the directory `root`
+ */
+export function createPlan(root) {
+  const dirs = new Set();
+  const files = new Map();
+
+  const plan = {
+    root,
+
+    mkdir(dir) {
+      dirs.add(normalize(dir));
+      return plan;
+    },
+
+    write(file, content, { mode } = {}) {
+      files.set(normalize(file), { content, mode });
+      return plan;
+    },
+
+    has(file) {
+      return files.has(normalize(file));
+    },
+
+    // Pending content, else the content on disk, else null
+    read(file) {
+      const key = normalize(file);
+      if (files.has(key)) {
+        return String(files.get(key).content);
+      }
+      const fullPath = join(root, key);
+      return fs.existsSync(fullPath) ? fs.readFileSync(fullPath, 'utf-8') : null;
+    },
+
+    // [{ file, content, mode, previous }] sorted by path; previous is the
+    // content on disk (null for new files)
+    files() {
+      return [...files.entries()]
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([file, { content, mode }]) => {
+          const fullPath = join(root, file);
+          const previous = fs.existsSync(fullPath) ? fs.readFileSync(fullPath) : null;
+          return { file, content, mode, previous };
+        });
+    },
+
+    // Planned directories, including the parents of planned files
+    dirs() {
+      const all = new Set(dirs);
+      for (const file of files.keys()) {
+        let dir = path.posix.dirname(file);
+        while (dir !== '.') {
+          all.add(dir);
+          dir = path.posix.dirname(dir);
+        }
+      }
+      return [...all].sort();
+    },
+
+    // Files whose planned content differs from what is on disk
+    changes() {
+      return plan.files().filter(({ content, previous }) =>
+        previous === null || !Buffer.from(content).equals(previous));
+    }
+  };
+
+  return plan;
+}
+
+function normalize(relativePath) {
+  return relativePath.split(path.sep).join('/').replace(/^\.\//, '').replace(/\/$/, '');
+}
+
+/**
+ * Parse-check the plan's JavaScript files
+ */
+export function checkPlan(plan) {
+  return checkFiles(plan.files()
+    .filter(({ content }) => typeof content === 'string'));
+}
+
+/**
+ * Write the plan to disk, all or nothing
+ *
+ * Returns the list of files written.
+ */
+export function commitPlan(plan) {
+  const changes = plan.changes();
+  if (!fs.existsSync(plan.root)) {
+    commitNewDirectory(plan, changes);
+  } else {
+    commitIntoDirectory(plan, changes);
+  }
+  return changes.map(({ file }) => file);
+}
+
+/**
+ * Build a new directory next to its destination, then rename it into place
+ */
+function commitNewDirectory(plan, changes) {
+  const root = path.resolve(plan.root);
+  fs.mkdirSync(path.dirname(root), { recursive: true });
+  // Not mkdtemp: its 0700 mode would stick to the renamed directory
+  const staging = join(path.dirname(root), `.${path.basename(root)}.tmp-${process.pid}-${Date.now()}`);
+  fs.mkdirSync(staging);
+
+  try {
+    writeTree(staging, plan.dirs(), changes);
+    fs.renameSync(staging, root);
+  } catch (e) {
+    fs.rmSync(staging, { recursive: true, force: true });
+    throw e;
+  }
+}
+
+/**
+ * Stage changed files inside an existing directory, then swap them in,
+ * restoring the previous files on failure
+ */
+function commitIntoDirectory(plan, changes) {
+  const root = path.resolve(plan.root);
+  const staging = fs.mkdtempSync(join(root, '.skills-builder-tmp-'));
+  const swapped = [];
+  const createdDirs = [];
+
+  try {
+    // Replaced files keep their permissions unless the plan sets a mode
+    writeTree(join(staging, 'new'), [], changes.map(change => ({
+      ...change,
+      mode: change.mode ?? existingMode(join(root, change.file))
+    })));
+
+    for (const dir of plan.dirs()) {
+      if (!fs.existsSync(join(root, dir))) {
+        fs.mkdirSync(join(root, dir));
+        createdDirs.push(dir);
+      }
+    }
+
+    for (const { file } of changes) {
+      const target = join(root, file);
+      const backup = join(staging, 'backup', file);
+      const hadFile = fs.existsSync(target);
+      if (hadFile) {
+        fs.mkdirSync(path.dirname(backup), { recursive: true });
+        fs.renameSync(target, backup);
+      }
+      swapped.push({ target, backup, hadFile });
+      fs.renameSync(join(staging, 'new', file), target);
+    }
+  } catch (e) {
+    for (const { target, backup, hadFile } of swapped.reverse()) {
+      fs.rmSync(target, { force: true });
+      if (hadFile) {
+        fs.renameSync(backup, target);
+      }
+    }
+    for (const dir of createdDirs.reverse()) {
+      fs.rmSync(join(root, dir), { recursive: true, force: true });
+    }
+    throw e;
+  } finally {
+    fs.rmSync(staging, { recursive: true, force: true });
+  }
+}
+
+function existingMode(filePath) {
+  try {
+    return fs.statSync(filePath).mode & 0o777;
+  } catch (e) {
+    return undefined;
+  }
+}
+
+function writeTree(base, dirs, files) {
+  fs.mkdirSync(base, { recursive: true });
+  for (const dir of dirs) {
+    fs.mkdirSync(join(base, dir), { recursive: true });
+  }
+  for (const { file, content, mode } of files) {
+    fs.mkdirSync(path.dirname(join(base, file)), { recursive: true });
+    fs.writeFileSync(join(base, file), content, mode ? { mode } : undefined);
+  }
+}
+
+/**
+ * Render paths as a tree; `marks` labels files ("new", "changed"), and
+ * unlabelled entries are directories
+ */
+function formatTree(rootName, paths, marks = {}) {
+  const root = { children: new Map() };
+  for (const entry of paths) {
+    let node = root;
+    for (const part of entry.split('/')) {
+      if (!node.children.has(part)) {
+        node.children.set(part, { children: new Map() });
+      }
+      node = node.children.get(part);
+    }
+    node.path = entry;
+  }
+
+  const lines = [`${rootName}/`];
+  const walk = (node, indent) => {
+    const entries = [...node.children.entries()].sort(([a], [b]) => a.localeCompare(b));
+    entries.forEach(([name, child], index) => {
+      const last = index === entries.length - 1;
+      const mark = marks[child.path] ? ` (${marks[child.path]})` : '';
+      const suffix = child.children.size > 0 || !marks[child.path] ? '/' : '';
+      lines.push(`${indent}${last ? '└── ' : '├── '}${name}${suffix}${mark}`);
+      walk(child, `${indent}${last ? '    ' : '│   '}`);
+    });
+  };
+  walk(root, '');
+  return lines.join('\n');
+}
+
+/**
+ * Preview a plan: the tree of changed files, then a diff per file
+ * (new files show their full contents)
+ */
+export function formatPlan(plan) {
+  const changes = plan.changes();
+  if (changes.length === 0) {
+    return 'Nothing to write; every file is up to date';
+  }
+
+  const marks = Object.fromEntries(changes.map(({ file, previous }) => [file, previous === null ? 'new' : 'changed']));
+  const newDirs = plan.dirs().filter(dir => !fs.existsSync(join(plan.root, dir)));
+  const lines = [
+    `🔍 Dry run: ${changes.length} file(s) would be written to ${plan.root}`,
+    '',
+    formatTree(path.basename(path.resolve(plan.root)), [...newDirs, ...changes.map(({ file }) => file)], marks),
+    ''
+  ];
+
+  for (const { file, content, previous } of changes) {
+    if (typeof content !== 'string') {
+      lines.push(`Binary file ${file} (${content.length} bytes)`, '');
+      continue;
+    }
+    lines.push(createUnifiedDiff(file, previous === null ? null : previous.toString('utf-8'), content));
+  }
+  return lines.join('\n');
+}
@@ -0,0 +1,295 @@
+/**
+ * Skill Templates
+ *
+ * A template is a directory holding a `template.json` manifest and a
+ * `files/` tree that is copied into the new skill with `{{variable}}`
+ * placeholders substituted (in file contents and paths):
+ *
+ *   {
+ *     "name": "basic",
+ *     "description": "One-line summary shown by `templates list`",
+ *     "extends": "basic",                  // optional base template
+ *     "variables": {                       // template-specific variables
+ *       "greeting": { "description": "...", "default": "World" }
+ *     },
+ *     "prompts": [                         // asked by the create wizard
+ *       { "type": "text", "name": "greeting", "message": "..." }
+ *     ],
+ *     "postCreate": ["cd {{path}}", "npm install"]   // next steps
+ *   }
+ *
+ * Templates are looked up as a built-in name (templates/ in this package),
+ * a local directory, or an installed package (`skills-builder-template-*`).
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const TEMPLATES_DIR = join(__dirname, '../../templates');
+const MANIFEST = 'template.json';
+const PACKAGE_PREFIX = 'skills-builder-template-';
+const PLACEHOLDER = /\{\{\s*([A-Za-z_]\w*)\s*\}\}/g;
+
+/**
+ * Find an installed template package in node_modules, from `cwd` upwards
+ */
+function findTemplatePackage(packageName, cwd) {
+  let dir = path.resolve(cwd);
+  while (true) {
+    const candidate = join(dir, 'node_modules', packageName);
+    if (fs.existsSync(join(candidate, MANIFEST))) {
+      return candidate;
+    }
+    const parent = path.dirname(dir);
+    if (parent === dir) {
+      return null;
+    }
+    dir = parent;
+  }
+}
+
+/**
+ * Resolve a template specifier to its directory
+ */
+export function resolveTemplate(spec, { cwd = process.cwd() } = {}) {
+  if (/^[\w-]+$/.test(spec) && fs.existsSync(join(TEMPLATES_DIR, spec, MANIFEST))) {
+    return { dir: join(TEMPLATES_DIR, spec), source: 'built-in' };
+  }
+
+  const asPath = path.resolve(cwd, spec);
+  if (spec.startsWith('.') || path.isAbsolute(spec) || fs.existsSync(join(asPath, MANIFEST))) {
+    if (!fs.existsSync(join(asPath, MANIFEST))) {
+      throw new Error(`Template directory ${asPath} has no ${MANIFEST}`);
+    }
+    return { dir: asPath, source: 'path' };
+  }
+
+  const candidates = spec.startsWith('@') || spec.startsWith(PACKAGE_PREFIX)
+    ? [spec]
+    : [spec, `${PACKAGE_PREFIX}${spec}`];
+  for (const packageName of candidates) {
+    const dir = findTemplatePackage(packageName, cwd);
+    if (dir) {
+      return { dir, source: 'package' };
+    }
+  }
+
+  const builtins = listBuiltinTemplates().map(template => template.name).join(', ');
+  throw new Error(`Unknown template "${spec}": not a built-in template (${builtins}), a template directory or an installed template package`);
+}
+
+/**
+ * Read and validate a template manifest
+ */
+function readManifest(dir) {
+  const manifestPath = join(dir, MANIFEST);
+  let manifest;
+  try {
+    manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf-8'));
+  } catch (e) {
+    throw new Error(`Invalid template manifest ${manifestPath}: ${e.message}`);
+  }
+
+  const fail = (message) => {
+    throw new Error(`Invalid template manifest ${manifestPath}: ${message}`);
+  };
+  if (!manifest || typeof manifest !== 'object' || Array.isArray(manifest)) {
+    fail('expected a JSON object');
+  }
+  const {
+    name = path.basename(dir),
+    description = '',
+    variables = {},
+    prompts = [],
+    postCreate,
+    resources = {}
+  } = manifest;
+
+  if (typeof variables !== 'object' || Array.isArray(variables)) {
+    fail('"variables" must be an object');
+  }
+  if (!Array.isArray(prompts) || prompts.some(prompt => typeof prompt?.name !== 'string')) {
+    fail('"prompts" must be an array of questions with a "name"');
+  }
+  if (postCreate !== undefined && (!Array.isArray(postCreate) || postCreate.some(step => typeof step !== 'string'))) {
+    fail('"postCreate" must be an array of strings');
+  }
+  if (typeof resources !== 'object' || Array.isArray(resources) || Object.values(resources).some(use => typeof use !== 'string')) {
+    fail('"resources" must map bundled file paths to when-to-use text');
+  }
+  if (manifest.extends !== undefined && typeof manifest.extends !== 'string') {
+    fail('"extends" must be a template name or path');
+  }
+
+  return { ...manifest, name, description, variables, prompts, postCreate, resources };
+}
+
+/**
+ * Load a template, merging in the templates it extends
+ *
+ * Returns { name, description, source, dir, variables, prompts,
+ * postCreate, resources, layers } where `layers` lists the files/ directories to copy,
+ * base template first.
+ */
+export function loadTemplate(spec, { cwd = process.cwd(), seen = new Set() } = {}) {
+  const { dir, source } = resolveTemplate(spec, { cwd });
+  if (seen.has(dir)) {
+    throw new Error(`Template "${spec}" extends itself`);
+  }
+  seen.add(dir);
+
+  const manifest = readManifest(dir);
+  const base = manifest.extends
+    ? loadTemplate(manifest.extends, { cwd: dir, seen })
+    : { variables: {}, prompts: [], postCreate: [], resources: {}, layers: [] };
+
+  const variables = { ...base.variables, ...manifest.variables };
+  for (const prompt of manifest.prompts) {
+    if (!variables[prompt.name]) {
+      throw new Error(`Invalid template manifest ${join(dir, MANIFEST)}: prompt "${prompt.name}" is not a declared variable`);
+    }
+  }
+
+  const ownPrompts = new Set(manifest.prompts.map(prompt => prompt.name));
+  const filesDir = join(dir, 'files');
+  return {
+    name: manifest.name,
+    description: manifest.description,
+    source,
+    dir,
+    variables,
+    prompts: [...base.prompts.filter(prompt => !ownPrompts.has(prompt.name)), ...manifest.prompts],
+    postCreate: manifest.postCreate ?? base.postCreate,
+    resources: { ...base.resources, ...manifest.resources },
+    layers: fs.existsSync(filesDir) ? [...base.layers, filesDir] : base.layers
+  };
+}
+
+/**
+ * Replace {{variable}} placeholders; unknown names are left untouched
+ */
+export function substitute(text, variables) {
+  return text.replace(PLACEHOLDER, (match, key) =>
+    Object.prototype.hasOwnProperty.call(variables, key) ? String(variables[key]) : match);
+}
+
+/**
+ * Render a template's files
+ *
+ * Returns [{ file, content, mode }] with skill-relative paths; later layers
+ * override earlier ones. Binary files are copied unchanged.
+ */
+export function renderTemplate(template, variables) {
+  const rendered = new Map();
+
+  const walk = (layerDir, relativeDir) => {
+    for (const entry of fs.readdirSync(join(layerDir, relativeDir), { withFileTypes: true })) {
+      const relativePath = relativeDir ? `${relativeDir}/${entry.name}` : entry.name;
+      if (entry.isDirectory()) {
+        walk(layerDir, relativePath);
+        continue;
+      }
+      const fullPath = join(layerDir, relativePath);
+      const file = substitute(relativePath, variables);
+      const buffer = fs.readFileSync(fullPath);
+      const isBinary = buffer.includes(0);
+      rendered.set(file, {
+        file,
+        content: isBinary ? buffer : substitute(buffer.toString('utf-8'), variables),
+        mode: fs.statSync(fullPath).mode & 0o777
+      });
+    }
+  };
+
+  for (const layerDir of template.layers) {
+    walk(layerDir, '');
+  }
+  return [...rendered.values()];
+}
+
+/**
+ * Built-in templates shipped in templates/
+ */
+function listBuiltinTemplates() {
+  if (!fs.existsSync(TEMPLATES_DIR)) {
+    return [];
+  }
+  return fs.readdirSync(TEMPLATES_DIR, { withFileTypes: true })
+    .filter(entry => entry.isDirectory() && fs.existsSync(join(TEMPLATES_DIR, entry.name, MANIFEST)))
+    .map(entry => ({ name: entry.name, dir: join(TEMPLATES_DIR, entry.name), source: 'built-in' }));
+}
+
+/**
+ * Installed template packages, nearest node_modules first
+ */
+function listTemplatePackages(cwd) {
+  const found = [];
+  let dir = path.resolve(cwd);
+  while (true) {
+    const nodeModules = join(dir, 'node_modules');
+    const packageDirs = [];
+    if (fs.existsSync(nodeModules)) {
+      for (const entry of fs.readdirSync(nodeModules)) {
+        if (entry.startsWith('@')) {
+          for (const scoped of fs.readdirSync(join(nodeModules, entry))) {
+            packageDirs.push(`${entry}/${scoped}`);
+          }
+        } else {
+          packageDirs.push(entry);
+        }
+      }
+    }
+    for (const packageName of packageDirs) {
+      const isTemplate = packageName.split('/').pop().startsWith(PACKAGE_PREFIX);
+      if (isTemplate && fs.existsSync(join(nodeModules, packageName, MANIFEST))) {
+        found.push({ name: packageName, dir: join(nodeModules, packageName), source: 'package' });
+      }
+    }
+    const parent = path.dirname(dir);
+    if (parent === dir) {
+      return found;
+    }
+    dir = parent;
+  }
+}
+
+/**
+ * List available templates: built-in ones, then installed packages
+ */
+export function listTemplates({ cwd = process.cwd() } = {}) {
+  const seen = new Set();
+  return [...listBuiltinTemplates(), ...listTemplatePackages(cwd)]
+    .filter(template => !seen.has(template.name) && seen.add(template.name))
+    .map(template => {
+      try {
+        const manifest = readManifest(template.dir);
+        return { ...template, description: manifest.description, extends: manifest.extends || null };
+      } catch (e) {
+        return { ...template, description: '', error: e.message };
+      }
+    });
+}
+
+/**
+ * Format the output of `templates list`
+ */
+export function formatTemplateList(templates) {
+  if (templates.length === 0) {
+    return 'No templates found';
+  }
+  const width = Math.max(...templates.map(template => template.name.length));
+  const lines = ['Available templates:', ''];
+  for (const template of templates) {
+    const source = template.source === 'built-in' ? '' : ` (${template.source}: ${template.dir})`;
+    const description = template.error ? `⚠️  ${template.error}` : template.description;
+    lines.push(`  ${template.name.padEnd(width)}  ${description}${source}`);
+  }
+  lines.push('');
+  lines.push('Use one with: skills-builder create <name> --template <template|path|package>');
+  return lines.join('\n');
+}
@@ -6,14 +6,25 @@ import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
+import { createPlan, commitPlan, formatPlan } from './plan.js';
+import { generateChangelog } from './index.js';
+import { getVersions, setVersion, nextVersion, getCommitsSinceTag, groupCommits, addRelease } from './version.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
+/**
+ * Update a skill's polyglot.json and package.json
+ *
+ * Changes are planned in memory and written together (see plan.js); with
+ * `options.dryRun` the result holds a preview instead. The update is all or
+ * nothing: if any step fails, including a missing file, nothing is written.
+ */
 export async function updateSkill(skillPath, options = {}) {
   const {
     addLanguage = null,
     addDependency = null,
+    dryRun = false,
     translations = {}
   } = options;
 
@@ -33,12 +44,14 @@ export async function updateSkill(skillPath, options = {}) {
     return results;
   }
 
+  const plan = createPlan(skillPath);
+
   // Update: Add language to polyglot.json
   if (addLanguage) {
-    const polyglotPath = join(skillPath, 'polyglot.json');
-    if (fs.existsSync(polyglotPath)) {
+    const polyglotContent = plan.read('polyglot.json');
+    if (polyglotContent !== null) {
       try {
-        const polyglot = JSON.parse(fs.readFileSync(polyglotPath, 'utf-8'));
+        const polyglot = JSON.parse(polyglotContent);
 
         // Add empty translations for new language
         for (const key of Object.keys(polyglot)) {
@@ -47,10 +60,9 @@ export async function updateSkill(skillPath, options = {}) {
           }
         }
 
-        fs.writeFileSync(polyglotPath, JSON.stringify(polyglot, null, 2));
+        plan.write('polyglot.json', JSON.stringify(polyglot, null, 2));
         results.updated.push(`Added language "${addLanguage}" to polyglot.json`);
       } catch (e) {
-        results.success = false;
         results.errors.push(`Failed to update polyglot.json: ${e.message}`);
       }
     } else {
@@ -60,10 +72,10 @@ export async function updateSkill(skillPath, options = {}) {
 
   // Update: Add dependency to package.json
   if (addDependency) {
-    const packageJsonPath = join(skillPath, 'package.json');
-    if (fs.existsSync(packageJsonPath)) {
+    const packageJsonContent = plan.read('package.json');
+    if (packageJsonContent !== null) {
       try {
-        const packageJson = JSON.parse(fs.readFileSync(packageJsonPath, 'utf-8'));
+        const packageJson = JSON.parse(packageJsonContent);
 
         // Parse dependency (supports "package" and "package@version" formats)
         let packageName, version;
@@ -80,10 +92,9 @@ export async function updateSkill(skillPath, options = {}) {
         }
         packageJson.dependencies[packageName] = `^${version}`;
 
-        fs.writeFileSync(packageJsonPath, JSON.stringify(packageJson, null, 2));
+        plan.write('package.json', JSON.stringify(packageJson, null, 2));
         results.updated.push(`Added dependency "${packageName}@${version}" to package.json`);
       } catch (e) {
-        results.success = false;
         results.errors.push(`Failed to update package.json: ${e.message}`);
       }
     } else {
@@ -93,10 +104,35 @@ export async function updateSkill(skillPath, options = {}) {
 
   if (results.updated.length === 0 && results.errors.length === 0) {
     results.message = 'No updates specified. Use --add-language or --add-dependency.';
-  } else {
-    results.message = `✅ Updated ${results.updated.length} item(s)`;
+    return results;
+  }
+
+  if (results.errors.length > 0) {
+    results.success = false;
+    results.updated = [];
+    results.message = '❌ Update failed, nothing was changed';
+    return results;
+  }
+
+  if (dryRun) {
+    results.dryRun = true;
+    results.preview = formatPlan(plan);
+    results.message = `Dry run: ${results.updated.length} item(s) would be updated`;
+    return results;
+  }
+
+  try {
+    commitPlan(plan);
+  } catch (e) {
+    results.success = false;
+    results.updated = [];
+    results.errors.push(`Could not write files, nothing was changed: ${e.message}`);
+    results.message = '❌ Update failed, nothing was changed';
+    return results;
   }
 
+  results.message = `✅ Updated ${results.updated.length} item(s)`;
+
   return results;
 }
 
@@ -146,42 +182,122 @@ export async function addLanguages(skillPath, languages) {
 }
 
 /**
- * Update package.json version
+ * Bump a skill's version everywhere it is declared
+ *
+ * `versionType` is major, minor, patch or an explicit x.y.z. Updates
+ * package.json, .skill.yml, marketplace.json and the CLI's `.version()`
+ * call, and adds a CHANGELOG.md section from the git commits since the last
+ * tag, creating the file when there is none (`options.changelog: false`
+ * skips it). The current version is package.json's, else the first one
+ * found. With `options.dryRun` the result holds a preview instead.
  */
-export async function bumpVersion(skillPath, versionType = 'patch') {
-  const packageJsonPath = join(skillPath, 'package.json');
-  if (!fs.existsSync(packageJsonPath)) {
-    return { success: false, error: 'package.json not found' };
+export async function bumpVersion(skillPath, versionType = 'patch', options = {}) {
+  const { dryRun = false, changelog = true } = options;
+  const results = {
+    success: false,
+    path: skillPath,
+    oldVersion: null,
+    newVersion: null,
+    updated: [],
+    changelog: null,
+    errors: []
+  };
+
+  if (!fs.existsSync(skillPath)) {
+    results.errors.push(`Skill not found: ${skillPath}`);
+    return results;
   }
 
+  const plan = createPlan(skillPath);
+  const versions = getVersions((file) => plan.read(file));
+  const declared = versions.filter(v => !v.released);
+  if (declared.length === 0) {
+    results.errors.push('No version found in package.json, .skill.yml, marketplace.json or the CLI');
+    return results;
+  }
+
+  results.oldVersion = (declared.find(v => v.id === 'package.json') || declared[0]).version;
   try {
-    const packageJson = JSON.parse(fs.readFileSync(packageJsonPath, 'utf-8'));
-    const currentVersion = packageJson.version.split('.').map(Number);
-
-    switch (versionType) {
-      case 'major':
-        currentVersion[0]++;
-        currentVersion[1] = 0;
-        currentVersion[2] = 0;
-        break;
-      case 'minor':
-        currentVersion[1]++;
-        currentVersion[2] = 0;
-        break;
-      case 'patch':
-        currentVersion[2]++;
-        break;
-    }
+    results.newVersion = nextVersion(results.oldVersion, versionType);
+  } catch (e) {
+    results.errors.push(e.message);
+    return results;
+  }
 
-    packageJson.version = currentVersion.join('.');
-    fs.writeFileSync(packageJsonPath, JSON.stringify(packageJson, null, 2));
+  for (const { id, file, version } of declared) {
+    if (version !== results.newVersion) {
+      plan.write(file, setVersion(id, plan.read(file), results.newVersion));
+      results.updated.push(file);
+    }
+  }
 
-    return {
-      success: true,
-      oldVersion: packageJson.version,
-      newVersion: currentVersion.join('.')
+  // A skill without a CHANGELOG.md gets one holding the new section
+  const changelogContent = plan.read('CHANGELOG.md');
+  if (changelog) {
+    const commits = getCommitsSinceTag(skillPath);
+    const base = changelogContent ?? generateChangelog(null);
+    const updatedChangelog = addRelease(base, results.newVersion, groupCommits(commits?.subjects || []));
+    results.changelog = {
+      tag: commits?.tag || null,
+      commits: commits?.subjects.length ?? null,
+      created: changelogContent === null,
+      existing: updatedChangelog === base
     };
+    if (!results.changelog.existing) {
+      plan.write('CHANGELOG.md', updatedChangelog);
+      results.updated.push('CHANGELOG.md');
+    }
+  }
+
+  if (dryRun) {
+    results.success = true;
+    results.dryRun = true;
+    results.preview = formatPlan(plan);
+    return results;
+  }
+
+  try {
+    commitPlan(plan);
+    results.success = true;
   } catch (e) {
-    return { success: false, error: e.message };
+    results.updated = [];
+    results.errors.push(`Could not write files, nothing was changed: ${e.message}`);
+  }
+  return results;
+}
+
+/**
+ * Format a bumpVersion() result for the terminal
+ */
+export function formatVersionResult(results) {
+  if (results.errors.length > 0) {
+    return results.errors.map(error => `❌ ${error}`).join('\n');
+  }
+  const lines = [];
+  if (results.preview) {
+    lines.push(results.preview, '');
+  }
+  if (results.updated.length === 0) {
+    lines.push(`✅ Every file is already at ${results.newVersion}`);
+    return lines.join('\n');
+  }
+  const verb = results.dryRun ? 'Would bump' : 'Bumped';
+  lines.push(results.oldVersion === results.newVersion
+    ? `✅ ${results.dryRun ? 'Would align' : 'Aligned'} every file to ${results.newVersion}`
+    : `✅ ${verb} ${results.oldVersion} → ${results.newVersion}`);
+  for (const file of results.updated) {
+    lines.push(`   ${file}`);
+  }
+  if (results.changelog) {
+    const since = results.changelog.tag ? `since ${results.changelog.tag}` : 'in the history';
+    if (results.changelog.existing) {
+      lines.push(`   CHANGELOG.md already has a ${results.newVersion} section`);
+    } else {
+      const created = results.changelog.created ? ' (created)' : '';
+      lines.push(results.changelog.commits === null
+        ? `   CHANGELOG.md${created}: not a git repository, section added without commits`
+        : `   CHANGELOG.md${created}: ${results.changelog.commits} commit(s) ${since}`);
+    }
   }
+  return lines.join('\n');
 }
@@ -0,0 +1,127 @@
+/**
+ * Generated Code Checks
+ *
+ * Parse-checks JavaScript before the generator writes it, and smoke-tests
+ * a generated skill by running its CLI with --help (`create --verify`).
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { spawnSync } from 'child_process';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Generated skills depend on yargs and picocolors, which skills-builder also uses
+const OWN_NODE_MODULES = join(__dirname, '../../node_modules');
+
+// CLI entry points tried by verifySkill(), in order
+const CLI_ENTRY_POINTS = ['src/cli/index.js', 'dist/cli/index.js'];
+
+/**
+ * True for files checkSyntax() understands
+ */
+export function isJavaScript(file) {
+  return /\.(c|m)?js$/.test(file);
+}
+
+/**
+ * Parse-check JavaScript source without running it
+ *
+ * `.cjs` files parse as CommonJS and others as ES modules unless
+ * `inputType` says otherwise. Returns null when the source parses, or
+ * { file, line, message }.
+ */
+export function checkSyntax(file, content, inputType = file.endsWith('.cjs') ? 'commonjs' : 'module') {
+  const result = spawnSync(process.execPath, ['--check', `--input-type=${inputType}`, '-'], {
+    input: content,
+    encoding: 'utf-8'
+  });
+  if (result.status === 0) {
+    return null;
+  }
+
+  const stderr = result.stderr || '';
+  const line = Number(stderr.match(/^\[stdin\]:(\d+)/m)?.[1]) || null;
+  const message = stderr.match(/^(\w*Error: .*)$/m)?.[1] || stderr.trim() || 'Could not parse file';
+  return { file, line, message };
+}
+
+/**
+ * Parse-check every JavaScript file of a list of { file, content }
+ */
+export function checkFiles(files) {
+  return files
+    .filter(({ file, content }) => isJavaScript(file) && typeof content === 'string')
+    .map(({ file, content }) => checkSyntax(file, content))
+    .filter(Boolean);
+}
+
+/**
+ * Format syntax errors, one per line
+ */
+export function formatSyntaxErrors(errors) {
+  return errors
+    .map(error => `  ${error.file}${error.line ? `:${error.line}` : ''}: ${error.message}`)
+    .join('\n');
+}
+
+/**
+ * Run a generated skill's CLI with --help in a subprocess
+ *
+ * A skill without node_modules runs from a temporary copy that borrows
+ * skills-builder's own dependencies, so no install is needed. Returns
+ * { passed, skipped, command, output, error }.
+ */
+export function verifySkill(skillPath, { timeout = 15000 } = {}) {
+  const entry = CLI_ENTRY_POINTS.find(file => fs.existsSync(join(skillPath, file)));
+  if (!entry) {
+    return {
+      passed: true,
+      skipped: true,
+      command: null,
+      output: '',
+      error: `No CLI entry point to verify (looked for ${CLI_ENTRY_POINTS.join(', ')})`
+    };
+  }
+
+  let runDir = skillPath;
+  let tempDir = null;
+  if (!fs.existsSync(join(skillPath, 'node_modules')) && fs.existsSync(OWN_NODE_MODULES)) {
+    tempDir = fs.mkdtempSync(join(os.tmpdir(), 'skills-builder-verify-'));
+    runDir = join(tempDir, path.basename(path.resolve(skillPath)));
+    fs.cpSync(skillPath, runDir, { recursive: true });
+    fs.symlinkSync(OWN_NODE_MODULES, join(runDir, 'node_modules'), 'dir');
+  }
+
+  try {
+    const result = spawnSync(process.execPath, [entry, '--help'], {
+      cwd: runDir,
+      encoding: 'utf-8',
+      timeout
+    });
+    const output = `${result.stdout || ''}${result.stderr || ''}`.trim();
+    let error = null;
+    if (result.error) {
+      error = result.error.code === 'ETIMEDOUT'
+        ? `Timed out after ${timeout}ms`
+        : result.error.message;
+    } else if (result.status !== 0) {
+      error = `Exited with code ${result.status}`;
+    }
+    return {
+      passed: error === null,
+      skipped: false,
+      command: `node ${entry} --help`,
+      output,
+      error
+    };
+  } finally {
+    if (tempDir) {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+  }
+}
@@ -0,0 +1,253 @@
+/**
+ * Skill Versions
+ *
+ * Where a skill declares its version, and how to read and rewrite each
+ * place: package.json, .skill.yml, marketplace.json, the CLI's
+ * `.version('x.y.z')` call and the latest release in CHANGELOG.md. Used by
+ * `skills-builder version` and the validator's version consistency check.
+ */
+
+import { git } from '../utils/git.js';
+import { SEMVER, compareVersions } from '../utils/semver.js';
+import { CLI_SOURCES } from './init.js';
+
+const YAML_VERSION = /^(version:[ \t]*)(['"]?)([^'"\s#]+)\2/m;
+const CLI_VERSION = /(\.version\(\s*)(['"`])([^'"`]+)\2(\s*\))/;
+const CHANGELOG_RELEASE = /^## \[?v?(\d+\.\d+\.\d+[^\]\s]*)\]?/m;
+
+/**
+ * Read and rewrite the version of a JSON file, keeping its indentation and
+ * trailing newline
+ */
+const jsonVersion = {
+  read(content) {
+    const version = JSON.parse(content).version;
+    return typeof version === 'string' ? version : null;
+  },
+  write(content, version) {
+    const data = JSON.parse(content);
+    const indent = content.match(/^[ \t]+(?=")/m)?.[0] || 2;
+    data.version = version;
+    return JSON.stringify(data, null, indent) + (content.endsWith('\n') ? '\n' : '');
+  }
+};
+
+/**
+ * Every place a version can live; `files` are candidates, the first that
+ * exists and declares a version is used
+ */
+const VERSION_SOURCES = [
+  { id: 'package.json', files: ['package.json'], ...jsonVersion },
+  {
+    id: '.skill.yml',
+    files: ['.skill.yml'],
+    read: (content) => content.match(YAML_VERSION)?.[3] || null,
+    write: (content, version) => content.replace(YAML_VERSION, `$1$2${version}$2`)
+  },
+  { id: 'marketplace.json', files: ['marketplace.json'], ...jsonVersion },
+  {
+    id: 'cli',
+    files: CLI_SOURCES,
+    read: (content) => content.match(CLI_VERSION)?.[3] || null,
+    write: (content, version) => content.replace(CLI_VERSION, `$1$2${version}$2$4`)
+  },
+  {
+    // Read only: `version` adds a release section instead (see addRelease)
+    id: 'CHANGELOG.md',
+    files: ['CHANGELOG.md'],
+    read: (content) => content.match(CHANGELOG_RELEASE)?.[1] || null,
+    released: true
+  }
+];
+
+/**
+ * Versions declared by a skill
+ *
+ * `read(relativePath)` returns a file's content or null. Returns
+ * [{ id, file, version }] for each place that declares one; unreadable
+ * files are skipped (their own rules report them).
+ */
+export function getVersions(read) {
+  const versions = [];
+  for (const source of VERSION_SOURCES) {
+    for (const file of source.files) {
+      const content = read(file);
+      if (content === null) {
+        continue;
+      }
+      let version = null;
+      try {
+        version = source.read(content);
+      } catch (e) {
+        // Invalid JSON
+      }
+      if (version) {
+        versions.push({ id: source.id, file, version, released: Boolean(source.released) });
+        break;
+      }
+    }
+  }
+  return versions;
+}
+
+/**
+ * Rewrite a declared version in a file's content; null for read-only places
+ */
+export function setVersion(id, content, version) {
+  const source = VERSION_SOURCES.find(s => s.id === id);
+  return source?.write ? source.write(content, version) : null;
+}
+
+/**
+ * The version after `current` for a bump (major, minor, patch) or an
+ * explicit x.y.z; throws on an invalid or lower version
+ */
+export function nextVersion(current, spec) {
+  if (['major', 'minor', 'patch'].includes(spec)) {
+    if (!SEMVER.test(current)) {
+      throw new Error(`Current version "${current}" is not x.y.z; give the new version explicitly`);
+    }
+    const [major, minor, patch] = current.split(/[-+]/)[0].split('.').map(Number);
+    const isPrerelease = current.includes('-');
+    switch (spec) {
+      case 'major':
+        return `${major + 1}.0.0`;
+      case 'minor':
+        return `${major}.${minor + 1}.0`;
+      default:
+        // A prerelease of x.y.z is released as x.y.z
+        return isPrerelease ? `${major}.${minor}.${patch}` : `${major}.${minor}.${patch + 1}`;
+    }
+  }
+
+  const version = String(spec).replace(/^v/, '');
+  if (!SEMVER.test(version)) {
+    throw new Error(`Invalid version "${spec}": use major, minor, patch or x.y.z`);
+  }
+  if (current && SEMVER.test(current) && compareVersions(version, current) < 0) {
+    throw new Error(`${version} is lower than the current version ${current}`);
+  }
+  return version;
+}
+
+// Keep a Changelog sections, in the order they are written
+const CHANGE_TYPES = ['Added', 'Changed', 'Deprecated', 'Removed', 'Fixed', 'Security'];
+
+// Conventional commit types and the section they go to
+const COMMIT_TYPES = {
+  feat: 'Added',
+  fix: 'Fixed',
+  perf: 'Changed',
+  refactor: 'Changed',
+  revert: 'Removed',
+  security: 'Security',
+  deprecate: 'Deprecated'
+};
+
+// Commits that do not belong in a changelog
+const SKIPPED_COMMIT_TYPES = ['chore', 'ci', 'test', 'build', 'docs', 'style', 'release'];
+
+/**
+ * Commit subjects since the last tag, for the skill's directory only
+ *
+ * Returns { tag, subjects } (tag is null when there is none), or null when
+ * the skill is not in a git repository.
+ */
+export function getCommitsSinceTag(skillPath) {
+  if (git(skillPath, ['rev-parse', '--is-inside-work-tree']) !== 'true') {
+    return null;
+  }
+  const tag = git(skillPath, ['describe', '--tags', '--abbrev=0']);
+  const range = tag ? [`${tag}..HEAD`] : [];
+  const log = git(skillPath, ['log', '--no-merges', '--format=%s', ...range, '--', '.']);
+  return { tag, subjects: (log || '').split('\n').filter(Boolean) };
+}
+
+/**
+ * Group commit subjects into changelog sections
+ *
+ * Conventional commit prefixes pick the section ("feat:" is Added, "fix:"
+ * Fixed) and are stripped; other subjects are Changed. Chores, docs and
+ * release commits are left out.
+ */
+export function groupCommits(subjects) {
+  const groups = {};
+  for (const subject of subjects) {
+    const match = subject.match(/^(\w+)(?:\([^)]*\))?!?:\s*(.+)$/);
+    const type = match?.[1].toLowerCase();
+    if (type && SKIPPED_COMMIT_TYPES.includes(type)) {
+      continue;
+    }
+    const section = (type && COMMIT_TYPES[type]) || 'Changed';
+    const text = type && COMMIT_TYPES[type] ? match[2] : subject;
+    (groups[section] ||= []).push(text.charAt(0).toUpperCase() + text.slice(1));
+  }
+  return groups;
+}
+
+/**
+ * Parse the body of a changelog section into { heading: [entries] }
+ *
+ * Indented lines continue the previous entry; link definitions are skipped.
+ */
+function parseSection(body) {
+  const groups = {};
+  let heading = 'Changed';
+  for (const line of body.split('\n')) {
+    const match = line.match(/^### (.+)$/);
+    const entries = groups[heading];
+    if (match) {
+      heading = match[1].trim();
+    } else if (/^\s+\S/.test(line) && entries?.length > 0) {
+      entries[entries.length - 1] += `\n${line}`;
+    } else if (line.trim() && !/^\[[^\]]+\]:\s/.test(line)) {
+      (groups[heading] ||= []).push(line.replace(/^[-*]\s+/, ''));
+    }
+  }
+  return groups;
+}
+
+/**
+ * Add a release section to CHANGELOG.md
+ *
+ * The section holds the `## [Unreleased]` notes (which are moved) and the
+ * grouped `changes` ({ section: [entries] }). It goes below Unreleased, or
+ * above the latest release. Returns the content unchanged when the version
+ * already has a section.
+ */
+export function addRelease(content, version, changes, date = new Date().toISOString().slice(0, 10)) {
+  const escaped = version.replace(/[.+]/g, '\\$&');
+  if (new RegExp(`^## \\[?v?${escaped}\\]?(\\s|$)`, 'm').test(content)) {
+    return content;
+  }
+
+  const unreleased = content.match(/^## \[?Unreleased\]?[^\n]*\n([\s\S]*?)(?=^## |(?![\s\S]))/mi);
+  const groups = unreleased ? parseSection(unreleased[1]) : {};
+  for (const [section, entries] of Object.entries(changes)) {
+    groups[section] = [...(groups[section] || []), ...entries.filter(e => !groups[section]?.includes(e))];
+  }
+
+  const order = [...CHANGE_TYPES, ...Object.keys(groups).filter(h => !CHANGE_TYPES.includes(h))];
+  const lines = [`## [${version}] - ${date}`, ''];
+  for (const heading of order.filter(h => groups[h]?.length > 0)) {
+    lines.push(`### ${heading}`, ...groups[heading].map(entry => `- ${entry}`), '');
+  }
+  if (lines.length === 2) {
+    lines.push('- No notable changes', '');
+  }
+  const section = `${lines.join('\n')}\n`;
+
+  if (unreleased) {
+    const start = unreleased.index;
+    const end = start + unreleased[0].length;
+    const heading = unreleased[0].slice(0, unreleased[0].indexOf('\n') + 1);
+    return `${content.slice(0, start)}${heading}\n${section}${content.slice(end)}`;
+  }
+  const latest = content.match(/^## /m);
+  if (latest) {
+    return `${content.slice(0, latest.index)}${section}${content.slice(latest.index)}`;
+  }
+  return `${content.replace(/\n*$/, '\n\n')}${section}`;
+}
+
+export { VERSION_SOURCES, SEMVER, compareVersions };
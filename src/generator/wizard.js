@@ -0,0 +1,422 @@
+/**
+ * Create Wizard
+ *
+ * Collects the answers that drive `create`: asked interactively with
+ * prompts, or taken from flags and an answers JSON file with
+ * --no-interactive. Both paths go through normalizeAnswers().
+ */
+
+import fs from 'fs';
+import prompts from 'prompts';
+import { BEST_PRACTICES } from '../validator/constants.js';
+import { VALID_MARKETPLACES } from '../validator/rules/marketplace.js';
+import { MARKETPLACE_PROFILES, GENERAL_CATEGORIES } from '../validator/marketplaces.js';
+import { listTemplates } from './templates.js';
+import { git, getRemoteUrl, toHttpsUrl } from '../utils/git.js';
+
+// Languages offered for polyglot.json, besides the default ("") entry
+const LANGUAGES = {
+  zh: 'Chinese',
+  ja: 'Japanese',
+  ko: 'Korean',
+  es: 'Spanish',
+  fr: 'French',
+  de: 'German',
+  pt: 'Portuguese',
+  ru: 'Russian'
+};
+
+// Marketplace categories, keyed by slug: the kebab-case of every label,
+// plus the short slugs of older answers files
+const MARKETPLACE_CATEGORIES = {
+  ...Object.fromEntries(GENERAL_CATEGORIES.map(label => [label.toLowerCase().replace(/\s+/g, '-'), label])),
+  productivity: 'Workflow automation',
+  development: 'Developer tool',
+  utilities: 'CLI tool'
+};
+
+const LICENSES = ['MIT', 'Apache-2.0', 'ISC', 'BSD-3-Clause', 'UNLICENSED'];
+
+// `variables` holds values for the chosen template's own variables
+const ANSWER_KEYS = ['name', 'purpose', 'triggers', 'template', 'languages', 'marketplace', 'categories', 'keywords', 'author', 'license', 'repository', 'homepage', 'bugs', 'variables'];
+
+/**
+ * Default answers for a skill name
+ */
+function defaultAnswers(name) {
+  return {
+    name,
+    purpose: `A Claude skill for ${name.replace(/-/g, ' ')}`,
+    triggers: [],
+    template: 'basic',
+    languages: ['zh'],
+    marketplace: false,
+    categories: [],
+    keywords: ['claude', 'skill', name],
+    author: '',
+    license: 'MIT',
+    repository: '',
+    homepage: '',
+    bugs: '',
+    variables: {}
+  };
+}
+
+/**
+ * Read an answers JSON file
+ */
+function loadAnswersFile(filePath) {
+  let answers;
+  try {
+    answers = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  } catch (e) {
+    throw new Error(`Could not read answers file ${filePath}: ${e.message}`);
+  }
+  if (!answers || typeof answers !== 'object' || Array.isArray(answers)) {
+    throw new Error(`Answers file ${filePath} must contain a JSON object`);
+  }
+  const unknown = Object.keys(answers).filter(key => !ANSWER_KEYS.includes(key));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown key(s) in answers file ${filePath}: ${unknown.join(', ')} (allowed: ${ANSWER_KEYS.join(', ')})`);
+  }
+  return answers;
+}
+
+/**
+ * Return an error message for an invalid skill name, or true
+ */
+function validateName(name) {
+  if (typeof name !== 'string' || !BEST_PRACTICES.nameFormat.test(name)) {
+    return `Invalid skill name "${name}": use kebab-case (lowercase letters, digits and hyphens)`;
+  }
+  return true;
+}
+
+/**
+ * Split a comma-separated string (or pass an array) into trimmed items
+ */
+function toList(value) {
+  const items = Array.isArray(value) ? value : String(value ?? '').split(',');
+  return items.map(item => String(item).trim()).filter(Boolean);
+}
+
+/**
+ * Resolve the marketplace answer: false, or a marketplace name (true picks
+ * the first one)
+ */
+function toMarketplace(value) {
+  if (value === true) {
+    return VALID_MARKETPLACES[0];
+  }
+  if (!value) {
+    return false;
+  }
+  if (!VALID_MARKETPLACES.includes(value)) {
+    throw new Error(`Unknown marketplace "${value}": use one of ${VALID_MARKETPLACES.join(', ')}`);
+  }
+  return value;
+}
+
+/**
+ * Normalize a repository, homepage or bugs URL to HTTPS; throws otherwise
+ */
+function toUrl(key, value) {
+  const text = String(value ?? '').trim();
+  if (text === '') {
+    return '';
+  }
+  const url = text.startsWith('https://') ? text : toHttpsUrl(text);
+  if (!url) {
+    throw new Error(`"${key}" must be an HTTPS URL (or a git remote), got "${text}"`);
+  }
+  return url;
+}
+
+/**
+ * Validate answers and fill in defaults; throws on invalid input
+ */
+function normalizeAnswers(answers) {
+  const nameCheck = validateName(answers.name);
+  if (nameCheck !== true) {
+    throw new Error(nameCheck);
+  }
+
+  const defaults = defaultAnswers(answers.name);
+  const pick = (key) => answers[key] ?? defaults[key];
+  const normalized = {
+    name: answers.name,
+    purpose: String(pick('purpose')).trim() || defaults.purpose,
+    triggers: toList(pick('triggers')),
+    template: pick('template'),
+    languages: toList(pick('languages')),
+    marketplace: toMarketplace(pick('marketplace')),
+    categories: toList(pick('categories')),
+    keywords: toList(pick('keywords')),
+    author: String(pick('author')).trim(),
+    license: String(pick('license')).trim() || defaults.license,
+    repository: toUrl('repository', pick('repository')),
+    homepage: toUrl('homepage', pick('homepage')),
+    bugs: toUrl('bugs', pick('bugs')),
+    variables: pick('variables')
+  };
+
+  if (typeof normalized.template !== 'string' || normalized.template.trim() === '') {
+    throw new Error('Template must be a built-in template name, a path or a package name');
+  }
+  if (typeof normalized.variables !== 'object' || Array.isArray(normalized.variables)) {
+    throw new Error('"variables" must be an object of template variable values');
+  }
+  // Accept category slugs as well as their display names
+  normalized.categories = normalized.categories.map(category => MARKETPLACE_CATEGORIES[category] || category);
+  if (normalized.keywords.length === 0) {
+    normalized.keywords = defaults.keywords;
+  }
+  // Homepage and issue tracker follow from the repository
+  if (normalized.repository) {
+    normalized.homepage ||= `${normalized.repository}#readme`;
+    normalized.bugs ||= `${normalized.repository}/issues`;
+  }
+
+  // marketplace.json must pass every marketplace check
+  if (normalized.marketplace) {
+    const allowed = MARKETPLACE_PROFILES[normalized.marketplace].categories;
+    const unknown = normalized.categories.filter(category => !allowed.includes(category));
+    if (normalized.categories.length === 0 || unknown.length > 0) {
+      const problem = unknown.length > 0 ? `Unknown ${normalized.marketplace} categor${unknown.length === 1 ? 'y' : 'ies'}: ${unknown.join(', ')}` : 'Choose at least one marketplace category';
+      throw new Error(`${problem} (allowed: ${allowed.join(', ')})`);
+    }
+    if (!normalized.repository) {
+      throw new Error('marketplace.json needs a repository URL: add a git remote or pass --repository');
+    }
+    if (!normalized.author) {
+      throw new Error('marketplace.json needs an author: set git config user.name or pass --author');
+    }
+    const licenses = MARKETPLACE_PROFILES[normalized.marketplace].licenses;
+    if (!licenses.includes(normalized.license)) {
+      throw new Error(`License "${normalized.license}" is not accepted by ${normalized.marketplace} (allowed: ${licenses.join(', ')})`);
+    }
+  }
+
+  return normalized;
+}
+
+/**
+ * Ask every question, starting from `initial` answers
+ */
+async function promptAnswers(initial, { ask = prompts } = {}) {
+  const selected = (choices, values) => choices.map(choice => ({ ...choice, selected: values.includes(choice.value) }));
+  let needsAuthor = false;
+  const templateChoices = listTemplates().map(template => ({
+    title: template.name,
+    description: template.description,
+    value: template.name
+  }));
+  if (!templateChoices.some(choice => choice.value === initial.template)) {
+    templateChoices.unshift({ title: initial.template, value: initial.template });
+  }
+
+  const questions = [
+    {
+      type: 'text',
+      name: 'name',
+      message: 'Skill name (kebab-case)',
+      initial: initial.name,
+      validate: validateName
+    },
+    {
+      type: 'text',
+      name: 'purpose',
+      message: 'What does the skill do? (one line)',
+      initial: initial.purpose
+    },
+    {
+      type: 'list',
+      name: 'triggers',
+      message: 'Use when... (comma-separated trigger phrases)',
+      initial: initial.triggers.join(', '),
+      separator: ','
+    },
+    {
+      type: 'select',
+      name: 'template',
+      message: 'Template',
+      choices: templateChoices,
+      initial: Math.max(0, templateChoices.findIndex(choice => choice.value === initial.template))
+    },
+    {
+      type: 'multiselect',
+      name: 'languages',
+      message: 'Languages to seed in polyglot.json',
+      choices: selected(Object.entries(LANGUAGES).map(([code, label]) => ({ title: `${code} (${label})`, value: code })), initial.languages),
+      hint: '- Space to select, Enter to submit'
+    },
+    {
+      type: 'select',
+      name: 'marketplace',
+      message: 'Publish to a marketplace (adds marketplace.json)?',
+      choices: [
+        { title: 'No', value: false },
+        ...VALID_MARKETPLACES.map(marketplace => ({ title: marketplace, value: marketplace }))
+      ],
+      initial: initial.marketplace ? VALID_MARKETPLACES.indexOf(toMarketplace(initial.marketplace)) + 1 : 0
+    },
+    {
+      type: (previous, values) => values.marketplace ? 'multiselect' : null,
+      name: 'categories',
+      message: 'Marketplace categories',
+      // The chosen marketplace's own category vocabulary
+      choices: (previous, values) => selected(MARKETPLACE_PROFILES[values.marketplace].categories
+        .map(label => ({ title: label, value: label })), initial.categories),
+      min: 1
+    },
+    {
+      type: (previous, values) => values.marketplace ? 'list' : null,
+      name: 'keywords',
+      message: 'Keywords (comma-separated)',
+      initial: initial.keywords.join(', '),
+      separator: ','
+    },
+    {
+      type: (previous, values) => values.marketplace ? 'text' : null,
+      name: 'repository',
+      message: 'Repository URL',
+      initial: initial.repository,
+      validate: value => toHttpsUrl(value) || String(value).startsWith('https://') ? true : 'Enter an HTTPS URL or a git remote'
+    },
+    {
+      type: (previous, values) => values.marketplace ? 'text' : null,
+      name: 'homepage',
+      message: 'Homepage URL',
+      initial: (previous, values) => initial.homepage || (values.repository ? `${toUrl('repository', values.repository)}#readme` : '')
+    },
+    {
+      type: (previous, values) => values.marketplace ? 'text' : null,
+      name: 'bugs',
+      message: 'Issue tracker URL',
+      initial: (previous, values) => initial.bugs || (values.repository ? `${toUrl('repository', values.repository)}/issues` : '')
+    },
+    {
+      // validate() only sees the value, so note whether a marketplace was chosen
+      type: (previous, values) => {
+        needsAuthor = Boolean(values.marketplace);
+        return 'text';
+      },
+      name: 'author',
+      message: 'Author',
+      initial: initial.author,
+      validate: value => needsAuthor && !String(value).trim() ? 'A marketplace listing needs an author' : true
+    },
+    {
+      type: 'select',
+      name: 'license',
+      message: 'License',
+      // A marketplace only offers the licenses it accepts
+      choices: (previous, values) => {
+        const allowed = values.marketplace ? MARKETPLACE_PROFILES[values.marketplace].licenses : LICENSES;
+        return [...new Set([initial.license, ...allowed])]
+          .filter(license => allowed.includes(license))
+          .map(license => ({ title: license, value: license }));
+      },
+      initial: 0
+    }
+  ];
+
+  return { ...initial, ...await askAll(ask, questions) };
+}
+
+/**
+ * Ask questions with prompts, throwing when the user cancels
+ */
+async function askAll(ask, questions) {
+  let cancelled = false;
+  const answers = await ask(questions, {
+    onCancel: () => {
+      cancelled = true;
+      return false;
+    }
+  });
+  if (cancelled) {
+    throw new Error('Cancelled');
+  }
+  return answers;
+}
+
+/**
+ * Collect values for a template's own variables
+ *
+ * Values come from `answers.variables`, then the manifest defaults; the
+ * template's prompts ask for them when interactive.
+ */
+async function collectTemplateVariables(template, answers, options = {}) {
+  const { ask = prompts } = options;
+  const unknown = Object.keys(answers.variables || {}).filter(key => !template.variables[key]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown variable(s) for template "${template.name}": ${unknown.join(', ')}`);
+  }
+
+  const values = Object.fromEntries(Object.entries(template.variables)
+    .map(([key, spec]) => [key, answers.variables?.[key] ?? spec.default ?? '']));
+  if (!isInteractive(options) || template.prompts.length === 0) {
+    return values;
+  }
+
+  const questions = template.prompts.map(question => ({ ...question, initial: values[question.name] }));
+  return { ...values, ...await askAll(ask, questions) };
+}
+
+/**
+ * Prompt only when asked to and attached to a terminal
+ */
+function isInteractive(options) {
+  return Boolean(options.interactive && process.stdin.isTTY);
+}
+
+/**
+ * Collect the answers for `create`
+ *
+ * Precedence: explicit options (flags), then `options.answersFile`, then
+ * defaults. With `interactive` (and a terminal) these become the initial
+ * values of the prompts.
+ */
+async function collectAnswers(name, options = {}) {
+  const fromFile = options.answersFile ? loadAnswersFile(options.answersFile) : {};
+  const fromFlags = Object.fromEntries(ANSWER_KEYS
+    .filter(key => options[key] !== undefined)
+    .map(key => [key, options[key]]));
+  const merged = { ...fromFile, ...fromFlags };
+  if (fromFile.variables && fromFlags.variables) {
+    merged.variables = { ...fromFile.variables, ...fromFlags.variables };
+  }
+  const skillName = merged.name ?? name;
+  const initial = { ...defaultAnswers(skillName), ...merged, name: skillName };
+  if (merged.repository === undefined) {
+    initial.repository = getRemoteUrl(options.path || '.') || '';
+  }
+  if (merged.author === undefined) {
+    initial.author = git(options.path || '.', ['config', 'user.name']) || '';
+  }
+
+  if (!isInteractive(options)) {
+    return normalizeAnswers(initial);
+  }
+
+  return normalizeAnswers(await promptAnswers({
+    ...initial,
+    triggers: toList(initial.triggers),
+    languages: toList(initial.languages),
+    categories: toList(initial.categories).map(category => MARKETPLACE_CATEGORIES[category] || category),
+    keywords: toList(initial.keywords)
+  }, options));
+}
+
+export {
+  LANGUAGES,
+  MARKETPLACE_CATEGORIES,
+  LICENSES,
+  defaultAnswers,
+  loadAnswersFile,
+  normalizeAnswers,
+  promptAnswers,
+  collectAnswers,
+  collectTemplateVariables
+};
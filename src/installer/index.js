@@ -0,0 +1,598 @@
+/**
+ * Skill Installer
+ *
+ * Installs skills into a personal (~/.claude/skills) or project
+ * (.claude/skills) scope, lists and removes them, and records every install
+ * in the scope's lockfile (see lockfile.js).
+ *
+ * A skill is installed from a directory (copied, or symlinked with `link`)
+ * or from a bundle built by `pack`, whose embedded manifest is verified
+ * first. Either way the skill is validated and never installed with errors.
+ * Copies hold every file that is not ignored; the integrity recorded in
+ * the lockfile covers the files a package would hold (see packer/index.js).
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { validateSkill } from '../validator/index.js';
+import { compareVersions } from '../utils/semver.js';
+import { collectPackage, getIntegrity, verifyManifest, getSkillInfo, MANIFEST_FILE } from '../packer/index.js';
+import { readZip, readTarGz } from '../utils/archive.js';
+import { createPlan, commitPlan } from '../generator/plan.js';
+import { getScopes, readLockfile, writeLockfile, toLockSource, fromLockSource } from './lockfile.js';
+
+const SCOPES = ['personal', 'project'];
+
+const BUNDLE_READERS = [
+  { pattern: /\.zip$/i, read: readZip },
+  { pattern: /\.(tar\.gz|tgz)$/i, read: readTarGz }
+];
+
+function getBundleReader(source) {
+  return BUNDLE_READERS.find(({ pattern }) => pattern.test(source))?.read || null;
+}
+
+/**
+ * Open a bundle: read its entries, verify them against the embedded
+ * manifest and strip the `<name>/` folder
+ *
+ * Returns { manifest, entries }; throws on unreadable or tampered bundles.
+ */
+function openBundle(bundlePath) {
+  const read = getBundleReader(bundlePath);
+  const entries = read(fs.readFileSync(bundlePath));
+  const roots = new Set(entries.map(entry => entry.path.split('/')[0]));
+  if (roots.size !== 1 || entries.some(entry => !entry.path.includes('/'))) {
+    throw new Error(`${path.basename(bundlePath)} is not a skill bundle: expected every file under one folder`);
+  }
+  const [root] = roots;
+  const files = entries.map(entry => ({ ...entry, path: entry.path.slice(root.length + 1) }));
+
+  const manifestEntry = files.find(entry => entry.path === MANIFEST_FILE);
+  if (!manifestEntry) {
+    throw new Error(`${path.basename(bundlePath)} has no ${MANIFEST_FILE}; build bundles with "skills-builder pack"`);
+  }
+  let manifest;
+  try {
+    manifest = JSON.parse(manifestEntry.content.toString('utf-8'));
+  } catch (e) {
+    throw new Error(`Invalid ${MANIFEST_FILE} in ${path.basename(bundlePath)}: ${e.message}`);
+  }
+
+  const contents = files.filter(entry => entry.path !== MANIFEST_FILE);
+  const problems = verifyManifest(manifest, contents);
+  if (problems.length > 0) {
+    throw new Error(`${path.basename(bundlePath)} failed verification: ${problems.join('; ')}`);
+  }
+  return { manifest, entries: contents };
+}
+
+/**
+ * Write package entries to a directory (used to validate bundles)
+ */
+function extractTo(dir, entries) {
+  for (const entry of entries) {
+    const file = path.join(dir, entry.path);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, entry.content, { mode: entry.mode & 0o111 ? 0o755 : 0o644 });
+  }
+}
+
+/**
+ * Throw unless `name` can be used as a directory name inside a scope
+ */
+function checkName(name) {
+  if (typeof name !== 'string' || !name || /[/\\]|^\.+$/.test(name)) {
+    throw new Error(`Invalid skill name "${name}"`);
+  }
+}
+
+/**
+ * True when something (directory, file or symlink, even a broken one) is at `target`
+ */
+function isPresent(target) {
+  try {
+    fs.lstatSync(target);
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Remove an installed skill; symlinks are unlinked, never followed
+ */
+function removeInstalled(target) {
+  if (fs.lstatSync(target).isSymbolicLink()) {
+    fs.unlinkSync(target);
+  } else {
+    fs.rmSync(target, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Put a skill in place, replacing an existing install only once the new one
+ * is written (the old one is restored on failure)
+ */
+function placeSkill(target, write) {
+  const backup = isPresent(target)
+    ? path.join(path.dirname(target), `.${path.basename(target)}.old-${process.pid}-${Date.now()}`)
+    : null;
+  if (backup) {
+    fs.renameSync(target, backup);
+  }
+  try {
+    write();
+  } catch (e) {
+    if (backup) {
+      if (isPresent(target)) {
+        removeInstalled(target);
+      }
+      fs.renameSync(backup, target);
+    }
+    throw e;
+  }
+  if (backup) {
+    removeInstalled(backup);
+  }
+}
+
+/**
+ * Install a skill from a directory or a bundle
+ *
+ * Options: `scope` ("personal" or "project", default personal), `link`
+ * (symlink a directory instead of copying it), `force` (replace an existing
+ * install), `integrity` (refuse unless the package matches it; used when
+ * installing from the lockfile), `cwd`/`home` (scope roots), plus
+ * validateSkill() options such as `config` and `translations`.
+ *
+ * Returns { success, name, version, scope, path, source, link, integrity,
+ * replaced, errors, results } where `results` is the validation run.
+ */
+export async function installSkill(source, options = {}) {
+  const {
+    scope: scopeName = 'personal',
+    link = false,
+    force = false,
+    integrity: expectedIntegrity = null,
+    cwd,
+    home,
+    ...validateOptions
+  } = options;
+
+  const result = {
+    success: false,
+    name: null,
+    version: null,
+    scope: scopeName,
+    path: null,
+    source,
+    link,
+    integrity: null,
+    replaced: false,
+    errors: [],
+    results: null
+  };
+
+  const scope = getScopes({ cwd, home })[scopeName];
+  if (!scope) {
+    result.errors.push(`Unknown scope "${scopeName}": use ${SCOPES.join(' or ')}`);
+    return result;
+  }
+  if (!source || !fs.existsSync(source)) {
+    result.errors.push(`Skill source not found: ${source}`);
+    return result;
+  }
+
+  const isBundle = fs.statSync(source).isFile();
+  if (isBundle && !getBundleReader(source)) {
+    result.errors.push(`Unsupported bundle ${path.basename(source)}: expected a .zip or .tar.gz from "skills-builder pack"`);
+    return result;
+  }
+  if (isBundle && link) {
+    result.errors.push('--link needs a skill directory, not a bundle');
+    return result;
+  }
+
+  let tempDir = null;
+  try {
+    // Bundles are validated from a temporary extraction
+    let skillDir = source;
+    let pkg;
+    if (isBundle) {
+      const { manifest, entries } = openBundle(source);
+      checkName(manifest.name);
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'skills-builder-install-'));
+      skillDir = path.join(tempDir, manifest.name);
+      extractTo(skillDir, entries);
+      pkg = { info: { name: manifest.name, version: manifest.version }, entries, manifest };
+    }
+
+    const results = await validateSkill(skillDir, validateOptions);
+    result.results = results;
+    if (results.usageError) {
+      result.errors.push(results.usageError);
+      return result;
+    }
+    if (results.errors.length > 0) {
+      result.errors.push(`Validation failed with ${results.errors.length} error(s); fix them before installing`);
+      return result;
+    }
+
+    // A directory is copied whole (README.md, .skill.yml, ...), so the
+    // installed copy validates like its source; integrity covers the packed files
+    let copied = pkg?.entries;
+    if (!pkg) {
+      pkg = collectPackage(skillDir, { config: validateOptions.config });
+      copied = collectPackage(skillDir, { config: validateOptions.config, all: true }).entries;
+    }
+    const { name, version } = pkg.info;
+    checkName(name);
+    result.name = name;
+    result.version = version;
+    result.integrity = getIntegrity(pkg.manifest);
+    result.path = path.join(scope.dir, name);
+
+    if (expectedIntegrity && !link && result.integrity !== expectedIntegrity) {
+      result.errors.push(`${name} has changed since it was locked; run "skills-builder install ${source}" to update the lockfile`);
+      return result;
+    }
+    result.replaced = isPresent(result.path);
+    if (result.replaced && !force) {
+      result.errors.push(`${name} is already installed at ${result.path}; use --force to replace it`);
+      return result;
+    }
+
+    placeSkill(result.path, () => {
+      if (link) {
+        fs.mkdirSync(scope.dir, { recursive: true });
+        fs.symlinkSync(path.resolve(source), result.path, 'dir');
+        return;
+      }
+      const plan = createPlan(result.path);
+      for (const entry of copied) {
+        plan.write(entry.path, entry.content, { mode: entry.mode & 0o111 ? 0o755 : 0o644 });
+      }
+      commitPlan(plan);
+    });
+
+    const lock = readLockfile(scope);
+    lock.skills[name] = {
+      version,
+      source: toLockSource(scope, source),
+      type: isBundle ? 'bundle' : 'directory',
+      link,
+      integrity: result.integrity
+    };
+    writeLockfile(scope, lock);
+    result.success = true;
+  } catch (e) {
+    result.errors.push(e.message);
+  } finally {
+    if (tempDir) {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+  }
+  return result;
+}
+
+/**
+ * Install every skill recorded in a scope's lockfile
+ *
+ * Skills already installed with the locked contents are left alone; the
+ * others are installed from their recorded source, which must still match
+ * the locked integrity (linked skills follow their source). Returns
+ * { success, scope, installed, upToDate, errors } where `installed` holds
+ * installSkill() results.
+ */
+export async function installFromLockfile(options = {}) {
+  const { scope: scopeName = 'personal', cwd, home } = options;
+  const result = { success: true, scope: scopeName, installed: [], upToDate: [], errors: [] };
+
+  const scope = getScopes({ cwd, home })[scopeName];
+  if (!scope) {
+    result.success = false;
+    result.errors.push(`Unknown scope "${scopeName}": use ${SCOPES.join(' or ')}`);
+    return result;
+  }
+
+  let lock;
+  try {
+    lock = readLockfile(scope);
+  } catch (e) {
+    result.success = false;
+    result.errors.push(e.message);
+    return result;
+  }
+  if (Object.keys(lock.skills).length === 0) {
+    result.errors.push(`No skills locked in ${scope.lockfile}`);
+    result.success = false;
+    return result;
+  }
+
+  for (const [name, entry] of Object.entries(lock.skills)) {
+    const target = path.join(scope.dir, name);
+    if (isPresent(target) && getInstalledIntegrity(target, entry) === entry.integrity) {
+      result.upToDate.push(name);
+      continue;
+    }
+    const installed = await installSkill(fromLockSource(scope, entry.source), {
+      ...options,
+      link: entry.link,
+      force: true,
+      integrity: entry.integrity
+    });
+    result.installed.push(installed);
+    if (!installed.success) {
+      result.success = false;
+    }
+  }
+  return result;
+}
+
+/**
+ * Integrity of an installed skill; linked skills always match their lock
+ */
+function getInstalledIntegrity(target, entry) {
+  if (fs.lstatSync(target).isSymbolicLink()) {
+    return entry?.link ? entry.integrity : null;
+  }
+  try {
+    return getIntegrity(collectPackage(target).manifest);
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Where an installed skill stands against its locked source
+ *
+ * Returns { status, sourceVersion } with status one of "linked",
+ * "up to date", "newer" (the source has a higher version), "changed" (same
+ * version, different files), "source missing" or "unmanaged" (not in the
+ * lockfile).
+ */
+function getSourceStatus(scope, name, installed, entry) {
+  if (!entry) {
+    return { status: 'unmanaged', sourceVersion: null };
+  }
+  const source = fromLockSource(scope, entry.source);
+  if (!fs.existsSync(source)) {
+    return { status: 'source missing', sourceVersion: null };
+  }
+  if (installed.linked) {
+    return { status: 'linked', sourceVersion: null };
+  }
+
+  let sourceVersion;
+  let sourceIntegrity;
+  try {
+    if (entry.type === 'bundle') {
+      const { manifest } = openBundle(source);
+      sourceVersion = manifest.version;
+      sourceIntegrity = getIntegrity(manifest);
+    } else {
+      const { info, manifest } = collectPackage(source);
+      sourceVersion = info.version;
+      sourceIntegrity = getIntegrity(manifest);
+    }
+  } catch (e) {
+    return { status: 'source missing', sourceVersion: null };
+  }
+
+  if (compareVersions(sourceVersion, installed.version) > 0) {
+    return { status: 'newer', sourceVersion };
+  }
+  if (sourceIntegrity !== installed.integrity) {
+    return { status: 'changed', sourceVersion };
+  }
+  return { status: 'up to date', sourceVersion };
+}
+
+/**
+ * List installed skills
+ *
+ * Options: `scope` (default: both), `cwd`/`home`, plus validateSkill()
+ * options. Returns { skills, errors } where each skill is { name, version,
+ * scope, path, linked, validation: { valid, errors, warnings }, status,
+ * sourceVersion }. Skills in a lockfile but missing on disk are listed
+ * with status "missing".
+ */
+export async function listSkills(options = {}) {
+  const { scope: scopeName = null, cwd, home, ...validateOptions } = options;
+  const scopes = getScopes({ cwd, home });
+  const result = { skills: [], errors: [] };
+
+  for (const name of scopeName ? [scopeName] : SCOPES) {
+    const scope = scopes[name];
+    if (!scope) {
+      result.errors.push(`Unknown scope "${name}": use ${SCOPES.join(' or ')}`);
+      continue;
+    }
+
+    let lock = { skills: {} };
+    try {
+      lock = readLockfile(scope);
+    } catch (e) {
+      result.errors.push(e.message);
+    }
+
+    const installedNames = fs.existsSync(scope.dir)
+      ? fs.readdirSync(scope.dir).filter(entry => !entry.startsWith('.')).sort()
+      : [];
+    for (const skillName of installedNames) {
+      const skillPath = path.join(scope.dir, skillName);
+      const linked = fs.lstatSync(skillPath).isSymbolicLink();
+      if (!fs.existsSync(skillPath) || !fs.statSync(skillPath).isDirectory()) {
+        if (linked) {
+          result.skills.push({ name: skillName, version: null, scope: name, path: skillPath, linked, validation: null, status: 'source missing', sourceVersion: null });
+        }
+        continue;
+      }
+
+      const entry = lock.skills[skillName];
+      const installed = {
+        version: getSkillInfo(skillPath).version,
+        linked,
+        integrity: getInstalledIntegrity(skillPath, entry)
+      };
+      const results = await validateSkill(skillPath, validateOptions);
+      result.skills.push({
+        name: skillName,
+        version: installed.version,
+        scope: name,
+        path: skillPath,
+        linked,
+        validation: {
+          valid: results.errors.length === 0 && !results.usageError,
+          errors: results.errors.length,
+          warnings: results.warnings.length
+        },
+        ...getSourceStatus(scope, skillName, installed, entry)
+      });
+    }
+
+    for (const [skillName, entry] of Object.entries(lock.skills)) {
+      if (!installedNames.includes(skillName)) {
+        result.skills.push({ name: skillName, version: entry.version, scope: name, path: path.join(scope.dir, skillName), linked: entry.link, validation: null, status: 'missing', sourceVersion: null });
+      }
+    }
+  }
+  return result;
+}
+
+/**
+ * Uninstall a skill and drop it from the lockfile
+ *
+ * Without `options.scope` the skill is looked up in both scopes and must be
+ * installed in only one. Returns { success, name, scope, path, errors }.
+ */
+export async function uninstallSkill(name, options = {}) {
+  const { scope: scopeName = null, cwd, home } = options;
+  const scopes = getScopes({ cwd, home });
+  const result = { success: false, name, scope: scopeName, path: null, errors: [] };
+
+  if (scopeName && !scopes[scopeName]) {
+    result.errors.push(`Unknown scope "${scopeName}": use ${SCOPES.join(' or ')}`);
+    return result;
+  }
+  try {
+    checkName(name);
+  } catch (e) {
+    result.errors.push(e.message);
+    return result;
+  }
+
+  const isInScope = (id) => {
+    const scope = scopes[id];
+    if (isPresent(path.join(scope.dir, name))) {
+      return true;
+    }
+    try {
+      return Boolean(readLockfile(scope).skills[name]);
+    } catch (e) {
+      return false;
+    }
+  };
+  const matches = scopeName ? [scopeName].filter(isInScope) : SCOPES.filter(isInScope);
+  if (matches.length === 0) {
+    result.errors.push(`${name} is not installed${scopeName ? ` in the ${scopeName} scope` : ''}`);
+    return result;
+  }
+  if (matches.length > 1) {
+    result.errors.push(`${name} is installed in both scopes; choose one with --scope`);
+    return result;
+  }
+
+  const scope = scopes[matches[0]];
+  result.scope = matches[0];
+  result.path = path.join(scope.dir, name);
+  try {
+    if (isPresent(result.path)) {
+      removeInstalled(result.path);
+    }
+    const lock = readLockfile(scope);
+    if (lock.skills[name]) {
+      delete lock.skills[name];
+      writeLockfile(scope, lock);
+    }
+    result.success = true;
+  } catch (e) {
+    result.errors.push(e.message);
+  }
+  return result;
+}
+
+/**
+ * Format an install result (single skill or from the lockfile)
+ */
+export function formatInstallResult(result) {
+  if (result.installed) {
+    const lines = [];
+    for (const name of result.upToDate) {
+      lines.push(`✓ ${name} is up to date`);
+    }
+    for (const installed of result.installed) {
+      lines.push(formatInstallResult(installed));
+    }
+    lines.push(...result.errors.map(error => `❌ ${error}`));
+    return lines.join('\n');
+  }
+  if (!result.success) {
+    return result.errors.map(error => `❌ ${error}`).join('\n');
+  }
+  const how = result.link ? 'Linked' : result.replaced ? 'Reinstalled' : 'Installed';
+  return `✅ ${how} ${result.name}@${result.version} (${result.scope}) at ${result.path}`;
+}
+
+/**
+ * Format installed skills as a table
+ */
+export function formatSkillList(result) {
+  const lines = [];
+  if (result.skills.length === 0) {
+    lines.push('No skills installed');
+  } else {
+    const describeValidation = (validation) => {
+      if (!validation) {
+        return '-';
+      }
+      if (!validation.valid) {
+        return `✗ ${validation.errors} error(s)`;
+      }
+      return validation.warnings > 0 ? `✓ ${validation.warnings} warning(s)` : '✓ valid';
+    };
+    const describeStatus = (skill) => {
+      if (skill.status === 'newer') {
+        return `update available (${skill.sourceVersion})`;
+      }
+      if (skill.status === 'changed') {
+        return 'source changed';
+      }
+      if (skill.status === 'missing') {
+        return 'missing (run install)';
+      }
+      return skill.status;
+    };
+
+    const rows = [['NAME', 'VERSION', 'SCOPE', 'VALIDATION', 'SOURCE']];
+    for (const skill of result.skills) {
+      rows.push([
+        skill.linked ? `${skill.name} →` : skill.name,
+        skill.version || '-',
+        skill.scope,
+        describeValidation(skill.validation),
+        describeStatus(skill)
+      ]);
+    }
+    const widths = rows[0].map((_, i) => Math.max(...rows.map(row => row[i].length)));
+    for (const row of rows) {
+      lines.push(row.map((cell, i) => cell.padEnd(widths[i])).join('  ').trimEnd());
+    }
+  }
+  lines.push(...result.errors.map(error => `❌ ${error}`));
+  return lines.join('\n');
+}
+
+export { SCOPES, compareVersions };
@@ -0,0 +1,100 @@
+/**
+ * Skills Lockfile
+ *
+ * Each install scope keeps a `skills-lock.json` next to its skills
+ * directory recording what was installed from where, so a team can commit
+ * the project lockfile and reproduce the same skill set with `install`.
+ *
+ * {
+ *   "lockfileVersion": 1,
+ *   "skills": {
+ *     "code-actor": {
+ *       "version": "1.2.0",
+ *       "source": "vendor/code-actor",     // relative to the project root
+ *       "type": "directory",               // or "bundle"
+ *       "link": false,
+ *       "integrity": "sha256-..."          // digest of the package manifest
+ *     }
+ *   }
+ * }
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const LOCKFILE_VERSION = 1;
+const LOCKFILE_NAME = 'skills-lock.json';
+
+/**
+ * Install scopes: `personal` (~/.claude/skills) and `project`
+ * (.claude/skills in the current directory)
+ *
+ * Project sources are recorded relative to the project root so the
+ * lockfile works in every checkout; personal sources are absolute.
+ */
+export function getScopes(options = {}) {
+  const { cwd = process.cwd(), home = os.homedir() } = options;
+  const scope = (base, relative) => ({
+    base,
+    dir: path.join(base, '.claude', 'skills'),
+    lockfile: path.join(base, '.claude', LOCKFILE_NAME),
+    relative
+  });
+  return {
+    personal: scope(home, false),
+    project: scope(path.resolve(cwd), true)
+  };
+}
+
+/**
+ * Read a scope's lockfile; an empty lock when there is none
+ *
+ * Throws when the file exists but is not a valid lockfile.
+ */
+export function readLockfile(scope) {
+  if (!fs.existsSync(scope.lockfile)) {
+    return { lockfileVersion: LOCKFILE_VERSION, skills: {} };
+  }
+  let lock;
+  try {
+    lock = JSON.parse(fs.readFileSync(scope.lockfile, 'utf-8'));
+  } catch (e) {
+    throw new Error(`Invalid lockfile ${scope.lockfile}: ${e.message}`);
+  }
+  if (lock.lockfileVersion !== LOCKFILE_VERSION || typeof lock.skills !== 'object' || lock.skills === null) {
+    throw new Error(`Unsupported lockfile ${scope.lockfile} (expected lockfileVersion ${LOCKFILE_VERSION})`);
+  }
+  return lock;
+}
+
+/**
+ * Write a lockfile with skills sorted by name for stable diffs
+ */
+export function writeLockfile(scope, lock) {
+  const skills = {};
+  for (const name of Object.keys(lock.skills).sort()) {
+    skills[name] = lock.skills[name];
+  }
+  fs.mkdirSync(path.dirname(scope.lockfile), { recursive: true });
+  fs.writeFileSync(scope.lockfile, `${JSON.stringify({ lockfileVersion: LOCKFILE_VERSION, skills }, null, 2)}\n`);
+}
+
+/**
+ * Source path as recorded in a scope's lockfile
+ */
+export function toLockSource(scope, source) {
+  const absolute = path.resolve(source);
+  return scope.relative
+    ? path.relative(scope.base, absolute).split(path.sep).join('/') || '.'
+    : absolute;
+}
+
+/**
+ * Absolute path of a lockfile source
+ */
+export function fromLockSource(scope, source) {
+  return path.resolve(scope.base, source);
+}
+
+export { LOCKFILE_NAME, LOCKFILE_VERSION };
@@ -0,0 +1,303 @@
+/**
+ * Skill Packer
+ *
+ * Builds distributable archives of a skill (`skills-builder pack`). The skill
+ * is validated first and never packed with errors. Archives are
+ * deterministic: the same files always produce byte-identical output.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { validateSkill } from '../validator/index.js';
+import { loadConfig } from '../validator/config.js';
+import { parseFrontmatter } from '../validator/frontmatter.js';
+import { createMatcher } from '../utils/glob.js';
+import { createZip, createTarGz } from '../utils/archive.js';
+
+// Files and directories shipped in a package, relative to the skill root
+const PACKED_FILES = ['SKILL.md', 'package.json', 'polyglot.json', 'LICENSE'];
+const PACKED_DIRECTORIES = ['scripts', 'references', 'assets', 'dist'];
+
+// Never packed, whatever the ignore files say
+const ALWAYS_EXCLUDED = ['node_modules/', '.git/', '.DS_Store'];
+
+// Embedded at the archive root so consumers can verify the contents
+const MANIFEST_FILE = 'skill-manifest.json';
+
+const FORMATS = {
+  zip: { extension: '.zip', create: createZip },
+  'tar.gz': { extension: '.tar.gz', create: createTarGz }
+};
+
+/**
+ * Read a file, or null when it is missing or unreadable
+ */
+function readOptional(filePath) {
+  try {
+    return fs.readFileSync(filePath, 'utf-8');
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Name and version of a skill, from package.json, else SKILL.md frontmatter
+ */
+function getSkillInfo(skillPath) {
+  let packageJson = {};
+  try {
+    packageJson = JSON.parse(readOptional(path.join(skillPath, 'package.json')) || '{}');
+  } catch (e) {
+    // Reported by the validator
+  }
+  const skillMd = readOptional(path.join(skillPath, 'SKILL.md'));
+  const frontmatter = (skillMd && parseFrontmatter(skillMd).data) || {};
+
+  const name = String(packageJson.name || frontmatter.name || path.basename(path.resolve(skillPath)))
+    .replace(/^@/, '')
+    .replace(/[^\w.-]+/g, '-');
+  const version = String(packageJson.version || frontmatter.version || '0.0.0');
+  return { name, version };
+}
+
+/**
+ * Matcher for paths excluded from the package
+ *
+ * Combines the config's ignorePatterns with the skill's .gitignore. A
+ * .gitignore entry naming a packed directory itself (typically `dist/`) is
+ * skipped: build output is ignored by git but meant to be shipped.
+ */
+function createExcludeMatcher(skillPath, configPath) {
+  const gitignore = (readOptional(path.join(skillPath, '.gitignore')) || '')
+    .split('\n')
+    .filter(line => {
+      const entry = line.trim().replace(/^\//, '').replace(/\/$/, '');
+      return !PACKED_DIRECTORIES.includes(entry) && !PACKED_FILES.includes(entry);
+    });
+  const config = loadConfig(skillPath, configPath);
+  return createMatcher([...ALWAYS_EXCLUDED, ...gitignore, ...config.ignorePatterns]);
+}
+
+/**
+ * Collect the files to pack as [{ path, absolutePath, mode }], sorted by path
+ *
+ * Only the packed files and directories are visited unless `all` is set.
+ * Symlinks are skipped so a package never reaches outside the skill.
+ */
+function collectFiles(skillPath, isExcluded, all = false) {
+  const files = [];
+  const visit = (relativePath) => {
+    if (isExcluded(relativePath)) {
+      return;
+    }
+    const absolutePath = path.join(skillPath, relativePath);
+    let stat;
+    try {
+      stat = fs.lstatSync(absolutePath);
+    } catch (e) {
+      return;
+    }
+    if (stat.isDirectory()) {
+      for (const entry of fs.readdirSync(absolutePath)) {
+        visit(`${relativePath}/${entry}`);
+      }
+    } else if (stat.isFile()) {
+      files.push({ path: relativePath, absolutePath, mode: stat.mode });
+    }
+  };
+
+  for (const file of all ? fs.readdirSync(skillPath) : [...PACKED_FILES, ...PACKED_DIRECTORIES]) {
+    visit(file);
+  }
+  return files.sort((a, b) => (a.path < b.path ? -1 : a.path > b.path ? 1 : 0));
+}
+
+/**
+ * Build the manifest embedded in every archive
+ *
+ * Lists each packed file with its size and SHA-256. It holds no timestamp
+ * so repeated packs of the same files stay identical.
+ */
+function createManifest(info, entries) {
+  return {
+    name: info.name,
+    version: info.version,
+    files: entries.map(entry => ({
+      path: entry.path,
+      size: entry.content.length,
+      sha256: sha256(entry.content)
+    }))
+  };
+}
+
+/**
+ * Hex SHA-256 of a buffer or string
+ */
+function sha256(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+/**
+ * Collect what a package of the skill holds
+ *
+ * Returns { info: { name, version }, entries: [{ path, content, mode }],
+ * manifest }. `options.config` is a config file path; `options.skip` lists
+ * absolute paths to leave out; `options.all` collects every file that is not
+ * excluded instead of only the packed ones. Throws when the config cannot
+ * be loaded.
+ */
+export function collectPackage(skillPath, options = {}) {
+  const { config = null, skip = [], all = false } = options;
+  const info = getSkillInfo(skillPath);
+  const isExcluded = createExcludeMatcher(skillPath, config);
+  const entries = collectFiles(skillPath, isExcluded, all)
+    .filter(file => !skip.includes(path.resolve(file.absolutePath)))
+    .map(file => ({
+      path: file.path,
+      content: fs.readFileSync(file.absolutePath),
+      mode: file.mode
+    }));
+  return { info, entries, manifest: createManifest(info, entries) };
+}
+
+/**
+ * Digest of a manifest's file list, identifying a package's exact contents
+ */
+export function getIntegrity(manifest) {
+  const files = manifest.files.map(({ path: file, size, sha256: hash }) => [file, size, hash]);
+  return `sha256-${sha256(JSON.stringify(files))}`;
+}
+
+/**
+ * Check unpacked files against a package manifest
+ *
+ * `entries` are [{ path, content }] relative to the skill root, without the
+ * manifest itself. Returns a list of problems; empty when every file is
+ * listed, present and unchanged.
+ */
+export function verifyManifest(manifest, entries) {
+  const problems = [];
+  const listed = new Map((manifest.files || []).map(file => [file.path, file]));
+  for (const entry of entries) {
+    const file = listed.get(entry.path);
+    if (!file) {
+      problems.push(`${entry.path} is not listed in the manifest`);
+    } else if (file.size !== entry.content.length || file.sha256 !== sha256(entry.content)) {
+      problems.push(`${entry.path} does not match its manifest hash`);
+    }
+    listed.delete(entry.path);
+  }
+  for (const file of listed.keys()) {
+    problems.push(`${file} is listed in the manifest but missing`);
+  }
+  return problems;
+}
+
+/**
+ * Pack a skill into zip and/or tar.gz archives
+ *
+ * Options: `outDir` (default: current directory), `formats` (default: both),
+ * plus validateSkill() options such as `config` and `translations`. Returns
+ * { success, skillPath, name, version, files, manifest, archives, errors,
+ * results } where `results` is the validation run; nothing is written when
+ * validation fails.
+ */
+export async function packSkill(skillPath, options = {}) {
+  const {
+    outDir = process.cwd(),
+    formats = Object.keys(FORMATS),
+    ...validateOptions
+  } = options;
+
+  const result = {
+    success: false,
+    skillPath,
+    name: null,
+    version: null,
+    files: [],
+    manifest: null,
+    archives: [],
+    errors: [],
+    results: null
+  };
+
+  const unknown = formats.filter(format => !FORMATS[format]);
+  if (unknown.length > 0) {
+    result.errors.push(`Unknown format "${unknown[0]}": use ${Object.keys(FORMATS).join(', ')}`);
+    return result;
+  }
+
+  const results = await validateSkill(skillPath, validateOptions);
+  result.results = results;
+  if (results.usageError) {
+    result.errors.push(results.usageError);
+    return result;
+  }
+  if (results.errors.length > 0) {
+    result.errors.push(`Validation failed with ${results.errors.length} error(s); fix them before packing`);
+    return result;
+  }
+
+  const { name, version } = getSkillInfo(skillPath);
+  const outputs = formats.map(format => path.resolve(outDir, `${name}-${version}${FORMATS[format].extension}`));
+
+  let pkg;
+  try {
+    // Skip earlier archives in case outDir is inside a packed directory
+    pkg = collectPackage(skillPath, { config: validateOptions.config, skip: outputs });
+  } catch (e) {
+    result.errors.push(e.message);
+    return result;
+  }
+  result.name = name;
+  result.version = version;
+  result.files = pkg.entries.map(entry => entry.path);
+  result.manifest = pkg.manifest;
+
+  const manifestEntry = {
+    path: MANIFEST_FILE,
+    content: Buffer.from(`${JSON.stringify(pkg.manifest, null, 2)}\n`),
+    mode: 0o644
+  };
+  // Everything lives under a <name>/ directory, manifest first
+  const archiveEntries = [manifestEntry, ...pkg.entries]
+    .map(entry => ({ ...entry, path: `${name}/${entry.path}` }));
+
+  // Build every archive before writing any, so a failure leaves no partial output
+  const archives = formats.map(format => FORMATS[format].create(archiveEntries));
+  fs.mkdirSync(outDir, { recursive: true });
+  archives.forEach((archive, i) => {
+    fs.writeFileSync(outputs[i], archive);
+    result.archives.push({
+      format: formats[i],
+      path: outputs[i],
+      size: archive.length,
+      sha256: sha256(archive)
+    });
+  });
+
+  result.success = true;
+  return result;
+}
+
+/**
+ * Format a pack result for the terminal
+ */
+export function formatPackResult(result) {
+  if (!result.success) {
+    return result.errors.map(error => `❌ ${error}`).join('\n');
+  }
+  const lines = [`📦 Packed ${result.name}@${result.version} (${result.files.length} files)`];
+  for (const file of result.files) {
+    lines.push(`   ${file}`);
+  }
+  lines.push('');
+  for (const archive of result.archives) {
+    lines.push(`✅ ${path.relative(process.cwd(), archive.path) || archive.path} (${archive.size} bytes)`);
+    lines.push(`   sha256 ${archive.sha256}`);
+  }
+  return lines.join('\n');
+}
+
+export { FORMATS, MANIFEST_FILE, PACKED_FILES, PACKED_DIRECTORIES, getSkillInfo };
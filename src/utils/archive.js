@@ -0,0 +1,318 @@
+/**
+ * Archives
+ *
+ * Minimal, dependency-free zip and tar.gz writers and readers. Written
+ * archives are deterministic: entries are written in the order given with a
+ * fixed timestamp, owner and normalized permissions, so the same files
+ * always produce the same bytes. Readers reject paths that escape the
+ * archive root.
+ *
+ * Entries are { path, content: Buffer, mode } with "/"-separated paths.
+ */
+
+import zlib from 'zlib';
+
+// 1980-01-01 00:00, the earliest date a zip can hold
+const DOS_DATE = (0 << 9) | (1 << 5) | 1;
+const DOS_TIME = 0;
+
+// CRC-32 lookup table (IEEE polynomial, reflected)
+const CRC_TABLE = new Uint32Array(256).map((_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c;
+});
+
+/**
+ * CRC-32 of a buffer, as zlib.crc32 computes it
+ */
+export function crc32(data) {
+  let crc = 0xffffffff;
+  for (const byte of data) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// zlib.crc32 only exists from Node 20.15 on
+const checksum = zlib.crc32 || crc32;
+
+/**
+ * 0755 for executables, 0644 for everything else
+ */
+function normalizeMode(mode = 0o644) {
+  return mode & 0o111 ? 0o755 : 0o644;
+}
+
+/**
+ * Build a zip archive (deflate, Unix permissions)
+ */
+export function createZip(entries) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  for (const entry of entries) {
+    const name = Buffer.from(entry.path, 'utf-8');
+    const data = zlib.deflateRawSync(entry.content, { level: 9 });
+    const crc = checksum(entry.content);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);            // version needed
+    local.writeUInt16LE(0x0800, 6);        // UTF-8 names
+    local.writeUInt16LE(8, 8);             // deflate
+    local.writeUInt16LE(DOS_TIME, 10);
+    local.writeUInt16LE(DOS_DATE, 12);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(entry.content.length, 22);
+    local.writeUInt16LE(name.length, 26);
+    local.writeUInt16LE(0, 28);
+    locals.push(local, name, data);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE((3 << 8) | 20, 4);  // made by Unix
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(0x0800, 8);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt16LE(DOS_TIME, 12);
+    central.writeUInt16LE(DOS_DATE, 14);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt32LE(entry.content.length, 24);
+    central.writeUInt16LE(name.length, 28);
+    central.writeUInt32LE(((0o100000 | normalizeMode(entry.mode)) << 16) >>> 0, 38);
+    central.writeUInt32LE(offset, 42);
+    centrals.push(central, name);
+
+    offset += local.length + name.length + data.length;
+  }
+
+  const centralSize = centrals.reduce((size, buffer) => size + buffer.length, 0);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(centralSize, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...locals, ...centrals, end]);
+}
+
+/**
+ * Write a tar header field as NUL-terminated octal
+ */
+function writeOctal(header, value, offset, length) {
+  header.write(value.toString(8).padStart(length - 1, '0'), offset, length - 1, 'ascii');
+}
+
+/**
+ * Split a path into ustar name (100 bytes) and prefix (155 bytes); null
+ * when it does not fit and needs a PAX header
+ */
+function splitTarPath(path) {
+  if (Buffer.byteLength(path) <= 100) {
+    return { name: path, prefix: '' };
+  }
+  for (let i = path.indexOf('/'); i !== -1; i = path.indexOf('/', i + 1)) {
+    const prefix = path.slice(0, i);
+    const name = path.slice(i + 1);
+    if (Buffer.byteLength(prefix) <= 155 && Buffer.byteLength(name) <= 100) {
+      return { name, prefix };
+    }
+  }
+  return null;
+}
+
+/**
+ * Build one 512-byte ustar header
+ */
+function createTarHeader({ name, prefix = '', mode, size, type = '0' }) {
+  const header = Buffer.alloc(512);
+  header.write(name, 0, 100, 'utf-8');
+  writeOctal(header, mode, 100, 8);
+  writeOctal(header, 0, 108, 8);                      // uid
+  writeOctal(header, 0, 116, 8);                      // gid
+  writeOctal(header, size, 124, 12);
+  writeOctal(header, 0, 136, 12);                     // mtime
+  header.write('        ', 148, 8, 'ascii');          // checksum placeholder
+  header.write(type, 156, 1, 'ascii');
+  header.write('ustar\u000000', 257, 8, 'ascii');
+  header.write(prefix, 345, 155, 'utf-8');
+
+  let checksum = 0;
+  for (const byte of header) {
+    checksum += byte;
+  }
+  header.write(`${checksum.toString(8).padStart(6, '0')}\u0000 `, 148, 8, 'ascii');
+  return header;
+}
+
+/**
+ * One PAX extended header record; its length prefix counts itself
+ */
+function paxRecord(key, value) {
+  const body = ` ${key}=${value}\n`;
+  let length = Buffer.byteLength(body);
+  while (String(length).length + Buffer.byteLength(body) !== length) {
+    length = String(length).length + Buffer.byteLength(body);
+  }
+  return Buffer.from(`${length}${body}`, 'utf-8');
+}
+
+/**
+ * Append a block's content plus the padding up to the next 512 bytes
+ */
+function pushPadded(blocks, content) {
+  blocks.push(content);
+  const padding = (512 - (content.length % 512)) % 512;
+  if (padding > 0) {
+    blocks.push(Buffer.alloc(padding));
+  }
+}
+
+/**
+ * Build a gzip-compressed ustar archive
+ *
+ * Paths too long for a ustar header get a PAX extended header.
+ */
+export function createTarGz(entries) {
+  const blocks = [];
+  for (const entry of entries) {
+    let split = splitTarPath(entry.path);
+    if (!split) {
+      const record = paxRecord('path', entry.path);
+      blocks.push(createTarHeader({ name: 'PaxHeader', mode: 0o644, size: record.length, type: 'x' }));
+      pushPadded(blocks, record);
+      // Truncated fallback name for readers without PAX support
+      split = { name: Buffer.from(entry.path).subarray(0, 100).toString('utf-8').replace(/\uFFFD$/, ''), prefix: '' };
+    }
+    blocks.push(createTarHeader({ ...split, mode: normalizeMode(entry.mode), size: entry.content.length }));
+    pushPadded(blocks, entry.content);
+  }
+  blocks.push(Buffer.alloc(1024));
+  return zlib.gzipSync(Buffer.concat(blocks), { level: 9 });
+}
+
+/**
+ * Reject paths that would land outside the extraction directory
+ */
+function checkEntryPath(path) {
+  const segments = path.split('/');
+  if (path.startsWith('/') || /^[a-zA-Z]:/.test(path) || segments.includes('..') || path.includes('\\')) {
+    throw new Error(`Unsafe path in archive: ${path}`);
+  }
+  return path;
+}
+
+/**
+ * Read the file entries of a zip archive
+ *
+ * Handles stored and deflated entries; directories are skipped.
+ */
+export function readZip(buffer) {
+  const minimum = buffer.length - 22;
+  let end = -1;
+  for (let i = minimum; i >= Math.max(0, minimum - 0xffff); i--) {
+    if (buffer.readUInt32LE(i) === 0x06054b50) {
+      end = i;
+      break;
+    }
+  }
+  if (end === -1) {
+    throw new Error('Not a zip archive');
+  }
+
+  const count = buffer.readUInt16LE(end + 10);
+  let offset = buffer.readUInt32LE(end + 16);
+  const entries = [];
+  for (let i = 0; i < count; i++) {
+    if (buffer.readUInt32LE(offset) !== 0x02014b50) {
+      throw new Error('Corrupt zip central directory');
+    }
+    const method = buffer.readUInt16LE(offset + 10);
+    const crc = buffer.readUInt32LE(offset + 16);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const attributes = buffer.readUInt32LE(offset + 38);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const path = buffer.toString('utf-8', offset + 46, offset + 46 + nameLength);
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    if (path.endsWith('/')) {
+      continue;
+    }
+    const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+    const data = buffer.subarray(dataStart, dataStart + compressedSize);
+    let content;
+    if (method === 0) {
+      content = Buffer.from(data);
+    } else if (method === 8) {
+      content = zlib.inflateRawSync(data);
+    } else {
+      throw new Error(`Unsupported zip compression method ${method}: ${path}`);
+    }
+    if (checksum(content) !== crc) {
+      throw new Error(`CRC mismatch in zip archive: ${path}`);
+    }
+    entries.push({ path: checkEntryPath(path), content, mode: normalizeMode(attributes >>> 16) });
+  }
+  return entries;
+}
+
+/**
+ * Read a NUL-terminated string field of a tar header
+ */
+function readTarString(header, offset, length) {
+  const field = header.subarray(offset, offset + length);
+  const nul = field.indexOf(0);
+  return field.toString('utf-8', 0, nul === -1 ? length : nul);
+}
+
+/**
+ * Read the regular-file entries of a tar.gz archive (ustar, PAX and GNU
+ * long paths)
+ */
+export function readTarGz(buffer) {
+  const tar = zlib.gunzipSync(buffer);
+  const entries = [];
+  let paxPath = null;
+  let offset = 0;
+  while (offset + 512 <= tar.length) {
+    const header = tar.subarray(offset, offset + 512);
+    if (header.every(byte => byte === 0)) {
+      break;
+    }
+    const size = parseInt(readTarString(header, 124, 12).trim() || '0', 8);
+    const type = String.fromCharCode(header[156] || 0x30);
+    const content = tar.subarray(offset + 512, offset + 512 + size);
+    offset += 512 + Math.ceil(size / 512) * 512;
+
+    if (type === 'x') {
+      paxPath = content.toString('utf-8').match(/^\d+ path=(.*)$/m)?.[1] ?? null;
+      continue;
+    }
+    if (type === 'L') {
+      // GNU tar's long name entry
+      paxPath = readTarString(content, 0, content.length);
+      continue;
+    }
+    if (type !== '0') {
+      paxPath = null;
+      continue;
+    }
+    const name = readTarString(header, 0, 100);
+    const prefix = readTarString(header, 345, 155);
+    const path = paxPath || (prefix ? `${prefix}/${name}` : name);
+    paxPath = null;
+    const mode = parseInt(readTarString(header, 100, 8).trim() || '644', 8);
+    entries.push({ path: checkEntryPath(path), content: Buffer.from(content), mode: normalizeMode(mode) });
+  }
+  return entries;
+}
@@ -0,0 +1,98 @@
+/**
+ * Unified Diff
+ *
+ * Line-based unified diff (LCS) for previewing file changes
+ */
+
+const CONTEXT_LINES = 3;
+
+function splitLines(text) {
+  if (text === '') {
+    return [];
+  }
+  const lines = text.split('\n');
+  if (lines[lines.length - 1] === '') {
+    lines.pop();
+  }
+  return lines;
+}
+
+/**
+ * Compute edit operations between two line arrays
+ */
+function diffLines(a, b) {
+  const n = a.length;
+  const m = b.length;
+  const lcs = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (a[i] === b[j]) {
+      ops.push({ type: ' ', line: a[i], aIndex: i++, bIndex: j++ });
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      ops.push({ type: '-', line: a[i], aIndex: i++, bIndex: j });
+    } else {
+      ops.push({ type: '+', line: b[j], aIndex: i, bIndex: j++ });
+    }
+  }
+  while (i < n) ops.push({ type: '-', line: a[i], aIndex: i++, bIndex: j });
+  while (j < m) ops.push({ type: '+', line: b[j], aIndex: i, bIndex: j++ });
+  return ops;
+}
+
+/**
+ * Create a unified diff between two versions of a file
+ *
+ * `oldText` is null for a new file and `newText` is null for a deleted one.
+ * Returns an empty string when nothing changed.
+ */
+export function createUnifiedDiff(file, oldText, newText) {
+  if (oldText === newText) {
+    return '';
+  }
+
+  const a = splitLines(oldText ?? '');
+  const b = splitLines(newText ?? '');
+  const ops = diffLines(a, b);
+
+  const lines = [
+    `--- ${oldText === null ? '/dev/null' : `a/${file}`}`,
+    `+++ ${newText === null ? '/dev/null' : `b/${file}`}`
+  ];
+
+  // Group changes into hunks with surrounding context
+  let index = 0;
+  while (index < ops.length) {
+    while (index < ops.length && ops[index].type === ' ') index++;
+    if (index >= ops.length) break;
+
+    const start = Math.max(0, index - CONTEXT_LINES);
+    let end = index;
+    let lastChange = index;
+    while (end < ops.length && end - lastChange <= CONTEXT_LINES * 2) {
+      if (ops[end].type !== ' ') lastChange = end;
+      end++;
+    }
+    end = Math.min(ops.length, lastChange + CONTEXT_LINES + 1);
+
+    const hunk = ops.slice(start, end);
+    const aStart = hunk[0].aIndex;
+    const bStart = hunk[0].bIndex;
+    const aCount = hunk.filter(op => op.type !== '+').length;
+    const bCount = hunk.filter(op => op.type !== '-').length;
+    lines.push(`@@ -${aCount === 0 ? aStart : aStart + 1},${aCount} +${bCount === 0 ? bStart : bStart + 1},${bCount} @@`);
+    for (const op of hunk) {
+      lines.push(`${op.type}${op.line}`);
+    }
+    index = end;
+  }
+
+  return lines.join('\n');
+}
@@ -0,0 +1,52 @@
+/**
+ * Git Helpers
+ *
+ * Thin wrappers around the git CLI. Every helper returns null instead of
+ * throwing when git is missing or the directory is not a repository.
+ */
+
+import { spawnSync } from 'child_process';
+
+/**
+ * Run a git command in `cwd`; returns trimmed stdout or null on failure
+ */
+export function git(cwd, args) {
+  const result = spawnSync('git', args, { cwd, encoding: 'utf-8', timeout: 10000 });
+  if (result.error || result.status !== 0) {
+    return null;
+  }
+  return result.stdout.trim();
+}
+
+/**
+ * Convert a git remote (SSH, git:// or HTTP(S), with or without .git) to
+ * the repository's HTTPS URL; null when it is not a hosted remote
+ */
+export function toHttpsUrl(remote) {
+  if (!remote) {
+    return null;
+  }
+  const url = remote.trim()
+    // git@github.com:owner/repo.git
+    .replace(/^[\w.-]+@([\w.-]+):(?!\/)/, 'https://$1/')
+    // ssh://git@host[:port]/owner/repo, git://host/owner/repo
+    .replace(/^(?:ssh|git\+ssh|git):\/\/(?:[\w.-]+@)?([\w.-]+)(?::\d+)?\//, 'https://$1/')
+    // credentials in HTTP(S) remotes
+    .replace(/^https?:\/\/[^@/]+@/, 'https://')
+    .replace(/^http:\/\//, 'https://')
+    .replace(/\.git$/, '')
+    .replace(/\/$/, '');
+  return /^https:\/\/[\w.-]+\/.+/.test(url) ? url : null;
+}
+
+/**
+ * HTTPS URL of a directory's git remote (origin, else the first remote)
+ */
+export function getRemoteUrl(cwd, remote = 'origin') {
+  const url = git(cwd, ['remote', 'get-url', remote]);
+  if (url) {
+    return toHttpsUrl(url);
+  }
+  const [first] = (git(cwd, ['remote']) || '').split('\n').filter(Boolean);
+  return first && first !== remote ? toHttpsUrl(git(cwd, ['remote', 'get-url', first])) : null;
+}
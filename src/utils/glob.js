@@ -0,0 +1,69 @@
+/**
+ * Glob Matching
+ *
+ * Minimal gitignore-style glob matching for skill-relative paths:
+ * `*` and `?` stay within one path segment, `**` spans segments, a trailing
+ * `/` matches a directory and everything below it, and a pattern without a
+ * slash matches at any depth.
+ */
+
+/**
+ * Convert a glob pattern to a regular expression
+ */
+export function globToRegExp(pattern) {
+  let glob = pattern.trim().replace(/\\/g, '/');
+  const anchored = glob.startsWith('/') || glob.slice(0, -1).includes('/');
+  glob = glob.replace(/^\//, '');
+  const directoryOnly = glob.endsWith('/');
+  glob = glob.replace(/\/$/, '');
+
+  let source = '';
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === '*') {
+      if (glob[i + 1] === '*') {
+        // "**/" matches zero or more directories, a trailing "**" everything
+        if (glob[i + 2] === '/') {
+          source += '(?:.*/)?';
+          i += 2;
+        } else {
+          source += '.*';
+          i += 1;
+        }
+      } else {
+        source += '[^/]*';
+      }
+    } else if (char === '?') {
+      source += '[^/]';
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+
+  const prefix = anchored ? '^' : '^(?:.*/)?';
+  const suffix = directoryOnly ? '/.*$' : '(?:/.*)?$';
+  return new RegExp(prefix + source + suffix);
+}
+
+/**
+ * Create a matcher for a list of patterns; `!pattern` re-includes a path
+ */
+export function createMatcher(patterns = []) {
+  const compiled = patterns
+    .map(p => p.trim())
+    .filter(p => p && !p.startsWith('#'))
+    .map(p => p.startsWith('!')
+      ? { negate: true, regex: globToRegExp(p.slice(1)) }
+      : { negate: false, regex: globToRegExp(p) });
+
+  return (relativePath) => {
+    const normalized = relativePath.replace(/\\/g, '/').replace(/^\.\//, '');
+    let matched = false;
+    for (const { negate, regex } of compiled) {
+      if (regex.test(normalized)) {
+        matched = !negate;
+      }
+    }
+    return matched;
+  };
+}
@@ -0,0 +1,28 @@
+/**
+ * Semantic Versions
+ *
+ * The version pattern and ordering shared by `version` and `list`
+ */
+
+const SEMVER = /^\d+\.\d+\.\d+(?:-[0-9A-Za-z.-]+)?(?:\+[0-9A-Za-z.-]+)?$/;
+
+/**
+ * Compare two semver versions; prerelease versions sort before releases
+ */
+export function compareVersions(a, b) {
+  const [coreA, preA] = String(a).split('+')[0].split(/-(.*)/);
+  const [coreB, preB] = String(b).split('+')[0].split(/-(.*)/);
+  const left = coreA.split('.').map(n => parseInt(n, 10) || 0);
+  const right = coreB.split('.').map(n => parseInt(n, 10) || 0);
+  for (let i = 0; i < 3; i++) {
+    const diff = (left[i] || 0) - (right[i] || 0);
+    if (diff !== 0) {
+      return Math.sign(diff);
+    }
+  }
+  if (preA && !preB) return -1;
+  if (!preA && preB) return 1;
+  return preA && preB ? preA.localeCompare(preB, 'en', { numeric: true }) : 0;
+}
+
+export { SEMVER };
@@ -0,0 +1,128 @@
+/**
+ * Batch Validation
+ *
+ * Discovers every skill (a directory containing SKILL.md) below a root
+ * directory and validates them with bounded concurrency.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { validateSkill } from './index.js';
+
+// Directories never searched for skills
+const SKIP_DIRECTORIES = new Set(['node_modules', 'dist', '.git']);
+
+/**
+ * Find skill directories below `rootDir`, sorted by path
+ */
+export function findSkills(rootDir) {
+  const skills = [];
+  const visited = new Set();
+  const walk = (dir) => {
+    // Guard against symlink cycles
+    const realDir = fs.realpathSync(dir);
+    if (visited.has(realDir)) {
+      return;
+    }
+    visited.add(realDir);
+
+    let entries;
+    try {
+      entries = fs.readdirSync(dir, { withFileTypes: true });
+    } catch (e) {
+      return;
+    }
+    if (entries.some(entry => entry.isFile() && entry.name === 'SKILL.md')) {
+      skills.push(dir);
+    }
+    for (const entry of entries) {
+      // Follow symlinked skills (as installed in ~/.claude/skills) as well
+      const isDir = entry.isDirectory() ||
+        (entry.isSymbolicLink() && fs.statSync(path.join(dir, entry.name), { throwIfNoEntry: false })?.isDirectory());
+      if (isDir && !SKIP_DIRECTORIES.has(entry.name)) {
+        walk(path.join(dir, entry.name));
+      }
+    }
+  };
+  walk(rootDir);
+  return skills.sort();
+}
+
+/**
+ * Run `task` for every item with at most `concurrency` in flight
+ *
+ * A `concurrency` that is not a positive number runs one item at a time.
+ */
+async function mapWithConcurrency(items, concurrency, task) {
+  const output = new Array(items.length);
+  const limit = Number.isFinite(concurrency) ? Math.floor(concurrency) : 1;
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      output[index] = await task(items[index], index);
+    }
+  };
+  const workers = Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, worker);
+  await Promise.all(workers);
+  return output;
+}
+
+/**
+ * Validate every skill below `rootDir` and aggregate the results
+ */
+export async function validateSkills(rootDir, options = {}) {
+  const {
+    concurrency = os.cpus().length || 4
+  } = options;
+
+  const aggregate = {
+    type: 'aggregate',
+    root: rootDir,
+    success: true,
+    usageError: null,
+    skills: [],
+    summary: {
+      total: 0,
+      passed: 0,
+      failed: 0,
+      errors: 0,
+      warnings: 0,
+      averageScore: 0
+    }
+  };
+
+  if (!fs.existsSync(rootDir)) {
+    aggregate.success = false;
+    aggregate.usageError = `Directory not found: ${rootDir}`;
+    return aggregate;
+  }
+
+  const skillPaths = findSkills(rootDir);
+  if (skillPaths.length === 0) {
+    aggregate.success = false;
+    aggregate.usageError = `No skills (directories containing SKILL.md) found in ${rootDir}`;
+    return aggregate;
+  }
+
+  aggregate.skills = await mapWithConcurrency(skillPaths, concurrency,
+    (skillPath) => validateSkill(skillPath, options));
+
+  const { summary } = aggregate;
+  for (const results of aggregate.skills) {
+    summary.total++;
+    if (results.success) {
+      summary.passed++;
+    } else {
+      summary.failed++;
+      aggregate.success = false;
+    }
+    summary.errors += results.errors.length;
+    summary.warnings += results.warnings.length;
+    summary.averageScore += results.score?.overall ?? 0;
+  }
+  summary.averageScore = Math.round(summary.averageScore / summary.total);
+
+  return aggregate;
+}
@@ -0,0 +1,202 @@
+/**
+ * Validator Configuration
+ *
+ * Loads per-project configuration for `skills-builder check`. The config
+ * file is looked up next to the skill and then in each parent directory:
+ *
+ *   {
+ *     "extends": ["recommended"],           // presets or paths to shared configs
+ *     "rules": {
+ *       "has_contributing": "off",          // check name
+ *       "package.json/field_bin": "error",  // category/check name
+ *       "marketplace": "off"                // rule id (every check of the rule)
+ *     },
+ *     "ignorePatterns": ["legacy/**"],      // skill-relative paths to ignore
+ *     "plugins": ["skills-builder-rules-acme"],
+ *     "budget": { "body": 4000 }           // token limits (see analyzer/budget.js)
+ *   }
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { parse as parseYaml } from 'yaml';
+import { SEVERITY } from './constants.js';
+import { BUDGET_DEFAULTS } from '../analyzer/budget.js';
+
+const CONFIG_FILES = [
+  '.skillsbuilderrc.json',
+  '.skillsbuilderrc.yml',
+  '.skillsbuilderrc.yaml',
+  'skills-builder.config.json'
+];
+
+const OFF = 'off';
+const OVERRIDE_SEVERITIES = [OFF, SEVERITY.ERROR, SEVERITY.WARNING, SEVERITY.INFO];
+
+// Built-in presets
+const PRESETS = {
+  // The built-in rule defaults
+  recommended: {
+    rules: {}
+  },
+
+  // Open-source hygiene and description quality become hard requirements
+  strict: {
+    extends: ['recommended'],
+    rules: {
+      has_license_file: SEVERITY.ERROR,
+      ignores_dist: SEVERITY.ERROR,
+      describes_when_to_use: SEVERITY.ERROR,
+      frontmatter_has_license: SEVERITY.WARNING,
+      has_contributing: SEVERITY.WARNING,
+      has_changelog: SEVERITY.WARNING,
+      has_skill_yml: SEVERITY.WARNING,
+      'package.json': SEVERITY.ERROR
+    }
+  },
+
+  // Everything a marketplace submission needs
+  marketplace: {
+    extends: ['recommended'],
+    rules: {
+      marketplace: SEVERITY.ERROR,
+      has_marketplace_json: SEVERITY.ERROR,
+      has_license_file: SEVERITY.ERROR,
+      frontmatter_has_license: SEVERITY.ERROR,
+      describes_when_to_use: SEVERITY.ERROR,
+      'file_README.md': SEVERITY.ERROR
+    }
+  }
+};
+
+/**
+ * Find the nearest config file, starting at `startDir` and walking up
+ */
+export function findConfigFile(startDir) {
+  let dir = path.resolve(startDir);
+  while (true) {
+    for (const name of CONFIG_FILES) {
+      const candidate = path.join(dir, name);
+      if (fs.existsSync(candidate)) {
+        return candidate;
+      }
+    }
+    const parent = path.dirname(dir);
+    if (parent === dir) {
+      return null;
+    }
+    dir = parent;
+  }
+}
+
+/**
+ * Read one config file (JSON or YAML) without resolving "extends"
+ */
+function readConfigFile(configPath) {
+  const content = fs.readFileSync(configPath, 'utf-8');
+  try {
+    const data = /\.ya?ml$/.test(configPath) ? parseYaml(content) : JSON.parse(content);
+    return data || {};
+  } catch (e) {
+    throw new Error(`Invalid config file ${configPath}: ${e.message}`);
+  }
+}
+
+/**
+ * Resolve a config object and its "extends" chain into a flat config
+ */
+function resolveConfig(config, baseDir, seen = new Set()) {
+  const resolved = { rules: {}, ignorePatterns: [], plugins: [], budget: {} };
+
+  for (const parent of [].concat(config.extends || [])) {
+    let parentConfig;
+    let parentDir = baseDir;
+    if (PRESETS[parent]) {
+      if (seen.has(`preset:${parent}`)) continue;
+      seen.add(`preset:${parent}`);
+      parentConfig = PRESETS[parent];
+    } else {
+      const parentPath = path.resolve(baseDir, parent);
+      if (!fs.existsSync(parentPath)) {
+        throw new Error(`Unknown preset or config file in "extends": ${parent} (presets: ${Object.keys(PRESETS).join(', ')})`);
+      }
+      if (seen.has(parentPath)) continue;
+      seen.add(parentPath);
+      parentConfig = readConfigFile(parentPath);
+      parentDir = path.dirname(parentPath);
+    }
+    mergeInto(resolved, resolveConfig(parentConfig, parentDir, seen));
+  }
+
+  // Plugins resolve from the directory of the config that names them
+  mergeInto(resolved, {
+    rules: config.rules || {},
+    ignorePatterns: config.ignorePatterns || [],
+    plugins: [].concat(config.plugins || []).map(name => ({ name, baseDir })),
+    budget: config.budget || {}
+  });
+
+  for (const [key, value] of Object.entries(resolved.rules)) {
+    if (!OVERRIDE_SEVERITIES.includes(value)) {
+      throw new Error(`Invalid severity "${value}" for "${key}" (expected ${OVERRIDE_SEVERITIES.join(', ')})`);
+    }
+  }
+  for (const [key, value] of Object.entries(resolved.budget)) {
+    if (!Object.prototype.hasOwnProperty.call(BUDGET_DEFAULTS, key)) {
+      throw new Error(`Unknown budget "${key}" (expected ${Object.keys(BUDGET_DEFAULTS).join(', ')})`);
+    }
+    if (!Number.isInteger(value) || value <= 0) {
+      throw new Error(`Invalid budget "${key}": ${value} (expected a positive integer number of tokens)`);
+    }
+  }
+
+  return resolved;
+}
+
+function mergeInto(target, source) {
+  Object.assign(target.rules, source.rules);
+  Object.assign(target.budget, source.budget);
+  target.ignorePatterns.push(...source.ignorePatterns);
+  for (const plugin of source.plugins) {
+    if (!target.plugins.some(p => p.name === plugin.name && p.baseDir === plugin.baseDir)) {
+      target.plugins.push(plugin);
+    }
+  }
+}
+
+/**
+ * Load the validator config for a skill
+ *
+ * `configPath` points at a specific file; otherwise the nearest config file
+ * is used. Returns { path, rules, ignorePatterns, plugins, budget }; `path` is null
+ * when no config file was found. Each plugin is { name, baseDir }, where
+ * `baseDir` is the directory of the config file that lists it.
+ */
+export function loadConfig(skillPath, configPath = null) {
+  const file = configPath ? path.resolve(configPath) : findConfigFile(skillPath);
+  if (configPath && !fs.existsSync(file)) {
+    throw new Error(`Config file not found: ${configPath}`);
+  }
+  if (!file) {
+    return { path: null, ...resolveConfig({ extends: ['recommended'] }, skillPath) };
+  }
+  return { path: file, ...resolveConfig(readConfigFile(file), path.dirname(file)) };
+}
+
+/**
+ * Get the configured severity for a check, or null when not overridden
+ *
+ * The most specific key wins: "category/name", then "name", then rule id.
+ */
+export function getSeverityOverride(config, check) {
+  const { rules } = config;
+  const keys = [`${check.category}/${check.name}`, check.name, check.rule, check.category];
+  for (const key of keys) {
+    if (key && Object.prototype.hasOwnProperty.call(rules, key)) {
+      return rules[key];
+    }
+  }
+  return null;
+}
+
+export { CONFIG_FILES, PRESETS, OFF };
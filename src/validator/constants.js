@@ -0,0 +1,73 @@
+/**
+ * Validator Constants
+ *
+ * Shared by the validator entry point and the built-in rules
+ */
+
+// Validation result types
+const SEVERITY = {
+  ERROR: 'error',
+  WARNING: 'warning',
+  INFO: 'info',
+  SUCCESS: 'success'
+};
+
+// Required files for a valid skill (per PDF guide)
+const REQUIRED_FILES = [
+  'SKILL.md'  // Most important! Required by Claude Code
+];
+
+// Recommended files for a well-structured skill
+const RECOMMENDED_FILES = [
+  'package.json',
+  'README.md',
+  'polyglot.json',
+  '.skill.yml'
+];
+
+// Optional but recommended for CLI skills
+const CLI_RECOMMENDED = [
+  'dist/cli/index.js'
+];
+
+// Bundled resources (optional directories per PDF guide)
+const BUNDLED_RESOURCES = [
+  'scripts',     // Executable code
+  'references',   // Documentation for context
+  'assets'       // Files used in output
+];
+
+// Best practice rules
+const BEST_PRACTICES = {
+  // package.json must have specific fields
+  packageJsonFields: [
+    'name',
+    'version',
+    'description',
+    'type',
+    'main',
+    'bin'
+  ],
+
+  // package.json name should be kebab-case
+  nameFormat: /^([a-z0-9]+(-[a-z0-9]+)*)$/,
+
+  // type should be "module"
+  moduleType: 'module',
+
+  // Should use polyglot for internationalization
+  usesPolyglot: true
+};
+
+// Rule documentation lives in the "Best Practices Checked" section of README.md
+const DOCS_BASE_URL = 'https://github.com/ETZhang/skills-builder';
+
+export {
+  SEVERITY,
+  REQUIRED_FILES,
+  RECOMMENDED_FILES,
+  CLI_RECOMMENDED,
+  BUNDLED_RESOURCES,
+  BEST_PRACTICES,
+  DOCS_BASE_URL
+};
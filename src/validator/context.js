@@ -0,0 +1,99 @@
+/**
+ * Rule Context
+ *
+ * The object passed to every rule's run(context). It gives rules cached,
+ * skill-relative file access and a report() function that records checks.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { SEVERITY } from './constants.js';
+import { parseFrontmatter } from './frontmatter.js';
+
+/**
+ * Create a context shared by all rules of one validation run
+ */
+export function createContext(skillPath, options = {}) {
+  const {
+    translations = {},
+    isIgnored = () => false,
+    onCheck = () => {}
+  } = options;
+
+  const cache = new Map();
+  const cached = (key, load) => {
+    if (!cache.has(key)) {
+      cache.set(key, load());
+    }
+    return cache.get(key);
+  };
+
+  const resolve = (relativePath) => path.join(skillPath, relativePath);
+
+  const context = {
+    skillPath,
+    options,
+    t: (key) => translations[key]?.[''] || key,
+    resolve,
+
+    // True for skill-relative paths matched by the config's ignorePatterns
+    isIgnored,
+
+    exists(relativePath) {
+      return fs.existsSync(resolve(relativePath));
+    },
+
+    isDirectory(relativePath) {
+      const fullPath = resolve(relativePath);
+      return fs.existsSync(fullPath) && fs.statSync(fullPath).isDirectory();
+    },
+
+    read(relativePath) {
+      return cached(`read:${relativePath}`, () => fs.readFileSync(resolve(relativePath), 'utf-8'));
+    },
+
+    // Entry names of a directory
+    list(relativePath) {
+      return cached(`list:${relativePath}`, () => fs.readdirSync(resolve(relativePath)));
+    },
+
+    // Permission bits, or null on Windows where they mean nothing
+    mode(relativePath) {
+      return process.platform === 'win32' ? null : fs.statSync(resolve(relativePath)).mode;
+    },
+
+    // Throws on invalid JSON so rules can report it
+    readJson(relativePath) {
+      return JSON.parse(context.read(relativePath));
+    },
+
+    getSkillMd() {
+      return cached('skill-md', () => {
+        const content = context.read('SKILL.md');
+        return { content, frontmatter: parseFrontmatter(content) };
+      });
+    },
+
+    // Set by the engine before each rule runs
+    rule: null,
+
+    report(name, passed, severity, message = '', location = null) {
+      const rule = context.rule;
+      const check = {
+        category: rule.category,
+        name,
+        passed,
+        severity: severity || (passed ? SEVERITY.SUCCESS : rule.severity),
+        message,
+        rule: rule.id
+      };
+      if (location) {
+        check.location = location;
+      }
+      onCheck(check);
+      return check;
+    }
+  };
+
+  return context;
+}
@@ -0,0 +1,184 @@
+/**
+ * Autofix
+ *
+ * Applies the safe, mechanical fixes that rules declare for their failed
+ * checks. A rule opts in with a `fixes` map keyed by check name:
+ *
+ *   fixes: {
+ *     ignores_dist(files, context) {
+ *       files.write('.gitignore', files.read('.gitignore') + '/dist\n');
+ *     }
+ *   }
+ *
+ * `files.read()` returns the pending content (or null for a missing file),
+ * so several fixes to the same file compose. A fixer returns false when it
+ * cannot fix the problem safely.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { SEVERITY } from './constants.js';
+import { createContext } from './context.js';
+import { createDefaultRegistry } from './registry.js';
+import { validateSkill, formatOutput } from './index.js';
+import { createUnifiedDiff } from '../utils/diff.js';
+
+/**
+ * Fix a skill, then re-run validation
+ *
+ * With `dryRun` nothing is written and `diff` holds the unified diff of
+ * every pending change.
+ */
+export async function fixSkill(skillPath, options = {}) {
+  const {
+    dryRun = false,
+    registry = createDefaultRegistry()
+  } = options;
+
+  const before = await validateSkill(skillPath, { ...options, registry });
+  const failed = before.checks.filter(c => !c.passed && c.severity !== SEVERITY.SUCCESS);
+
+  // Pending file contents, keyed by skill-relative path
+  const original = new Map();
+  const pending = new Map();
+  const files = {
+    read(relativePath) {
+      if (pending.has(relativePath)) {
+        return pending.get(relativePath);
+      }
+      const fullPath = path.join(skillPath, relativePath);
+      return fs.existsSync(fullPath) ? fs.readFileSync(fullPath, 'utf-8') : null;
+    },
+    write(relativePath, content) {
+      if (!original.has(relativePath)) {
+        original.set(relativePath, files.read(relativePath));
+      }
+      pending.set(relativePath, content);
+    }
+  };
+
+  const context = createContext(skillPath, options);
+  const applied = [];
+  const ran = new Set();
+
+  for (const check of failed) {
+    const rule = registry.get(check.rule);
+    const fixer = rule?.fixes?.[check.name];
+    if (!fixer) {
+      continue;
+    }
+
+    // One fixer may repair several checks (e.g. all missing package.json fields)
+    if (ran.has(fixer)) {
+      applied.push({ rule: check.rule, name: check.name, files: [] });
+      continue;
+    }
+    ran.add(fixer);
+
+    context.rule = rule;
+    const snapshot = new Map(pending);
+    let outcome;
+    try {
+      outcome = await fixer(files, context);
+    } catch (e) {
+      outcome = false;
+    }
+
+    if (outcome !== false) {
+      const touched = [...pending.keys()].filter(file => snapshot.get(file) !== pending.get(file));
+      applied.push({ rule: check.rule, name: check.name, files: touched });
+    }
+  }
+
+  const changes = [...pending.entries()]
+    .map(([file, content]) => ({ file, before: original.get(file), after: content }))
+    .filter(change => change.before !== change.after);
+  const diff = changes
+    .map(change => createUnifiedDiff(change.file, change.before, change.after))
+    .join('\n');
+
+  if (dryRun) {
+    return {
+      success: true,
+      dryRun: true,
+      applied,
+      changes: changes.map(change => change.file),
+      diff,
+      results: before
+    };
+  }
+
+  for (const change of changes) {
+    const fullPath = path.join(skillPath, change.file);
+    fs.mkdirSync(path.dirname(fullPath), { recursive: true });
+    fs.writeFileSync(fullPath, change.after);
+  }
+
+  // Re-run validation and split the attempted fixes into fixed / still failing
+  const after = await validateSkill(skillPath, { ...options, registry });
+  const stillFailing = (entry) => after.checks.some(c =>
+    c.rule === entry.rule && c.name === entry.name && !c.passed);
+  const fixed = applied.filter(entry => !stillFailing(entry));
+  const remaining = after.checks.filter(c => !c.passed &&
+    (c.severity === SEVERITY.ERROR || c.severity === SEVERITY.WARNING));
+
+  after.fixes = {
+    fixed: fixed.map(({ rule, name }) => ({ rule, name })),
+    remaining: remaining.map(({ rule, category, name, severity, message }) => ({ rule, category, name, severity, message })),
+    changes: changes.map(change => change.file)
+  };
+
+  return {
+    success: after.success,
+    dryRun: false,
+    applied: fixed,
+    changes: changes.map(change => change.file),
+    diff,
+    results: after
+  };
+}
+
+/**
+ * Format the outcome of fixSkill()
+ */
+export function formatFixReport(fixResult, format, translations = {}) {
+  const { dryRun, applied, changes, diff, results } = fixResult;
+
+  if (format === 'json') {
+    return JSON.stringify(dryRun
+      ? { dryRun, changes, diff, fixable: applied.map(({ rule, name }) => ({ rule, name })) }
+      : results, null, 2);
+  }
+
+  const lines = [];
+  if (dryRun) {
+    if (changes.length === 0) {
+      lines.push('🔧 Nothing to fix automatically');
+    } else {
+      lines.push(`🔧 ${applied.length} problem(s) can be fixed by changing ${changes.length} file(s):`);
+      lines.push('');
+      lines.push(diff);
+    }
+    return lines.join('\n');
+  }
+
+  lines.push(applied.length > 0
+    ? `🔧 Fixed ${applied.length} problem(s):`
+    : '🔧 Nothing was fixed automatically');
+  for (const entry of applied) {
+    const files = entry.files.length > 0 ? ` (${entry.files.join(', ')})` : '';
+    lines.push(`  • [${entry.rule}] ${entry.name}${files}`);
+  }
+
+  const remaining = results.fixes.remaining;
+  if (remaining.length > 0) {
+    lines.push('');
+    lines.push(`👤 Still needs a human (${remaining.length}):`);
+    for (const check of remaining) {
+      lines.push(`  • [${check.category}] ${check.name}${check.message ? ` - ${check.message}` : ''}`);
+    }
+  }
+  lines.push('');
+
+  return lines.join('\n') + '\n' + formatOutput(results, format, translations);
+}
@@ -0,0 +1,211 @@
+/**
+ * HTML formatter
+ *
+ * A self-contained HTML report (inline CSS, no external assets) with a
+ * weighted score per category and overall, one collapsible section per
+ * category, an explanation and fix hint per check, and the raw results
+ * embedded as JSON so the file can be archived as a CI artifact.
+ */
+
+import { SEVERITY } from '../constants.js';
+import { scoreResults } from '../score.js';
+import { formatLocation } from './text.js';
+import { getSummaryRows } from './summary.js';
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Keep "</script>" and friends from ending the embedded JSON early
+function embedJson(value) {
+  return JSON.stringify(value, null, 2)
+    .replace(/</g, '\\u003c')
+    .replace(/>/g, '\\u003e')
+    .replace(/&/g, '\\u0026');
+}
+
+function statusOf(check) {
+  if (check.passed) return 'pass';
+  return check.severity === SEVERITY.ERROR ? 'error'
+    : check.severity === SEVERITY.WARNING ? 'warning' : 'info';
+}
+
+const STATUS_ICONS = { pass: '✅', error: '❌', warning: '⚠️', info: 'ℹ️' };
+
+/**
+ * Get the fix hint for a failed check
+ */
+function getFixHint(check, rule) {
+  if (rule?.fixable?.includes(check.name)) {
+    return 'Fixable automatically: run <code>skills-builder check --fix</code>';
+  }
+  if (rule?.docs) {
+    return `See <a href="${escapeHtml(rule.docs)}">${escapeHtml(rule.docs)}</a>`;
+  }
+  return 'Needs a manual change';
+}
+
+function renderCheck(check, rule) {
+  const status = statusOf(check);
+  const location = formatLocation(check.location).replace(/ - $/, '');
+  const details = [];
+  if (rule?.description) {
+    details.push(`<p class="explain">${escapeHtml(rule.description)}</p>`);
+  }
+  if (check.message) {
+    details.push(`<p class="message">${escapeHtml(check.message)}</p>`);
+  }
+  if (location) {
+    details.push(`<p class="location"><code>${escapeHtml(location)}</code></p>`);
+  }
+  if (!check.passed) {
+    details.push(`<p class="hint">💡 ${getFixHint(check, rule)}</p>`);
+  }
+
+  return `<details class="check ${status}"${status === 'error' || status === 'warning' ? ' open' : ''}>
+        <summary>${STATUS_ICONS[status]} <code>${escapeHtml(check.name)}</code> <span class="severity">${escapeHtml(check.severity)}</span></summary>
+        ${details.join('\n        ')}
+      </details>`;
+}
+
+const STYLES = `
+    body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif; max-width: 960px; margin: 2rem auto; padding: 0 1rem; color: #1f2328; }
+    header { display: flex; align-items: center; gap: 1.5rem; }
+    .overall { font-size: 2.5rem; font-weight: 700; border-radius: 50%; width: 5rem; height: 5rem; display: flex; align-items: center; justify-content: center; color: #fff; flex-shrink: 0; }
+    .grade-A, .grade-B { background: #1a7f37; } .grade-C, .grade-D { background: #9a6700; } .grade-F { background: #cf222e; }
+    .summary { color: #59636e; }
+    details.category { border: 1px solid #d1d9e0; border-radius: 6px; margin: 0.75rem 0; padding: 0.5rem 0.75rem; }
+    details.category > summary { cursor: pointer; display: flex; align-items: center; gap: 0.75rem; font-weight: 600; }
+    .name { min-width: 10rem; }
+    .bar { flex: 1; height: 0.5rem; background: #eff2f5; border-radius: 4px; overflow: hidden; }
+    .bar span { display: block; height: 100%; background: #1f883d; }
+    .score { width: 2.5rem; text-align: right; }
+    .counts { color: #59636e; font-weight: 400; font-size: 0.85rem; }
+    details.check { margin: 0.4rem 0 0.4rem 1rem; }
+    details.check > summary { cursor: pointer; }
+    details.check p { margin: 0.25rem 0 0.25rem 1.5rem; }
+    .severity { color: #59636e; font-size: 0.8rem; }
+    .error > summary code { color: #cf222e; } .warning > summary code { color: #9a6700; }
+    .explain, .location { color: #59636e; }
+    code { background: #eff2f5; padding: 0 0.25rem; border-radius: 4px; }
+    table { border-collapse: collapse; width: 100%; margin: 1rem 0; }
+    th, td { text-align: left; padding: 0.35rem 0.75rem; border-bottom: 1px solid #d1d9e0; }
+    section.skill { margin-top: 2.5rem; }`;
+
+/**
+ * Wrap a report body in a standalone HTML page with the embedded results
+ */
+function renderPage(title, body, results) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${escapeHtml(title)}</title>
+  <style>${STYLES}
+  </style>
+</head>
+<body>
+  ${body}
+  <script type="application/json" id="skills-builder-results">
+${embedJson(results)}
+  </script>
+</body>
+</html>
+`;
+}
+
+function renderHeader(results, score, heading = 'h1') {
+  return `<header>
+    <div class="overall grade-${score.grade}" title="Overall score">${score.overall}</div>
+    <div>
+      <${heading} id="${escapeHtml(results.skillName)}">🔍 ${escapeHtml(results.skillName)}</${heading}>
+      <p class="summary">
+        ${results.success ? '✅ Passed' : '❌ Failed'} ·
+        ${results.errors.length} error(s) · ${results.warnings.length} warning(s) ·
+        grade ${score.grade} · <code>${escapeHtml(results.skillPath)}</code>
+      </p>
+    </div>
+  </header>`;
+}
+
+/**
+ * Render the category sections and recommendations of one skill
+ */
+function renderSkillBody(results, t) {
+  const score = results.score || scoreResults(results);
+  const rules = new Map((results.rules || []).map(rule => [rule.id, rule]));
+
+  const sections = score.categories.map(category => {
+    const checks = results.checks.filter(c => c.category === category.category);
+    const hasProblems = checks.some(c => !c.passed && (c.severity === SEVERITY.ERROR || c.severity === SEVERITY.WARNING));
+    return `<details class="category"${hasProblems ? ' open' : ''}>
+      <summary>
+        <span class="name">${escapeHtml(category.category)}</span>
+        <span class="bar"><span style="width: ${category.score}%"></span></span>
+        <span class="score">${category.score}</span>
+        <span class="counts">${category.passed}/${category.total} passed · weight ${category.weight}</span>
+      </summary>
+      ${checks.map(check => renderCheck(check, rules.get(check.rule))).join('\n      ')}
+    </details>`;
+  });
+
+  const recommendations = results.recommendations.length > 0
+    ? `<h3>${escapeHtml(t('header_recommendations'))}</h3>
+    <ul>${results.recommendations.map(rec => `<li>${escapeHtml(rec)}</li>`).join('')}</ul>`
+    : '';
+
+  return `${sections.join('\n    ')}
+    ${recommendations}`;
+}
+
+/**
+ * Format as a standalone HTML document
+ */
+export function formatHtml(results, t) {
+  const score = results.score || scoreResults(results);
+  const body = `${renderHeader(results, score)}
+  <main>
+    ${renderSkillBody(results, t)}
+  </main>`;
+  return renderPage(`Skill Validation Report: ${results.skillName}`, body, results);
+}
+
+/**
+ * Format batch results as one standalone HTML document
+ */
+export function formatHtmlAggregate(aggregate, t) {
+  const { summary } = aggregate;
+  const rows = getSummaryRows(aggregate).map(row => `<tr>
+        <td>${row.success ? '✅' : '❌'} <a href="#${escapeHtml(row.skill)}">${escapeHtml(row.skill)}</a></td>
+        <td>${row.errors}</td>
+        <td>${row.warnings}</td>
+        <td>${row.score} (${row.grade})</td>
+      </tr>`);
+
+  const skills = aggregate.skills.map(results => `<section class="skill">
+    ${renderHeader(results, results.score || scoreResults(results), 'h2')}
+    ${renderSkillBody(results, t)}
+  </section>`);
+
+  const body = `<h1>🔍 Skill Validation Report</h1>
+  <p class="summary">
+    ${summary.total} skill(s) in <code>${escapeHtml(aggregate.root)}</code> ·
+    ${summary.passed} passed · ${summary.failed} failed ·
+    ${summary.errors} error(s) · ${summary.warnings} warning(s) · average score ${summary.averageScore}
+  </p>
+  <table>
+    <thead><tr><th>Skill</th><th>Errors</th><th>Warnings</th><th>Score</th></tr></thead>
+    <tbody>
+      ${rows.join('\n      ')}
+    </tbody>
+  </table>
+  <main>
+    ${skills.join('\n  ')}
+  </main>`;
+  return renderPage(`Skill Validation Report: ${aggregate.root}`, body, aggregate);
+}
@@ -0,0 +1,44 @@
+/**
+ * Output Formatters
+ *
+ * Every formatter takes the results object from validateSkill() and a
+ * translation helper and returns a string.
+ */
+
+import { formatText, formatTextAggregate } from './text.js';
+import { formatMarkdown, formatMarkdownAggregate } from './markdown.js';
+import { formatSarif } from './sarif.js';
+import { formatJunit } from './junit.js';
+import { formatHtml, formatHtmlAggregate } from './html.js';
+
+const FORMATTERS = {
+  text: formatText,
+  json: (results) => JSON.stringify(results, null, 2),
+  markdown: formatMarkdown,
+  sarif: formatSarif,
+  junit: formatJunit,
+  html: formatHtml
+};
+
+// Formatters for batch results ({ type: 'aggregate', skills: [...] })
+const AGGREGATE_FORMATTERS = {
+  ...FORMATTERS,
+  text: formatTextAggregate,
+  markdown: formatMarkdownAggregate,
+  html: formatHtmlAggregate
+};
+
+// Supported --format values
+const FORMATS = Object.keys(FORMATTERS);
+
+/**
+ * Format validation output (single-skill or batch results)
+ */
+export function formatOutput(results, format, translations = {}) {
+  const t = (key) => translations[key]?.[''] || key;
+  const formatters = results.type === 'aggregate' ? AGGREGATE_FORMATTERS : FORMATTERS;
+  const formatter = formatters[format] || formatters.text;
+  return formatter(results, t);
+}
+
+export { FORMATS };
@@ -0,0 +1,74 @@
+/**
+ * JUnit XML formatter
+ *
+ * Each check category becomes a <testsuite> and each check a <testcase>.
+ * Failed errors and warnings are <failure>s; failed info checks pass with
+ * their hint in <system-out>.
+ */
+
+import { SEVERITY } from '../constants.js';
+import { getCheckLocation } from './locations.js';
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function isFailure(check) {
+  return !check.passed && (check.severity === SEVERITY.ERROR || check.severity === SEVERITY.WARNING);
+}
+
+/**
+ * Format as JUnit XML; in batch results each suite is "<skill>/<category>"
+ */
+export function formatJunit(results) {
+  const skills = results.type === 'aggregate' ? results.skills : [results];
+  const suites = new Map();
+  for (const skill of skills) {
+    for (const check of skill.checks) {
+      const suiteName = results.type === 'aggregate'
+        ? `${skill.skillName}/${check.category}`
+        : check.category;
+      if (!suites.has(suiteName)) {
+        suites.set(suiteName, { skillName: skill.skillName, category: check.category, checks: [] });
+      }
+      suites.get(suiteName).checks.push(check);
+    }
+  }
+
+  const allChecks = skills.flatMap(skill => skill.checks);
+  const name = results.type === 'aggregate' ? results.root : results.skillName;
+  const lines = [];
+  lines.push('<?xml version="1.0" encoding="UTF-8"?>');
+  lines.push(`<testsuites name="${escapeXml(`skills-builder: ${name}`)}" tests="${allChecks.length}" failures="${allChecks.filter(isFailure).length}">`);
+
+  for (const [suiteName, { skillName, category, checks }] of suites) {
+    const failures = checks.filter(isFailure).length;
+    lines.push(`  <testsuite name="${escapeXml(suiteName)}" tests="${checks.length}" failures="${failures}">`);
+    for (const check of checks) {
+      const location = getCheckLocation(check);
+      const position = location.line ? `:${location.line}:${location.column || 1}` : '';
+      const attributes = `name="${escapeXml(check.name)}" classname="${escapeXml(`${skillName}.${category}`)}" file="${escapeXml(location.file)}"`;
+
+      if (isFailure(check)) {
+        lines.push(`    <testcase ${attributes}>`);
+        lines.push(`      <failure type="${check.severity}" message="${escapeXml(check.message || check.name)}">${escapeXml(`${location.file}${position}: ${check.message || check.name}`)}</failure>`);
+        lines.push('    </testcase>');
+      } else if (!check.passed && check.message) {
+        lines.push(`    <testcase ${attributes}>`);
+        lines.push(`      <system-out>${escapeXml(check.message)}</system-out>`);
+        lines.push('    </testcase>');
+      } else {
+        lines.push(`    <testcase ${attributes}/>`);
+      }
+    }
+    lines.push('  </testsuite>');
+  }
+
+  lines.push('</testsuites>');
+  return lines.join('\n');
+}
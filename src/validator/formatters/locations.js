@@ -0,0 +1,30 @@
+/**
+ * Check locations shared by the machine-readable formatters
+ */
+
+// File a check refers to when the rule did not record a location
+const CATEGORY_FILES = {
+  'SKILL.md': 'SKILL.md',
+  'package.json': 'package.json',
+  'polyglot.json': 'polyglot.json',
+  'marketplace': 'marketplace.json',
+  'cli': 'dist/cli/index.js',
+  'best_practices': 'SKILL.md',
+  'bundled_resources': 'SKILL.md',
+  'links': 'SKILL.md',
+  'scripts': 'scripts',
+  'structure': 'SKILL.md',
+  'versions': 'package.json'
+};
+
+/**
+ * Get the skill-relative file and position a check refers to
+ */
+export function getCheckLocation(check) {
+  const file = check.location?.file || CATEGORY_FILES[check.category] || 'SKILL.md';
+  return {
+    file,
+    line: check.location?.line || null,
+    column: check.location?.column || null
+  };
+}
@@ -0,0 +1,109 @@
+/**
+ * Markdown formatter
+ */
+
+import { SEVERITY } from '../constants.js';
+import { scoreResults } from '../score.js';
+import { formatLocation } from './text.js';
+import { getSummaryRows } from './summary.js';
+
+// Translated headings for the categories that have one
+const CATEGORY_HEADERS = {
+  'structure': 'header_structure',
+  'best_practices': 'header_best_practices'
+};
+
+/**
+ * Format as markdown
+ */
+export function formatMarkdown(results, t, { nested = false } = {}) {
+  const lines = [];
+  const score = results.score || scoreResults(results);
+
+  // Nested reports (inside a batch report) sit one heading level down
+  const heading = nested ? '###' : '##';
+
+  lines.push(nested ? `## ${results.skillName}` : '# 🔍 Skill Validation Report');
+  lines.push('');
+  lines.push(`${heading} ${t('header_summary')}`);
+  lines.push('');
+  lines.push(`- **Skill**: ${results.skillName}`);
+  lines.push(`- **Path**: \`${results.skillPath}\``);
+  lines.push(`- **Status**: ${results.success ? '✅ Passed' : '❌ Failed'}`);
+  lines.push(`- **Score**: ${score.overall}/100 (${score.grade})`);
+  lines.push(`- **Errors**: ${results.errors.length}`);
+  lines.push(`- **Warnings**: ${results.warnings.length}`);
+
+  // Every category, in the order its checks ran
+  for (const category of score.categories) {
+    const header = CATEGORY_HEADERS[category.category]
+      ? t(CATEGORY_HEADERS[category.category])
+      : category.category;
+    lines.push('');
+    lines.push(`${heading} ${header} (${category.score}/100)`);
+    lines.push('');
+
+    for (const check of results.checks.filter(c => c.category === category.category)) {
+      const severity = check.passed ? '✅' :
+                       check.severity === SEVERITY.WARNING ? '⚠️' :
+                       check.severity === SEVERITY.INFO ? 'ℹ️' : '❌';
+      const location = check.passed ? '' : formatLocation(check.location);
+      lines.push(`- ${severity} **${check.name}**: ${location}${check.message || 'OK'}`);
+    }
+  }
+
+  if (results.targets) {
+    lines.push('');
+    lines.push(`${heading} Marketplace Readiness`);
+    lines.push('');
+    lines.push('| Marketplace | Ready | Missing |');
+    lines.push('|-------------|-------|---------|');
+    for (const target of results.targets) {
+      const requirements = target.problems.map(check => check.name.slice(target.id.length + 1));
+      lines.push(`| ${target.label} | ${target.ready ? '✅' : '❌'} | ${requirements.join(', ') || '-'} |`);
+    }
+  }
+
+  if (results.recommendations.length > 0) {
+    lines.push('');
+    lines.push(`${heading} ${t('header_recommendations')}`);
+    lines.push('');
+    for (const rec of results.recommendations) {
+      lines.push(`- ${rec}`);
+    }
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Format batch results as a summary table followed by each skill's report
+ */
+export function formatMarkdownAggregate(aggregate, t) {
+  const lines = [];
+  const { summary } = aggregate;
+
+  lines.push('# 🔍 Skill Validation Report');
+  lines.push('');
+  lines.push(`## ${t('header_summary')}`);
+  lines.push('');
+  lines.push(`- **Root**: \`${aggregate.root}\``);
+  lines.push(`- **Skills**: ${summary.total} (${summary.passed} passed, ${summary.failed} failed)`);
+  lines.push(`- **Errors**: ${summary.errors}`);
+  lines.push(`- **Warnings**: ${summary.warnings}`);
+  lines.push(`- **Average score**: ${summary.averageScore}/100`);
+  lines.push('');
+  lines.push('| Skill | Status | Errors | Warnings | Score |');
+  lines.push('|-------|--------|--------|----------|-------|');
+  for (const row of getSummaryRows(aggregate)) {
+    lines.push(`| ${row.skill} | ${row.success ? '✅' : '❌'} | ${row.errors} | ${row.warnings} | ${row.score} (${row.grade}) |`);
+  }
+
+  // Each skill's own report
+  for (const results of aggregate.skills) {
+    lines.push('');
+    lines.push(formatMarkdown(results, t, { nested: true }));
+  }
+
+  return lines.join('\n');
+}
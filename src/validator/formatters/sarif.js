@@ -0,0 +1,106 @@
+/**
+ * SARIF formatter
+ *
+ * SARIF 2.1.0 output for code-scanning dashboards. Every failed check
+ * becomes a result whose ruleId is "<category>/<check name>". Artifact
+ * URIs are relative to the working directory the check ran from, which is
+ * the repository root in CI.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { SEVERITY } from '../constants.js';
+import { getCheckLocation } from './locations.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+
+// SARIF result levels per check severity
+const LEVELS = {
+  [SEVERITY.ERROR]: 'error',
+  [SEVERITY.WARNING]: 'warning',
+  [SEVERITY.INFO]: 'note'
+};
+
+function getToolVersion() {
+  try {
+    const packageJson = JSON.parse(fs.readFileSync(path.join(__dirname, '../../../package.json'), 'utf-8'));
+    return packageJson.version;
+  } catch (e) {
+    return undefined;
+  }
+}
+
+function toUri(skillPath, file) {
+  const relative = path.relative(process.cwd(), path.resolve(skillPath, file));
+  return relative.split(path.sep).join('/');
+}
+
+/**
+ * Format as SARIF; batch results become a single run covering every skill
+ */
+export function formatSarif(results) {
+  const skills = results.type === 'aggregate' ? results.skills : [results];
+  const ruleMeta = new Map(skills.flatMap(skill => (skill.rules || []).map(rule => [rule.id, rule])));
+  const failed = skills.flatMap(skill => skill.checks
+    .filter(c => !c.passed && LEVELS[c.severity])
+    .map(check => ({ ...check, skillPath: skill.skillPath })));
+
+  // One reporting descriptor per distinct ruleId
+  const descriptors = new Map();
+  for (const check of failed) {
+    const id = `${check.category}/${check.name}`;
+    if (descriptors.has(id)) continue;
+    const meta = ruleMeta.get(check.rule);
+    const descriptor = {
+      id,
+      name: check.name,
+      shortDescription: { text: meta?.description || check.name },
+      defaultConfiguration: { level: LEVELS[check.severity] },
+      properties: { category: check.category, rule: check.rule }
+    };
+    if (meta?.docs) {
+      descriptor.helpUri = meta.docs;
+    }
+    descriptors.set(id, descriptor);
+  }
+  const ruleIndex = [...descriptors.keys()];
+
+  const sarifResults = failed.map(check => {
+    const id = `${check.category}/${check.name}`;
+    const location = getCheckLocation(check);
+    const physicalLocation = {
+      artifactLocation: { uri: toUri(check.skillPath, location.file) }
+    };
+    if (location.line) {
+      physicalLocation.region = { startLine: location.line, startColumn: location.column || 1 };
+    }
+    return {
+      ruleId: id,
+      ruleIndex: ruleIndex.indexOf(id),
+      level: LEVELS[check.severity],
+      message: { text: check.message || check.name },
+      locations: [{ physicalLocation }]
+    };
+  });
+
+  const sarif = {
+    $schema: SARIF_SCHEMA,
+    version: '2.1.0',
+    runs: [{
+      tool: {
+        driver: {
+          name: 'skills-builder',
+          version: getToolVersion(),
+          informationUri: 'https://github.com/ETZhang/skills-builder',
+          rules: [...descriptors.values()]
+        }
+      },
+      results: sarifResults
+    }]
+  };
+
+  return JSON.stringify(sarif, null, 2);
+}
@@ -0,0 +1,21 @@
+/**
+ * Aggregate summary rows shared by the batch formatters
+ */
+
+import { SEVERITY } from '../constants.js';
+
+/**
+ * Get one summary row per skill, for aggregate reports
+ */
+export function getSummaryRows(aggregate) {
+  return aggregate.skills.map(results => ({
+    skill: results.skillName,
+    path: results.skillPath,
+    success: results.success,
+    errors: results.errors.length,
+    warnings: results.warnings.length,
+    infos: results.checks.filter(c => !c.passed && c.severity === SEVERITY.INFO).length,
+    score: results.score?.overall ?? 0,
+    grade: results.score?.grade ?? 'F'
+  }));
+}
@@ -0,0 +1,140 @@
+/**
+ * Text formatter
+ */
+
+import { SEVERITY } from '../constants.js';
+import { getSummaryRows } from './summary.js';
+
+/**
+ * Format as text
+ */
+export function formatText(results, t) {
+  const lines = [];
+
+  lines.push('🔍 Skill Validation Results');
+  lines.push(`📁 Path: ${results.skillPath}`);
+  lines.push(`📦 Name: ${results.skillName}`);
+  lines.push('');
+
+  if (results.success) {
+    lines.push('✅ ' + t('validation_passed'));
+  } else {
+    lines.push(`❌ ${t('validation_failed').replace('{count}', results.errors.length)}`);
+  }
+
+  if (results.warnings.length > 0) {
+    lines.push(`⚠️  ${t('validation_warnings').replace('{count}', results.warnings.length)}`);
+  }
+
+  lines.push('');
+  lines.push('📊 Checks Summary:');
+  lines.push('─'.repeat(50));
+
+  for (const check of results.checks) {
+    const icon = check.passed ? '✅' : (check.severity === SEVERITY.WARNING ? '⚠️' : '❌');
+    lines.push(`${icon} [${check.category}] ${check.name}`);
+    if (check.message && !check.passed) {
+      lines.push(`   ${formatLocation(check.location)}${check.message}`);
+    }
+  }
+
+  if (results.targets) {
+    lines.push('');
+    lines.push('🏪 Marketplace Readiness:');
+    lines.push('─'.repeat(50));
+    lines.push(...formatReadiness(results.targets));
+  }
+
+  if (results.recommendations.length > 0) {
+    lines.push('');
+    lines.push('💡 Recommendations:');
+    for (const rec of results.recommendations) {
+      lines.push(`  • ${rec}`);
+    }
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Format one line per targeted marketplace: ready, or the failed requirements
+ */
+export function formatReadiness(targets) {
+  const width = Math.max(...targets.map(target => target.label.length));
+  return targets.map(target => {
+    const requirements = target.problems.map(check => check.name.slice(target.id.length + 1));
+    return target.ready
+      ? `✅ ${target.label.padEnd(width)}  ready to submit`
+      : `❌ ${target.label.padEnd(width)}  not ready: ${requirements.join(', ')}`;
+  });
+}
+
+/**
+ * Format a check location as a "file:line:column - " prefix
+ */
+export function formatLocation(location) {
+  if (!location || !location.file) {
+    return '';
+  }
+  const position = location.line ? `:${location.line}:${location.column || 1}` : '';
+  return `${location.file}${position} - `;
+}
+
+/**
+ * Format batch results as a summary table followed by each skill's problems
+ */
+export function formatTextAggregate(aggregate, t) {
+  const lines = [];
+  const { summary } = aggregate;
+  const rows = getSummaryRows(aggregate);
+  const width = Math.max(5, ...rows.map(row => row.skill.length));
+
+  lines.push(`🔍 Skill Validation Results (${summary.total} skills)`);
+  lines.push(`📁 Root: ${aggregate.root}`);
+  lines.push('');
+  lines.push(`   ${'Skill'.padEnd(width)}  ${'Errors'.padStart(6)}  ${'Warnings'.padStart(8)}  ${'Score'.padStart(8)}`);
+  lines.push('─'.repeat(width + 32));
+  for (const row of rows) {
+    const icon = row.success ? '✅' : '❌';
+    lines.push(`${icon} ${row.skill.padEnd(width)}  ${String(row.errors).padStart(6)}  ${String(row.warnings).padStart(8)}  ${`${row.score} (${row.grade})`.padStart(8)}`);
+  }
+  lines.push('─'.repeat(width + 32));
+  lines.push(`${summary.passed} passed · ${summary.failed} failed · ${summary.errors} error(s) · ${summary.warnings} warning(s) · average score ${summary.averageScore}`);
+
+  // Readiness matrix: one row per skill, one column per targeted marketplace
+  const targeted = aggregate.skills.find(results => results.targets)?.targets;
+  if (targeted) {
+    const columns = targeted.map(target => ({ id: target.id, width: Math.max(5, target.label.length) }));
+    lines.push('');
+    lines.push('🏪 Marketplace Readiness:');
+    lines.push(`   ${'Skill'.padEnd(width)}  ${targeted.map((target, i) => target.label.padEnd(columns[i].width)).join('  ')}`);
+    for (const results of aggregate.skills) {
+      const cells = columns.map(({ id, width: columnWidth }) => {
+        const target = results.targets?.find(t => t.id === id);
+        const cell = !target ? '-' : target.ready ? 'ready' : 'no';
+        return cell.padEnd(columnWidth);
+      });
+      lines.push(`   ${results.skillName.padEnd(width)}  ${cells.join('  ')}`.trimEnd());
+    }
+  }
+
+  // Problems per skill; passing checks and info hints are left to per-skill runs
+  for (const results of aggregate.skills) {
+    const problems = results.checks.filter(c => !c.passed &&
+      (c.severity === SEVERITY.ERROR || c.severity === SEVERITY.WARNING));
+    if (problems.length === 0) {
+      continue;
+    }
+    lines.push('');
+    lines.push(`${results.success ? '⚠️ ' : '❌'} ${results.skillName} (${results.skillPath})`);
+    for (const check of problems) {
+      const icon = check.severity === SEVERITY.WARNING ? '⚠️' : '❌';
+      lines.push(`   ${icon} [${check.category}] ${check.name}`);
+      if (check.message) {
+        lines.push(`      ${formatLocation(check.location)}${check.message}`);
+      }
+    }
+  }
+
+  return lines.join('\n');
+}
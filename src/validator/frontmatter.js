@@ -0,0 +1,209 @@
+/**
+ * SKILL.md Frontmatter
+ *
+ * Parses the YAML frontmatter block of SKILL.md and validates it against
+ * the declared frontmatter schema. Every issue carries a line/column
+ * position relative to SKILL.md itself, not to the frontmatter block.
+ */
+
+import { parseDocument, LineCounter, isMap } from 'yaml';
+
+// Frontmatter schema (per PDF guide and the Claude Code skill loader)
+const FRONTMATTER_SCHEMA = {
+  name: {
+    type: 'string',
+    required: true,
+    pattern: /^[a-z0-9]+(-[a-z0-9]+)*$/,
+    patternMessage: 'name should be kebab-case (lowercase letters, digits and hyphens)',
+    maxLength: 64
+  },
+  description: {
+    type: 'string',
+    required: true,
+    minLength: 20,
+    maxLength: 1024
+  },
+  license: {
+    type: 'string'
+  },
+  'allowed-tools': {
+    type: ['string', 'array']
+  },
+  metadata: {
+    type: 'object'
+  }
+};
+
+const OPENING_FENCE = /^---[ \t]*\r?\n/;
+const CLOSING_FENCE = /^---[ \t]*\r?$/m;
+
+/**
+ * Split SKILL.md into frontmatter and body and parse the frontmatter as YAML
+ */
+function parseFrontmatter(content) {
+  const result = {
+    present: false,
+    closed: false,
+    data: null,
+    errors: [],
+    positions: {},
+    body: content,
+    bodyLine: 1
+  };
+
+  const opening = content.match(OPENING_FENCE);
+  if (!opening) {
+    return result;
+  }
+  result.present = true;
+
+  const rest = content.substring(opening[0].length);
+  const closing = rest.match(CLOSING_FENCE);
+  if (!closing) {
+    result.errors.push({
+      message: 'Frontmatter is not closed with a "---" line',
+      line: 1,
+      column: 1
+    });
+    return result;
+  }
+  result.closed = true;
+
+  // Frontmatter text starts on line 2 of SKILL.md
+  const lineOffset = 1;
+  const yamlText = rest.substring(0, closing.index);
+  const afterClosing = rest.substring(closing.index + closing[0].length);
+  result.body = afterClosing.replace(/^\r?\n/, '');
+  result.bodyLine = lineOffset + countLines(yamlText) + 2;
+
+  const lineCounter = new LineCounter();
+  const doc = parseDocument(yamlText, { lineCounter, prettyErrors: true });
+  const toPosition = (offset) => {
+    const pos = lineCounter.linePos(offset);
+    return { line: pos.line + lineOffset, column: pos.col };
+  };
+
+  for (const error of doc.errors) {
+    result.errors.push({
+      message: error.message.split('\n')[0].replace(/ at line \d+, column \d+:?$/, ''),
+      ...toPosition(error.pos[0])
+    });
+  }
+  if (result.errors.length > 0) {
+    return result;
+  }
+
+  if (doc.contents === null) {
+    result.data = {};
+    return result;
+  }
+
+  if (!isMap(doc.contents)) {
+    result.errors.push({
+      message: 'Frontmatter must be a YAML mapping of key: value pairs',
+      ...toPosition(doc.contents.range[0])
+    });
+    return result;
+  }
+
+  for (const pair of doc.contents.items) {
+    if (pair.key && pair.key.range) {
+      result.positions[String(pair.key.value ?? pair.key)] = toPosition(pair.key.range[0]);
+    }
+  }
+  result.data = doc.toJS();
+  return result;
+}
+
+function countLines(text) {
+  if (text.length === 0) {
+    return 0;
+  }
+  return text.split('\n').length - (text.endsWith('\n') ? 1 : 0);
+}
+
+/**
+ * Get the schema type name of a parsed YAML value
+ */
+function typeOf(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  return typeof value;
+}
+
+/**
+ * Validate parsed frontmatter data against the schema
+ *
+ * Returns a list of issues: { key, rule, severity, message, line, column }
+ */
+function validateFrontmatter(parsed, schema = FRONTMATTER_SCHEMA) {
+  const issues = [];
+  const data = parsed.data || {};
+  const positionOf = (key) => parsed.positions[key] || { line: 1, column: 1 };
+
+  for (const [key, spec] of Object.entries(schema)) {
+    const value = data[key];
+
+    if (value === undefined) {
+      if (spec.required) {
+        issues.push({
+          key, rule: 'required', severity: 'error',
+          message: `Frontmatter must include "${key}:" field`,
+          line: 1, column: 1
+        });
+      }
+      continue;
+    }
+
+    const allowedTypes = [].concat(spec.type);
+    const actualType = typeOf(value);
+    if (!allowedTypes.includes(actualType)) {
+      issues.push({
+        key, rule: 'type', severity: 'error',
+        message: `"${key}" must be of type ${allowedTypes.join(' or ')} (found ${actualType})`,
+        ...positionOf(key)
+      });
+      continue;
+    }
+
+    if (actualType !== 'string') {
+      continue;
+    }
+
+    if (spec.pattern && !spec.pattern.test(value)) {
+      issues.push({
+        key, rule: 'format', severity: 'error',
+        message: spec.patternMessage || `"${key}" does not match ${spec.pattern}`,
+        ...positionOf(key)
+      });
+    }
+
+    if (spec.maxLength !== undefined && value.length > spec.maxLength) {
+      issues.push({
+        key, rule: 'length', severity: 'error',
+        message: `"${key}" is ${value.length} characters long (max ${spec.maxLength})`,
+        ...positionOf(key)
+      });
+    } else if (spec.minLength !== undefined && value.trim().length < spec.minLength) {
+      issues.push({
+        key, rule: 'length', severity: 'warning',
+        message: `"${key}" is only ${value.trim().length} characters long (min ${spec.minLength})`,
+        ...positionOf(key)
+      });
+    }
+  }
+
+  for (const key of Object.keys(data)) {
+    if (!schema[key]) {
+      issues.push({
+        key, rule: 'unknown_key', severity: 'warning',
+        message: `Unknown frontmatter key "${key}" (allowed: ${Object.keys(schema).join(', ')})`,
+        ...positionOf(key)
+      });
+    }
+  }
+
+  return issues;
+}
+
+export { FRONTMATTER_SCHEMA, parseFrontmatter, validateFrontmatter };
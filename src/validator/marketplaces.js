@@ -0,0 +1,204 @@
+/**
+ * Marketplace Profiles
+ *
+ * What each marketplace asks of a submission, applied by `check --target`.
+ * A profile lists:
+ *
+ * - `fields`: marketplace.json fields that must be present
+ * - `files`: skill files that must exist
+ * - `categories`: the category vocabulary (every category must come from it)
+ * - `keywords`: at least one of these keywords, when set
+ * - `description`: { min, max } length of the marketplace.json description
+ * - `assets`: `icon` (assets/icon.png or .svg) and a minimum number of
+ *   `screenshots` (images under assets/screenshots/)
+ * - `licenses`: accepted SPDX license identifiers
+ * - `languages`: polyglot.json languages that must be fully translated
+ */
+
+import { SEVERITY } from './constants.js';
+
+// Fields every marketplace.json needs
+const COMMON_FIELDS = ['name', 'version', 'description', 'categories', 'keywords', 'author', 'license', 'repository', 'homepage', 'bugs', 'marketplace'];
+
+// Categories of the general-purpose skill directories
+const GENERAL_CATEGORIES = [
+  'Workflow automation',
+  'CLI tool',
+  'Developer tool',
+  'System administration',
+  'Data analysis',
+  'Documentation',
+  'Testing',
+  'Security'
+];
+
+const OSI_LICENSES = ['MIT', 'Apache-2.0', 'ISC', 'BSD-2-Clause', 'BSD-3-Clause', 'MPL-2.0', 'GPL-3.0', 'LGPL-3.0'];
+
+const MARKETPLACE_PROFILES = {
+  skillsmp: {
+    label: 'SkillsMP',
+    fields: COMMON_FIELDS,
+    files: ['SKILL.md', 'package.json', 'LICENSE'],
+    categories: GENERAL_CATEGORIES,
+    description: { min: 20, max: 500 },
+    assets: { icon: false, screenshots: 0 },
+    licenses: OSI_LICENSES,
+    languages: []
+  },
+  daymade: {
+    label: 'DayMade',
+    fields: COMMON_FIELDS,
+    files: ['SKILL.md', 'package.json', 'LICENSE', 'README.md', 'CHANGELOG.md'],
+    categories: GENERAL_CATEGORIES,
+    description: { min: 50, max: 300 },
+    assets: { icon: true, screenshots: 1 },
+    licenses: ['MIT', 'Apache-2.0'],
+    languages: []
+  },
+  hexrays: {
+    label: 'Hex-Rays',
+    fields: COMMON_FIELDS,
+    files: ['SKILL.md', 'package.json', 'LICENSE', 'README.md'],
+    categories: ['Reverse engineering', 'Binary analysis', 'Malware analysis', 'Debugging', 'Scripting'],
+    keywords: ['ida', 'ida-pro', 'hex-rays', 'idapython'],
+    description: { min: 20, max: 500 },
+    assets: { icon: true, screenshots: 1 },
+    licenses: ['MIT', 'Apache-2.0', 'BSD-3-Clause', 'GPL-3.0'],
+    languages: []
+  },
+  smartscope: {
+    label: 'SmartScope',
+    fields: COMMON_FIELDS,
+    files: ['SKILL.md', 'package.json', 'LICENSE', 'polyglot.json'],
+    categories: GENERAL_CATEGORIES,
+    description: { min: 20, max: 200 },
+    assets: { icon: true, screenshots: 0 },
+    licenses: OSI_LICENSES,
+    languages: ['ja']
+  }
+};
+
+// Marketplace ids, in profile order
+const MARKETPLACES = Object.keys(MARKETPLACE_PROFILES);
+
+const IMAGE_EXTENSIONS = /\.(png|jpe?g|gif|webp|svg)$/i;
+
+/**
+ * Resolve a --target value to marketplace ids; throws on unknown targets
+ */
+function resolveTargets(target) {
+  if (!target) {
+    return [];
+  }
+  if (target === 'all') {
+    return MARKETPLACES;
+  }
+  if (!MARKETPLACE_PROFILES[target]) {
+    throw new Error(`Unknown target "${target}": use one of ${[...MARKETPLACES, 'all'].join(', ')}`);
+  }
+  return [target];
+}
+
+/**
+ * Check a skill against one marketplace's profile
+ *
+ * Reports one check per requirement, named `<marketplace>_<requirement>`,
+ * with `severity` for failures.
+ */
+function checkProfile(context, id, severity) {
+  const profile = MARKETPLACE_PROFILES[id];
+  const location = { file: 'marketplace.json' };
+  const report = (requirement, problems, file = location) => {
+    const passed = problems.length === 0;
+    context.report(`${id}_${requirement}`, passed,
+      passed ? SEVERITY.SUCCESS : severity,
+      passed ? '' : `${profile.label}: ${problems.join('; ')}`,
+      file);
+  };
+
+  let marketplace = null;
+  try {
+    marketplace = context.exists('marketplace.json') ? context.readJson('marketplace.json') : null;
+  } catch (e) {
+    // Reported by the marketplace rule as invalid JSON
+  }
+  report('marketplace_json', marketplace ? [] : ['a valid marketplace.json is required']);
+  if (!marketplace) {
+    return;
+  }
+
+  const missingFields = profile.fields.filter(field => marketplace[field] === undefined || marketplace[field] === '');
+  report('fields', missingFields.length > 0 ? [`missing ${missingFields.join(', ')}`] : []);
+
+  const missingFiles = profile.files.filter(file => !context.exists(file));
+  report('files', missingFiles.length > 0 ? [`missing ${missingFiles.join(', ')}`] : [], null);
+
+  const categories = Array.isArray(marketplace.categories) ? marketplace.categories : [];
+  const unknownCategories = categories.filter(category => !profile.categories.includes(category));
+  report('categories', categories.length === 0
+    ? [`choose at least one category (${profile.categories.join(', ')})`]
+    : unknownCategories.length > 0
+      ? [`unknown categor${unknownCategories.length === 1 ? 'y' : 'ies'} ${unknownCategories.map(c => `"${c}"`).join(', ')} (allowed: ${profile.categories.join(', ')})`]
+      : []);
+
+  if (profile.keywords) {
+    const keywords = Array.isArray(marketplace.keywords) ? marketplace.keywords.map(k => String(k).toLowerCase()) : [];
+    report('keywords', profile.keywords.some(keyword => keywords.includes(keyword))
+      ? []
+      : [`keywords should include one of ${profile.keywords.join(', ')}`]);
+  }
+
+  const length = typeof marketplace.description === 'string' ? marketplace.description.trim().length : 0;
+  const { min, max } = profile.description;
+  report('description_length', length < min || length > max
+    ? [`description is ${length} characters, expected ${min}-${max}`]
+    : []);
+
+  report('license', profile.licenses.includes(marketplace.license)
+    ? []
+    : [`license "${marketplace.license ?? ''}" is not accepted (allowed: ${profile.licenses.join(', ')})`]);
+
+  if (profile.assets.icon) {
+    const hasIcon = ['assets/icon.png', 'assets/icon.svg'].some(file => context.exists(file));
+    report('icon', hasIcon ? [] : ['add an icon at assets/icon.png or assets/icon.svg'], { file: 'assets/icon.png' });
+  }
+  if (profile.assets.screenshots > 0) {
+    const screenshots = context.isDirectory('assets/screenshots')
+      ? context.list('assets/screenshots').filter(file => IMAGE_EXTENSIONS.test(file))
+      : [];
+    report('screenshots', screenshots.length >= profile.assets.screenshots
+      ? []
+      : [`add at least ${profile.assets.screenshots} screenshot(s) under assets/screenshots/`], { file: 'assets/screenshots' });
+  }
+
+  if (profile.languages.length > 0) {
+    let polyglot = {};
+    try {
+      polyglot = context.exists('polyglot.json') ? context.readJson('polyglot.json') : {};
+    } catch (e) {
+      // Reported by the polyglot rule
+    }
+    const entries = Object.values(polyglot);
+    const untranslated = profile.languages.filter(language =>
+      entries.length === 0 || entries.some(entry => !entry?.[language]));
+    report('languages', untranslated.length > 0
+      ? [`translate every polyglot.json entry to ${untranslated.join(', ')}`]
+      : [], { file: 'polyglot.json' });
+  }
+}
+
+/**
+ * Readiness of each checked marketplace, from a validation run's checks
+ *
+ * Returns [{ id, label, ready, problems }] where problems are the failed
+ * profile checks.
+ */
+function getReadiness(results, targets) {
+  return targets.map(id => {
+    const checks = results.checks.filter(c => c.rule === 'marketplace' && c.name.startsWith(`${id}_`));
+    const problems = checks.filter(c => !c.passed);
+    return { id, label: MARKETPLACE_PROFILES[id].label, ready: problems.length === 0, problems };
+  });
+}
+
+export { MARKETPLACE_PROFILES, MARKETPLACES, GENERAL_CATEGORIES, resolveTargets, checkProfile, getReadiness };
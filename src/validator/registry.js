@@ -0,0 +1,166 @@
+/**
+ * Rule Registry
+ *
+ * Holds the ordered list of rules a validation run executes. Rules are
+ * plain objects:
+ *
+ *   {
+ *     id: 'has-owner',              // unique id
+ *     category: 'house_rules',      // category shown in reports
+ *     severity: 'error',            // default severity for failed checks
+ *     docs: 'https://...',          // documentation URL
+ *     description: '...',           // optional one-line summary
+ *     files: ['/owners.json'],      // optional: paths the rule reads
+ *                                   // (gitignore-style), used by watch mode
+ *     run(context) { ... }          // records checks with context.report()
+ *   }
+ *
+ * Third-party rule packages export a `rules` array (or a default export
+ * holding one) and are loaded with loadRulePackage().
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { createRequire } from 'module';
+import { pathToFileURL } from 'url';
+import { SEVERITY } from './constants.js';
+import { BUILTIN_RULES } from './rules/index.js';
+
+const RULE_SEVERITIES = [SEVERITY.ERROR, SEVERITY.WARNING, SEVERITY.INFO];
+
+/**
+ * Throw if a rule object is missing required fields
+ */
+export function assertValidRule(rule, source = 'rule') {
+  if (!rule || typeof rule !== 'object') {
+    throw new Error(`Invalid ${source}: expected an object`);
+  }
+  for (const field of ['id', 'category', 'docs']) {
+    if (typeof rule[field] !== 'string' || rule[field].length === 0) {
+      throw new Error(`Invalid ${source}: missing "${field}"`);
+    }
+  }
+  if (!RULE_SEVERITIES.includes(rule.severity)) {
+    throw new Error(`Invalid ${source} "${rule.id}": severity must be one of ${RULE_SEVERITIES.join(', ')}`);
+  }
+  if (typeof rule.run !== 'function') {
+    throw new Error(`Invalid ${source} "${rule.id}": missing run(context) function`);
+  }
+  if (rule.files !== undefined && !(Array.isArray(rule.files) && rule.files.every(f => typeof f === 'string'))) {
+    throw new Error(`Invalid ${source} "${rule.id}": files must be an array of path patterns`);
+  }
+}
+
+/**
+ * Create a rule registry, optionally pre-filled with rules
+ */
+export function createRegistry(initialRules = []) {
+  const rules = [];
+  const disabled = new Set();
+
+  const registry = {
+    register(rule, { before = null, after = null } = {}) {
+      assertValidRule(rule);
+      if (rules.some(r => r.id === rule.id)) {
+        throw new Error(`Rule "${rule.id}" is already registered`);
+      }
+      const anchor = before || after;
+      const anchorIndex = anchor ? rules.findIndex(r => r.id === anchor) : -1;
+      if (anchor && anchorIndex === -1) {
+        throw new Error(`Cannot place rule "${rule.id}": no rule "${anchor}"`);
+      }
+      if (anchorIndex === -1) {
+        rules.push(rule);
+      } else {
+        rules.splice(before ? anchorIndex : anchorIndex + 1, 0, rule);
+      }
+      return registry;
+    },
+
+    unregister(id) {
+      const index = rules.findIndex(r => r.id === id);
+      if (index !== -1) {
+        rules.splice(index, 1);
+      }
+      disabled.delete(id);
+      return registry;
+    },
+
+    disable(id) {
+      disabled.add(id);
+      return registry;
+    },
+
+    enable(id) {
+      disabled.delete(id);
+      return registry;
+    },
+
+    // Reorder rules; ids not listed keep their relative order at the end
+    reorder(ids) {
+      const ordered = ids.map(id => rules.find(r => r.id === id)).filter(Boolean);
+      const rest = rules.filter(r => !ids.includes(r.id));
+      rules.splice(0, rules.length, ...ordered, ...rest);
+      return registry;
+    },
+
+    get(id) {
+      return rules.find(r => r.id === id) || null;
+    },
+
+    // All registered rules in run order
+    list() {
+      return [...rules];
+    },
+
+    // Rules that will run
+    active() {
+      return rules.filter(r => !disabled.has(r.id));
+    }
+  };
+
+  for (const rule of initialRules) {
+    registry.register(rule);
+  }
+
+  return registry;
+}
+
+/**
+ * Create a registry holding the built-in rules
+ */
+export function createDefaultRegistry() {
+  return createRegistry(BUILTIN_RULES);
+}
+
+/**
+ * Load a third-party rule package and register its rules
+ *
+ * `specifier` is a package name resolved from `cwd` (node_modules) or a
+ * path to a module file.
+ */
+export async function loadRulePackage(registry, specifier, { cwd = process.cwd() } = {}) {
+  let resolved;
+  const asPath = path.resolve(cwd, specifier);
+  if (specifier.startsWith('.') || path.isAbsolute(specifier) || fs.existsSync(asPath)) {
+    resolved = asPath;
+  } else {
+    const require = createRequire(path.join(path.resolve(cwd), 'package.json'));
+    resolved = require.resolve(specifier);
+  }
+
+  const mod = await import(pathToFileURL(resolved).href);
+  const rules = mod.rules || mod.default?.rules || mod.default;
+  if (!Array.isArray(rules)) {
+    throw new Error(`Rule package "${specifier}" must export a "rules" array`);
+  }
+
+  for (const rule of rules) {
+    assertValidRule(rule, `rule in "${specifier}"`);
+    // Loading the same package twice is a no-op
+    if (registry.get(rule.id) !== rule) {
+      registry.register(rule);
+    }
+  }
+  return rules.map(r => r.id);
+}
@@ -0,0 +1,105 @@
+/**
+ * Best practices rule
+ *
+ * Checks open-source and project-layout conventions
+ */
+
+import { SEVERITY, DOCS_BASE_URL } from '../constants.js';
+import { generateLicense, generateChangelog } from '../../generator/index.js';
+
+/**
+ * Read package.json for fixers, or an empty object when missing or invalid
+ */
+function readPackageJson(files) {
+  try {
+    return JSON.parse(files.read('package.json') || '{}');
+  } catch (e) {
+    return {};
+  }
+}
+
+export default {
+  id: 'best-practices',
+  category: 'best_practices',
+  severity: SEVERITY.INFO,
+  docs: `${DOCS_BASE_URL}#best-practices`,
+  description: 'Open-source and project-layout conventions',
+  progress: 'info_checking_best_practices',
+  files: ['/.skill.yml', '/locales', '/src', '/.gitignore', '/LICENSE', '/CONTRIBUTING.md', '/CHANGELOG.md'],
+
+  run(context) {
+    // Check for .skill.yml configuration
+    const hasSkillYml = context.exists('.skill.yml');
+    context.report('has_skill_yml', hasSkillYml,
+      hasSkillYml ? SEVERITY.SUCCESS : SEVERITY.INFO,
+      hasSkillYml ? '' : 'Consider adding .skill.yml for configuration',
+      { file: '.skill.yml' });
+
+    // Check for locales directory
+    const hasLocales = context.exists('locales');
+    context.report('has_locales', hasLocales,
+      hasLocales ? SEVERITY.SUCCESS : SEVERITY.INFO,
+      hasLocales ? '' : 'Consider adding locales directory for additional translations',
+      { file: 'locales' });
+
+    // Check for src directory structure
+    const hasSrc = context.exists('src');
+    context.report('has_src_directory', hasSrc,
+      hasSrc ? SEVERITY.SUCCESS : SEVERITY.INFO,
+      hasSrc ? '' : 'Source code should be in src/ directory',
+      { file: 'src' });
+
+    // Check for dist in .gitignore
+    if (context.exists('.gitignore')) {
+      const gitignore = context.read('.gitignore');
+      const ignoresDist = gitignore.includes('/dist') || gitignore.includes('dist');
+      context.report('ignores_dist', ignoresDist,
+        ignoresDist ? SEVERITY.SUCCESS : SEVERITY.WARNING,
+        ignoresDist ? '' : 'Add /dist to .gitignore',
+        { file: '.gitignore' });
+    }
+
+    // Check for LICENSE file (open source best practice)
+    const hasLicense = context.exists('LICENSE');
+    context.report('has_license_file', hasLicense,
+      hasLicense ? SEVERITY.SUCCESS : SEVERITY.WARNING,
+      hasLicense ? '' : 'Add LICENSE file for proper open source distribution',
+      { file: 'LICENSE' });
+
+    // Check for CONTRIBUTING.md (open source best practice)
+    const hasContributing = context.exists('CONTRIBUTING.md');
+    context.report('has_contributing', hasContributing,
+      hasContributing ? SEVERITY.SUCCESS : SEVERITY.INFO,
+      hasContributing ? '' : 'Consider adding CONTRIBUTING.md for contributors',
+      { file: 'CONTRIBUTING.md' });
+
+    // Check for CHANGELOG.md (open source best practice)
+    const hasChangelog = context.exists('CHANGELOG.md');
+    context.report('has_changelog', hasChangelog,
+      hasChangelog ? SEVERITY.SUCCESS : SEVERITY.INFO,
+      hasChangelog ? '' : 'Consider adding CHANGELOG.md for version tracking',
+      { file: 'CHANGELOG.md' });
+  },
+
+  fixes: {
+    ignores_dist(files) {
+      const gitignore = files.read('.gitignore') || '';
+      const separator = gitignore === '' || gitignore.endsWith('\n') ? '' : '\n';
+      files.write('.gitignore', `${gitignore}${separator}\n# Build output\n/dist\n`);
+    },
+
+    // Only the MIT text is generated; other licenses need a human
+    has_license_file(files) {
+      const packageJson = readPackageJson(files);
+      if (packageJson.license !== 'MIT') {
+        return false;
+      }
+      const author = typeof packageJson.author === 'object' ? packageJson.author?.name : packageJson.author;
+      files.write('LICENSE', generateLicense(author || ''));
+    },
+
+    has_changelog(files) {
+      files.write('CHANGELOG.md', generateChangelog(readPackageJson(files).version || '1.0.0'));
+    }
+  }
+};
@@ -0,0 +1,79 @@
+/**
+ * Token budget rule
+ *
+ * Checks each loading tier against its token budget (metadata, SKILL.md
+ * body, references/ files), flags body sections that belong in
+ * references/ and requires every mentioned reference to say when to read
+ * it (see analyzer/budget.js)
+ */
+
+import { SEVERITY, DOCS_BASE_URL } from '../constants.js';
+import { analyzeBudget, collectReferences } from '../../analyzer/budget.js';
+
+export default {
+  id: 'budget',
+  category: 'SKILL.md',
+  severity: SEVERITY.WARNING,
+  docs: `${DOCS_BASE_URL}#token-budget`,
+  description: 'Each loading tier of the skill stays within its token budget',
+  progress: 'info_checking_budget',
+  files: ['/SKILL.md', '/references/'],
+
+  run(context) {
+    if (!context.exists('SKILL.md')) {
+      return;
+    }
+    let frontmatter;
+    try {
+      ({ frontmatter } = context.getSkillMd());
+    } catch (e) {
+      // Reported by the SKILL.md rule
+      return;
+    }
+
+    const report = analyzeBudget({ frontmatter, references: collectReferences(context) }, context.options.budget);
+    const { tiers, budget } = report;
+    const at = (line = 1) => ({ file: 'SKILL.md', line, column: 1 });
+
+    const metadataOk = tiers.frontmatter.tokens <= budget.frontmatter;
+    context.report('frontmatter_budget', metadataOk,
+      metadataOk ? SEVERITY.SUCCESS : SEVERITY.WARNING,
+      metadataOk ? '' : `Name and description take ~${tiers.frontmatter.tokens} tokens (budget ${budget.frontmatter}); they are loaded for every installed skill, so keep the description to what triggers it`,
+      at());
+
+    const bodyOk = tiers.body.tokens <= budget.body;
+    context.report('body_budget', bodyOk,
+      bodyOk ? SEVERITY.SUCCESS : SEVERITY.WARNING,
+      bodyOk
+        ? `SKILL.md body is ~${tiers.body.tokens} tokens (${tiers.body.lines} lines)`
+        : `SKILL.md body is ~${tiers.body.tokens} tokens (budget ${budget.body}); move detailed material to references/`,
+      at(frontmatter.bodyLine));
+
+    for (const section of report.oversized) {
+      context.report('section_budget', false, SEVERITY.WARNING,
+        `Section "${section.heading ?? 'before the first heading'}" is ~${section.tokens} tokens (budget ${budget.section}); move it to references/ and say when to read it`,
+        at(section.line));
+    }
+    if (report.oversized.length === 0) {
+      context.report('section_budget', true);
+    }
+
+    for (const mention of report.unexplained) {
+      context.report('reference_when_to_read', false, SEVERITY.ERROR,
+        `${mention.file} is mentioned without saying when to read it (e.g., "Read ${mention.file} when ...")`,
+        at(mention.line));
+    }
+    if (report.mentions.length > 0 && report.unexplained.length === 0) {
+      context.report('reference_when_to_read', true);
+    }
+
+    for (const reference of report.largeReferences) {
+      context.report('reference_budget', false, SEVERITY.INFO,
+        `${reference.file} is ~${reference.tokens} tokens (budget ${budget.reference}); add a table of contents or split it by topic`,
+        { file: reference.file, line: 1, column: 1 });
+    }
+    if (tiers.references.files.length > 0 && report.largeReferences.length === 0) {
+      context.report('reference_budget', true);
+    }
+  }
+};
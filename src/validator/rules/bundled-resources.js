@@ -0,0 +1,42 @@
+/**
+ * Bundled resources rule
+ *
+ * Checks the optional scripts/, references/ and assets/ directories (per PDF guide)
+ */
+
+import { SEVERITY, BUNDLED_RESOURCES, DOCS_BASE_URL } from '../constants.js';
+
+/**
+ * Get description for a bundled resource directory
+ */
+function getResourceDescription(resourceDir) {
+  const descriptions = {
+    'scripts': 'executable code that is repeatedly rewritten or requires deterministic reliability',
+    'references': 'documentation and reference material to be loaded into context as needed',
+    'assets': 'files used in the output Claude produces (templates, images, fonts, etc.)'
+  };
+  return descriptions[resourceDir] || 'additional resources';
+}
+
+export default {
+  id: 'bundled-resources',
+  category: 'bundled_resources',
+  severity: SEVERITY.INFO,
+  docs: `${DOCS_BASE_URL}#bundled-resources`,
+  description: 'Bundled resource directories',
+  progress: 'info_checking_resources',
+  files: BUNDLED_RESOURCES.map(dir => `/${dir}`),
+
+  run(context) {
+    for (const resourceDir of BUNDLED_RESOURCES) {
+      const exists = context.isDirectory(resourceDir);
+      if (exists) {
+        context.report(`has_${resourceDir}`, true, SEVERITY.SUCCESS,
+          `Found ${resourceDir}/ directory`);
+      } else {
+        context.report(`has_${resourceDir}`, false, SEVERITY.INFO,
+          `Consider adding ${resourceDir}/ for ${getResourceDescription(resourceDir)}`);
+      }
+    }
+  }
+};
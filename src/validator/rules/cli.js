@@ -0,0 +1,40 @@
+/**
+ * CLI rule
+ *
+ * Checks the built CLI entry point
+ */
+
+import { SEVERITY, CLI_RECOMMENDED, DOCS_BASE_URL } from '../constants.js';
+
+export default {
+  id: 'cli',
+  category: 'cli',
+  severity: SEVERITY.WARNING,
+  docs: `${DOCS_BASE_URL}#cli-entry-point`,
+  description: 'The CLI entry point has a shebang and parses arguments',
+  progress: 'info_checking_cli',
+  files: CLI_RECOMMENDED.map(file => `/${file}`),
+
+  run(context) {
+    const [cliFile] = CLI_RECOMMENDED;
+    if (!context.exists(cliFile)) {
+      return;
+    }
+    const location = { file: cliFile };
+
+    // Check if CLI file is executable and has shebang
+    const cliContent = context.read(cliFile);
+    const hasShebang = cliContent.startsWith('#!/');
+    context.report('has_shebang', hasShebang,
+      hasShebang ? SEVERITY.SUCCESS : SEVERITY.INFO,
+      hasShebang ? '' : 'CLI file should start with shebang (#!/usr/bin/env node)',
+      { ...location, line: 1, column: 1 });
+
+    // Check if CLI parses arguments
+    const hasArgv = cliContent.includes('yargs') || cliContent.includes('argv') || cliContent.includes('process.argv');
+    context.report('parses_args', hasArgv,
+      hasArgv ? SEVERITY.SUCCESS : SEVERITY.WARNING,
+      hasArgv ? '' : 'CLI should parse command line arguments',
+      location);
+  }
+};
@@ -0,0 +1,93 @@
+/**
+ * Description rule
+ *
+ * Checks that the SKILL.md description can trigger the skill: a "Use when"
+ * clause with concrete phrases, no vague wording, third-person voice, a
+ * useful length and coverage of the skill's headings and .skill.yml
+ * triggers (see analyzer/description.js)
+ */
+
+import { SEVERITY, DOCS_BASE_URL } from '../constants.js';
+import { analyzeDescription } from '../../analyzer/description.js';
+import { parseTriggerPatterns } from '../../analyzer/index.js';
+import { getHeadings } from '../../analyzer/text.js';
+
+const ANALYZE_HINT = 'run "skills-builder analyze" for a suggested rewrite';
+
+export default {
+  id: 'description',
+  category: 'SKILL.md',
+  severity: SEVERITY.WARNING,
+  docs: `${DOCS_BASE_URL}#description`,
+  description: 'The SKILL.md description says when to use the skill',
+  progress: 'info_checking_description',
+  files: ['/SKILL.md', '/.skill.yml'],
+
+  run(context) {
+    if (!context.exists('SKILL.md')) {
+      return;
+    }
+    let frontmatter;
+    try {
+      ({ frontmatter } = context.getSkillMd());
+    } catch (e) {
+      // Reported by the SKILL.md rule
+      return;
+    }
+    const description = frontmatter.data?.description;
+    if (typeof description !== 'string') {
+      return;
+    }
+
+    const position = frontmatter.positions.description || { line: 1, column: 1 };
+    const location = { file: 'SKILL.md', line: position.line, column: position.column };
+    const report = analyzeDescription(description, {
+      headings: getHeadings(frontmatter.body, frontmatter.bodyLine),
+      patterns: context.exists('.skill.yml') ? parseTriggerPatterns(context.read('.skill.yml')) : []
+    });
+
+    context.report('describes_when_to_use', report.whenToUse,
+      report.whenToUse ? SEVERITY.SUCCESS : SEVERITY.WARNING,
+      report.whenToUse ? '' : `Description should say when to use this skill (e.g., "Use when the user asks to ..."); ${ANALYZE_HINT}`,
+      location);
+
+    if (report.whenToUse) {
+      const hasTriggers = report.triggers.length > 0;
+      context.report('description_has_triggers', hasTriggers,
+        hasTriggers ? SEVERITY.SUCCESS : SEVERITY.WARNING,
+        hasTriggers ? '' : 'List concrete trigger phrases after "Use when" (e.g., "merge PDFs, split a PDF or extract PDF tables")',
+        location);
+    }
+
+    const vague = report.vague.map(v => `"${v.phrase}" (${v.suggestion})`);
+    context.report('description_vague_wording', vague.length === 0,
+      vague.length === 0 ? SEVERITY.SUCCESS : SEVERITY.WARNING,
+      vague.length === 0 ? '' : `Vague wording in the description: ${vague.join(', ')}`,
+      location);
+
+    const thirdPerson = report.voice.person === 'third';
+    context.report('description_voice', thirdPerson,
+      thirdPerson ? SEVERITY.SUCCESS : SEVERITY.WARNING,
+      thirdPerson ? '' : `Write the description in the third person ("Extracts tables from PDFs"), not the ${report.voice.person} person (${report.voice.words.join(', ')})`,
+      location);
+
+    // Outside the schema's hard limits is reported by the SKILL.md rule
+    const { status, characters, limits } = report.length;
+    if (status === 'short' || status === 'long') {
+      context.report('description_length', false, SEVERITY.INFO,
+        `Description is ${characters} characters; ${limits.recommendedMin}-${limits.recommendedMax} leaves room for what the skill does and when to use it`,
+        location);
+    } else if (status === 'ok') {
+      context.report('description_length', true);
+    }
+
+    const uncovered = [
+      ...report.coverage.headings.filter(h => !h.covered).map(h => `"${h.text}" (SKILL.md:${h.line})`),
+      ...report.coverage.patterns.filter(p => !p.covered).map(p => `"${p.text}" (.skill.yml)`)
+    ];
+    context.report('description_trigger_coverage', uncovered.length === 0,
+      uncovered.length === 0 ? SEVERITY.SUCCESS : SEVERITY.INFO,
+      uncovered.length === 0 ? '' : `The description never mentions ${uncovered.join(', ')}; ${ANALYZE_HINT}`,
+      location);
+  }
+};
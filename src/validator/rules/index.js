@@ -0,0 +1,35 @@
+/**
+ * Built-in rules, in the order they run
+ */
+
+import structure from './structure.js';
+import skillMd from './skill-md.js';
+import description from './description.js';
+import budget from './budget.js';
+import packageJson from './package-json.js';
+import polyglot from './polyglot.js';
+import cli from './cli.js';
+import bestPractices from './best-practices.js';
+import bundledResources from './bundled-resources.js';
+import links from './links.js';
+import scripts from './scripts.js';
+import marketplace from './marketplace.js';
+import versions from './versions.js';
+
+const BUILTIN_RULES = [
+  structure,
+  skillMd,
+  description,
+  budget,
+  packageJson,
+  polyglot,
+  cli,
+  bestPractices,
+  bundledResources,
+  links,
+  scripts,
+  marketplace,
+  versions
+];
+
+export { BUILTIN_RULES };
@@ -0,0 +1,71 @@
+/**
+ * Links rule
+ *
+ * Checks that the links, images and resource paths in SKILL.md and the
+ * references/ documents resolve, that anchors name existing headings and
+ * that every bundled resource is referenced (see analyzer/links.js)
+ */
+
+import { SEVERITY, DOCS_BASE_URL } from '../constants.js';
+import { buildReferenceGraph } from '../../analyzer/links.js';
+
+export default {
+  id: 'links',
+  category: 'links',
+  severity: SEVERITY.ERROR,
+  docs: `${DOCS_BASE_URL}#links`,
+  description: 'Links and resource paths resolve and every bundled resource is referenced',
+  progress: 'info_checking_links',
+  files: ['/SKILL.md', '/scripts/', '/references/', '/assets/'],
+
+  run(context) {
+    if (!context.exists('SKILL.md')) {
+      return;
+    }
+    let graph;
+    try {
+      graph = buildReferenceGraph(context);
+    } catch (e) {
+      // Unreadable SKILL.md is reported by the SKILL.md rule
+      return;
+    }
+    const at = (reference) => ({ file: reference.file, line: reference.line, column: reference.column });
+
+    // Bare paths in prose may be illustrative, so they only warn
+    for (const reference of graph.broken) {
+      const isPath = reference.kind === 'path';
+      context.report(isPath ? 'paths_resolve' : 'links_resolve', false,
+        isPath ? SEVERITY.WARNING : SEVERITY.ERROR,
+        isPath
+          ? `${reference.target} is mentioned but does not exist`
+          : `Broken ${reference.kind}: ${reference.target} does not exist`,
+        at(reference));
+    }
+    const links = graph.references.filter(r => r.kind !== 'path');
+    const paths = graph.references.filter(r => r.kind === 'path');
+    if (links.length > 0 && !graph.broken.some(r => r.kind !== 'path')) {
+      context.report('links_resolve', true);
+    }
+    if (paths.length > 0 && !graph.broken.some(r => r.kind === 'path')) {
+      context.report('paths_resolve', true);
+    }
+
+    for (const reference of graph.brokenAnchors) {
+      context.report('anchors_resolve', false, SEVERITY.ERROR,
+        `${reference.target}: ${reference.resolved} has no heading for #${reference.anchor}`,
+        at(reference));
+    }
+    if (graph.references.some(r => r.anchor) && graph.brokenAnchors.length === 0) {
+      context.report('anchors_resolve', true);
+    }
+
+    for (const file of graph.orphans) {
+      context.report('resources_referenced', false, SEVERITY.WARNING,
+        `${file} is not referenced from SKILL.md or its references; link it and say when to use it, or remove it`,
+        { file });
+    }
+    if (graph.resources.length > 0 && graph.orphans.length === 0) {
+      context.report('resources_referenced', true);
+    }
+  }
+};
@@ -0,0 +1,108 @@
+/**
+ * Marketplace rule
+ *
+ * Checks marketplace readiness (SkillsMP, DayMade, etc.), plus the
+ * profile of every marketplace targeted with `check --target`
+ */
+
+import { SEVERITY, DOCS_BASE_URL } from '../constants.js';
+import { MARKETPLACES, checkProfile } from '../marketplaces.js';
+
+const REQUIRED_MARKETPLACE_FIELDS = ['name', 'version', 'description', 'categories', 'keywords', 'author', 'license', 'repository', 'homepage', 'bugs', 'marketplace'];
+
+const VALID_MARKETPLACES = MARKETPLACES;
+
+export default {
+  id: 'marketplace',
+  category: 'marketplace',
+  severity: SEVERITY.WARNING,
+  docs: `${DOCS_BASE_URL}#marketplace`,
+  description: 'marketplace.json is complete and valid',
+  progress: 'info_checking_marketplace',
+  files: ['/marketplace.json', '/assets/', '/SKILL.md', '/package.json', '/LICENSE', '/README.md', '/CHANGELOG.md', '/polyglot.json'],
+
+  run(context) {
+    checkMarketplaceJson(context);
+
+    // One target fails the run; with several (--target all) failures are
+    // informational and summed up in the readiness matrix
+    const { targets = [] } = context.options;
+    const severity = targets.length > 1 ? SEVERITY.INFO : SEVERITY.ERROR;
+    for (const id of targets) {
+      checkProfile(context, id, severity);
+    }
+  }
+};
+
+/**
+ * Generic marketplace.json checks
+ */
+function checkMarketplaceJson(context) {
+  const location = { file: 'marketplace.json' };
+  const hasMarketplaceJson = context.exists('marketplace.json');
+  context.report('has_marketplace_json', hasMarketplaceJson,
+    hasMarketplaceJson ? SEVERITY.SUCCESS : SEVERITY.INFO,
+    hasMarketplaceJson ? '' : 'Consider adding marketplace.json for market distribution',
+    location);
+
+  if (!hasMarketplaceJson) {
+    return;
+  }
+
+  let marketplace;
+  try {
+    marketplace = context.readJson('marketplace.json');
+  } catch (e) {
+    context.report('valid_json', false, SEVERITY.ERROR,
+      'marketplace.json contains invalid JSON',
+      location);
+    return;
+  }
+
+  // Check required marketplace fields
+  for (const field of REQUIRED_MARKETPLACE_FIELDS) {
+    const hasField = marketplace[field] !== undefined;
+    context.report(`field_${field}`, hasField,
+      hasField ? SEVERITY.SUCCESS : SEVERITY.WARNING,
+      hasField ? '' : `Missing marketplace field: ${field}`,
+      location);
+  }
+
+  // Check if categories is an array
+  if (marketplace.categories) {
+    const hasCategories = Array.isArray(marketplace.categories) && marketplace.categories.length > 0;
+    context.report('has_valid_categories', hasCategories,
+      hasCategories ? SEVERITY.SUCCESS : SEVERITY.WARNING,
+      hasCategories ? '' : 'categories should be a non-empty array',
+      location);
+  }
+
+  // Check if keywords is an array
+  if (marketplace.keywords) {
+    const hasKeywords = Array.isArray(marketplace.keywords) && marketplace.keywords.length > 0;
+    context.report('has_valid_keywords', hasKeywords,
+      hasKeywords ? SEVERITY.SUCCESS : SEVERITY.WARNING,
+      hasKeywords ? '' : 'keywords should be a non-empty array',
+      location);
+  }
+
+  // Check if marketplace field is valid
+  if (marketplace.marketplace) {
+    const isValidMarketplace = VALID_MARKETPLACES.includes(marketplace.marketplace);
+    context.report('valid_marketplace', isValidMarketplace,
+      isValidMarketplace ? SEVERITY.SUCCESS : SEVERITY.WARNING,
+      isValidMarketplace ? '' : `marketplace should be one of: ${VALID_MARKETPLACES.join(', ')}`,
+      location);
+  }
+
+  // Check if repository URL is valid
+  if (marketplace.repository) {
+    const isValidUrl = typeof marketplace.repository === 'string' && marketplace.repository.startsWith('https://');
+    context.report('valid_repository_url', isValidUrl,
+      isValidUrl ? SEVERITY.SUCCESS : SEVERITY.WARNING,
+      isValidUrl ? '' : 'repository should be a valid HTTPS URL',
+      location);
+  }
+}
+
+export { REQUIRED_MARKETPLACE_FIELDS, VALID_MARKETPLACES };
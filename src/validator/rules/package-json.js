@@ -0,0 +1,107 @@
+/**
+ * package.json rule
+ *
+ * Checks required fields, name format, module type and bin entry
+ */
+
+import path from 'path';
+import { SEVERITY, BEST_PRACTICES, DOCS_BASE_URL } from '../constants.js';
+import { generatePackageJson } from '../../generator/index.js';
+
+/**
+ * Add missing required fields using the generator's defaults
+ */
+function fillMissingFields(files, context) {
+  const content = files.read('package.json');
+  let packageJson;
+  try {
+    packageJson = JSON.parse(content);
+  } catch (e) {
+    return false;
+  }
+
+  const name = packageJson.name || path.basename(path.resolve(context.skillPath));
+  const defaults = generatePackageJson(name);
+  for (const field of BEST_PRACTICES.packageJsonFields) {
+    if (packageJson[field] === undefined) {
+      packageJson[field] = defaults[field];
+    }
+  }
+  packageJson.type = BEST_PRACTICES.moduleType;
+
+  const trailingNewline = content.endsWith('\n') ? '\n' : '';
+  files.write('package.json', JSON.stringify(packageJson, null, 2) + trailingNewline);
+}
+
+export default {
+  id: 'package-json',
+  category: 'package.json',
+  severity: SEVERITY.WARNING,
+  docs: `${DOCS_BASE_URL}#packagejson`,
+  description: 'package.json follows skill conventions',
+  progress: 'info_checking_package',
+  files: ['/package.json'],
+
+  run(context) {
+    const { t } = context;
+    const location = { file: 'package.json' };
+
+    if (!context.exists('package.json')) {
+      return;
+    }
+
+    let packageJson;
+    try {
+      packageJson = context.readJson('package.json');
+    } catch (e) {
+      context.report('valid_json', false, SEVERITY.ERROR,
+        t('error_invalid_package_json').replace('{path}', context.resolve('package.json')),
+        location);
+      return;
+    }
+
+    // Check required fields
+    for (const field of BEST_PRACTICES.packageJsonFields) {
+      const hasField = packageJson[field] !== undefined;
+      context.report(`field_${field}`, hasField,
+        hasField ? SEVERITY.SUCCESS : SEVERITY.WARNING,
+        hasField ? '' : `Missing field: ${field}`,
+        location);
+    }
+
+    // Check name format (kebab-case)
+    if (packageJson.name) {
+      const validName = BEST_PRACTICES.nameFormat.test(packageJson.name);
+      context.report('name_format', validName,
+        validName ? SEVERITY.SUCCESS : SEVERITY.WARNING,
+        validName ? '' : 'Name should be kebab-case (lowercase with hyphens)',
+        location);
+    }
+
+    // Check type is "module"
+    if (packageJson.type) {
+      const isModule = packageJson.type === BEST_PRACTICES.moduleType;
+      context.report('is_module', isModule,
+        isModule ? SEVERITY.SUCCESS : SEVERITY.WARNING,
+        isModule ? '' : `Type should be "${BEST_PRACTICES.moduleType}"`,
+        location);
+    }
+
+    // Check for bin pointing to dist/cli/index.js
+    if (packageJson.bin) {
+      const binPath = typeof packageJson.bin === 'string'
+        ? packageJson.bin
+        : packageJson.bin[packageJson.name];
+      const hasCorrectBin = Boolean(binPath) && binPath === 'dist/cli/index.js';
+      context.report('bin_correct', hasCorrectBin,
+        hasCorrectBin ? SEVERITY.SUCCESS : SEVERITY.INFO,
+        hasCorrectBin ? '' : 'bin should point to "dist/cli/index.js"',
+        location);
+    }
+  },
+
+  fixes: Object.fromEntries([
+    ...BEST_PRACTICES.packageJsonFields.map(field => [`field_${field}`, fillMissingFields]),
+    ['is_module', fillMissingFields]
+  ])
+};
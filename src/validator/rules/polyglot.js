@@ -0,0 +1,79 @@
+/**
+ * polyglot.json rule
+ *
+ * Checks internationalization via polyglot.json
+ */
+
+import { SEVERITY, DOCS_BASE_URL } from '../constants.js';
+
+export default {
+  id: 'polyglot',
+  category: 'polyglot.json',
+  severity: SEVERITY.WARNING,
+  docs: `${DOCS_BASE_URL}#internationalization`,
+  description: 'polyglot.json provides default and translated strings',
+  progress: 'info_checking_polyglot',
+  files: ['/polyglot.json'],
+
+  run(context) {
+    const location = { file: 'polyglot.json' };
+
+    if (!context.exists('polyglot.json')) {
+      context.report('exists', false, SEVERITY.WARNING,
+        'Consider using polyglot.json for internationalization',
+        location);
+      return;
+    }
+
+    let polyglot;
+    try {
+      polyglot = context.readJson('polyglot.json');
+    } catch (e) {
+      context.report('valid_json', false, SEVERITY.ERROR,
+        'polyglot.json contains invalid JSON',
+        location);
+      return;
+    }
+
+    // Check if polyglot has at least one key with empty string (default language)
+    const hasDefaultLang = Object.values(polyglot).some(
+      translations => translations[''] !== undefined
+    );
+    context.report('has_default_language', hasDefaultLang,
+      hasDefaultLang ? SEVERITY.SUCCESS : SEVERITY.WARNING,
+      hasDefaultLang ? '' : 'Each key should have a default (empty string) translation',
+      location);
+
+    // Check for multiple languages
+    const languages = new Set();
+    for (const translations of Object.values(polyglot)) {
+      Object.keys(translations).forEach(lang => languages.add(lang));
+    }
+    const hasMultipleLanguages = languages.size > 1;
+    context.report('multiple_languages', hasMultipleLanguages,
+      hasMultipleLanguages ? SEVERITY.SUCCESS : SEVERITY.INFO,
+      hasMultipleLanguages ? `Found ${languages.size} languages: ${[...languages].join(', ')}` : 'Consider adding multiple language support',
+      location);
+  },
+
+  fixes: {
+    // Give every key a default entry, seeded from its first translation
+    has_default_language(files) {
+      const content = files.read('polyglot.json');
+      let polyglot;
+      try {
+        polyglot = JSON.parse(content);
+      } catch (e) {
+        return false;
+      }
+      for (const [key, translations] of Object.entries(polyglot)) {
+        if (translations && typeof translations === 'object' && translations[''] === undefined) {
+          const seed = Object.values(translations).find(value => typeof value === 'string' && value !== '');
+          polyglot[key] = { '': seed || key, ...translations };
+        }
+      }
+      const trailingNewline = content.endsWith('\n') ? '\n' : '';
+      files.write('polyglot.json', JSON.stringify(polyglot, null, 2) + trailingNewline);
+    }
+  }
+};
@@ -0,0 +1,54 @@
+/**
+ * Scripts rule
+ *
+ * Statically checks the executable code in scripts/: shebang, executable
+ * bit, interpreter, syntax, hardcoded paths and risky patterns (see
+ * analyzer/scripts.js)
+ */
+
+import { SEVERITY, DOCS_BASE_URL } from '../constants.js';
+import { analyzeScript, collectScripts, getModuleType } from '../../analyzer/scripts.js';
+
+// Every check the analyzer reports, so passing ones are listed too
+const SCRIPT_CHECKS = [
+  'script_shebang', 'script_executable', 'script_interpreter', 'script_syntax',
+  'hardcoded_path', 'home_directory', 'rm_rf', 'curl_pipe_shell', 'eval_input',
+  'sudo', 'write_outside_skill'
+];
+
+export default {
+  id: 'scripts',
+  category: 'scripts',
+  severity: SEVERITY.WARNING,
+  docs: `${DOCS_BASE_URL}#scripts`,
+  description: 'Bundled scripts run as they are and avoid risky patterns',
+  progress: 'info_checking_scripts',
+  files: ['/scripts/', '/package.json'],
+
+  run(context) {
+    const scripts = collectScripts(context).map(script =>
+      analyzeScript(script, { moduleType: getModuleType(context, script.file) }));
+    if (scripts.length === 0) {
+      return;
+    }
+
+    const failed = new Set();
+    for (const script of scripts) {
+      if (script.syntax) {
+        failed.add('script_syntax');
+        context.report('script_syntax', false, SEVERITY.ERROR,
+          `${script.file} does not parse: ${script.syntax.message}`,
+          { file: script.file, line: script.syntax.line || 1, column: 1 });
+      }
+      for (const finding of script.findings) {
+        failed.add(finding.check);
+        context.report(finding.check, false, finding.severity, finding.message,
+          { file: script.file, line: finding.line, column: finding.column });
+      }
+    }
+
+    for (const check of SCRIPT_CHECKS.filter(name => !failed.has(name))) {
+      context.report(check, true);
+    }
+  }
+};
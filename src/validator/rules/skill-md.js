@@ -0,0 +1,128 @@
+/**
+ * SKILL.md rule
+ *
+ * Validates the frontmatter against the schema and checks the markdown body
+ */
+
+import { SEVERITY, DOCS_BASE_URL } from '../constants.js';
+import { parseFrontmatter, validateFrontmatter } from '../frontmatter.js';
+
+export default {
+  id: 'skill-md',
+  category: 'SKILL.md',
+  severity: SEVERITY.ERROR,
+  docs: `${DOCS_BASE_URL}#skillmd`,
+  description: 'SKILL.md has valid frontmatter and a markdown body',
+  progress: 'info_checking_skill_md',
+  files: ['/SKILL.md'],
+
+  run(context) {
+    if (!context.exists('SKILL.md')) {
+      return;
+    }
+
+    let skillMd;
+    try {
+      skillMd = context.getSkillMd();
+    } catch (e) {
+      context.report('readable', false, SEVERITY.ERROR,
+        'Could not read SKILL.md', { file: 'SKILL.md' });
+      return;
+    }
+
+    const { frontmatter } = skillMd;
+    const at = (line = 1, column = 1) => ({ file: 'SKILL.md', line, column });
+
+    // Check for YAML frontmatter
+    context.report('has_frontmatter', frontmatter.present,
+      frontmatter.present ? SEVERITY.SUCCESS : SEVERITY.ERROR,
+      frontmatter.present ? '' : 'SKILL.md must start with YAML frontmatter (---)',
+      at());
+
+    if (frontmatter.present) {
+      // Frontmatter must be closed and parse as a YAML mapping
+      const validYaml = frontmatter.errors.length === 0;
+      if (validYaml) {
+        context.report('frontmatter_valid_yaml', true);
+      }
+      for (const error of frontmatter.errors) {
+        context.report('frontmatter_valid_yaml', false, SEVERITY.ERROR,
+          `Invalid frontmatter: ${error.message}`,
+          at(error.line, error.column));
+      }
+
+      if (validYaml) {
+        checkFrontmatterSchema(context, frontmatter, at);
+      }
+    }
+
+    // Check for markdown body content
+    const hasBody = frontmatter.closed && frontmatter.body.trim().length > 0;
+    context.report('has_markdown_body', hasBody,
+      hasBody ? SEVERITY.SUCCESS : SEVERITY.WARNING,
+      hasBody ? '' : 'SKILL.md should have markdown body content after frontmatter',
+      at(frontmatter.bodyLine));
+  },
+
+  fixes: {
+    // Copy the license declared in package.json into the frontmatter
+    frontmatter_has_license(files) {
+      let license;
+      try {
+        license = JSON.parse(files.read('package.json') || '{}').license;
+      } catch (e) {
+        return false;
+      }
+      const content = files.read('SKILL.md');
+      const frontmatter = parseFrontmatter(content);
+      if (typeof license !== 'string' || !frontmatter.closed || frontmatter.errors.length > 0) {
+        return false;
+      }
+
+      // Insert the field just before the closing fence
+      const lines = content.split('\n');
+      lines.splice(frontmatter.bodyLine - 2, 0, `license: ${license}`);
+      files.write('SKILL.md', lines.join('\n'));
+    }
+  }
+};
+
+/**
+ * Report required fields and schema issues
+ */
+function checkFrontmatterSchema(context, frontmatter, at) {
+  const data = frontmatter.data;
+  const issues = validateFrontmatter(frontmatter);
+  const positionOf = (key) => frontmatter.positions[key] || { line: 1, column: 1 };
+
+  // Check for required fields: name and description
+  for (const key of ['name', 'description']) {
+    const missing = issues.find(i => i.key === key && i.rule === 'required');
+    const position = positionOf(key);
+    context.report(`frontmatter_has_${key}`, !missing,
+      missing ? SEVERITY.ERROR : SEVERITY.SUCCESS,
+      missing ? missing.message : '',
+      at(position.line, position.column));
+  }
+
+  // Check for optional field: license
+  const hasLicense = data.license !== undefined;
+  context.report('frontmatter_has_license', hasLicense,
+    hasLicense ? SEVERITY.SUCCESS : SEVERITY.INFO,
+    hasLicense ? '' : 'Consider adding "license:" field to frontmatter',
+    at());
+
+  // Schema checks: types, name format, lengths and unknown keys
+  for (const issue of issues) {
+    if (issue.rule === 'required') {
+      continue;
+    }
+    const name = issue.rule === 'unknown_key'
+      ? `frontmatter_unknown_key_${issue.key}`
+      : `frontmatter_${issue.key.replace(/-/g, '_')}_${issue.rule}`;
+    context.report(name, false,
+      issue.severity === 'error' ? SEVERITY.ERROR : SEVERITY.WARNING,
+      issue.message,
+      at(issue.line, issue.column));
+  }
+}
@@ -0,0 +1,39 @@
+/**
+ * Structure rule
+ *
+ * Checks required and recommended files at the skill root
+ */
+
+import { SEVERITY, REQUIRED_FILES, RECOMMENDED_FILES, DOCS_BASE_URL } from '../constants.js';
+
+export default {
+  id: 'structure',
+  category: 'structure',
+  severity: SEVERITY.ERROR,
+  docs: `${DOCS_BASE_URL}#structure`,
+  description: 'Required and recommended files exist',
+  progress: 'info_checking_structure',
+  files: [...REQUIRED_FILES, ...RECOMMENDED_FILES].map(file => `/${file}`),
+
+  run(context) {
+    const { t } = context;
+
+    // Check required files
+    for (const file of REQUIRED_FILES) {
+      const exists = context.exists(file);
+      context.report(`file_${file.replace(/\//g, '_')}`, exists,
+        exists ? SEVERITY.SUCCESS : SEVERITY.ERROR,
+        exists ? '' : t('error_missing_required').replace('{file}', file),
+        { file });
+    }
+
+    // Check recommended files
+    for (const file of RECOMMENDED_FILES) {
+      if (!context.exists(file)) {
+        context.report(`file_${file.replace(/\//g, '_')}`, false, SEVERITY.WARNING,
+          t('warning_missing_file').replace('{file}', file),
+          { file });
+      }
+    }
+  }
+};
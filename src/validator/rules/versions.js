@@ -0,0 +1,66 @@
+/**
+ * Versions rule
+ *
+ * Checks that package.json, .skill.yml, marketplace.json, the CLI and the
+ * latest CHANGELOG.md release all declare the same version
+ */
+
+import { SEVERITY, DOCS_BASE_URL } from '../constants.js';
+import { getVersions, setVersion } from '../../generator/version.js';
+import { CLI_SOURCES } from '../../generator/init.js';
+
+/**
+ * The version the others should match: package.json's, else the first found
+ */
+function getExpected(versions) {
+  return (versions.find(v => v.id === 'package.json') || versions[0]).version;
+}
+
+export default {
+  id: 'versions',
+  category: 'versions',
+  severity: SEVERITY.ERROR,
+  docs: `${DOCS_BASE_URL}#versions`,
+  description: 'Every metadata file declares the same version',
+  progress: 'info_checking_versions',
+  files: ['/package.json', '/.skill.yml', '/marketplace.json', '/CHANGELOG.md', ...CLI_SOURCES.map(file => `/${file}`)],
+
+  run(context) {
+    const versions = getVersions((file) =>
+      context.exists(file) && !context.isDirectory(file) ? context.read(file) : null);
+    const declared = versions.filter(v => !v.released);
+    if (declared.length === 0) {
+      return;
+    }
+
+    const expected = getExpected(declared);
+    const mismatched = declared.filter(v => v.version !== expected);
+    context.report('versions_match', mismatched.length === 0,
+      mismatched.length === 0 ? SEVERITY.SUCCESS : SEVERITY.ERROR,
+      mismatched.length === 0 ? '' : `Versions disagree: ${declared.map(v => `${v.file} ${v.version}`).join(', ')} (run "skills-builder version ${expected}")`,
+      { file: (mismatched[0] || declared[0]).file });
+
+    // Prereleases need no release notes
+    const release = versions.find(v => v.released);
+    if (release && !expected.includes('-')) {
+      const current = release.version === expected;
+      context.report('changelog_current', current,
+        current ? SEVERITY.SUCCESS : SEVERITY.ERROR,
+        current ? '' : `CHANGELOG.md's latest release is ${release.version} but the skill is at ${expected}; add a ${expected} section`,
+        { file: release.file });
+    }
+  },
+
+  fixes: {
+    // Align every file with package.json; CHANGELOG.md needs release notes
+    versions_match(files) {
+      const declared = getVersions((file) => files.read(file)).filter(v => !v.released);
+      const expected = getExpected(declared);
+      for (const { id, file, version } of declared) {
+        if (version !== expected) {
+          files.write(file, setVersion(id, files.read(file), expected));
+        }
+      }
+    }
+  }
+};
@@ -0,0 +1,82 @@
+/**
+ * Quality Score
+ *
+ * Weighted 0-100 score per category and overall. A passed check earns full
+ * credit; a failed check earns partial credit by severity.
+ */
+
+import { SEVERITY } from './constants.js';
+
+// Relative weight of each category in the overall score
+const CATEGORY_WEIGHTS = {
+  'structure': 2,
+  'SKILL.md': 3,
+  'package.json': 1,
+  'polyglot.json': 1,
+  'cli': 1,
+  'best_practices': 1,
+  'bundled_resources': 0.5,
+  'links': 1,
+  'scripts': 1,
+  'marketplace': 0.5,
+  'versions': 1
+};
+
+const DEFAULT_WEIGHT = 1;
+
+// Credit earned by a failed check of each severity
+const FAILED_CREDIT = {
+  [SEVERITY.ERROR]: 0,
+  [SEVERITY.WARNING]: 0.5,
+  [SEVERITY.INFO]: 0.9,
+  [SEVERITY.SUCCESS]: 1
+};
+
+/**
+ * Score validation results
+ *
+ * Returns { overall, grade, categories: [{ category, score, weight, passed, failed, total }] }
+ */
+export function scoreResults(results) {
+  const byCategory = new Map();
+  for (const check of results.checks) {
+    if (!byCategory.has(check.category)) {
+      byCategory.set(check.category, []);
+    }
+    byCategory.get(check.category).push(check);
+  }
+
+  const categories = [...byCategory.entries()].map(([category, checks]) => {
+    const credit = checks.reduce((sum, check) =>
+      sum + (check.passed ? 1 : FAILED_CREDIT[check.severity] ?? 0), 0);
+    const failed = checks.filter(c => !c.passed).length;
+    return {
+      category,
+      score: Math.round((credit / checks.length) * 100),
+      weight: CATEGORY_WEIGHTS[category] ?? DEFAULT_WEIGHT,
+      passed: checks.length - failed,
+      failed,
+      total: checks.length
+    };
+  });
+
+  const totalWeight = categories.reduce((sum, c) => sum + c.weight, 0);
+  const overall = totalWeight === 0
+    ? 0
+    : Math.round(categories.reduce((sum, c) => sum + c.score * c.weight, 0) / totalWeight);
+
+  // Any error caps the grade: a skill that fails validation is never an A
+  const capped = results.success ? overall : Math.min(overall, 59);
+
+  return { overall: capped, grade: toGrade(capped), categories };
+}
+
+function toGrade(score) {
+  if (score >= 90) return 'A';
+  if (score >= 80) return 'B';
+  if (score >= 70) return 'C';
+  if (score >= 60) return 'D';
+  return 'F';
+}
+
+export { CATEGORY_WEIGHTS };
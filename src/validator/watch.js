@@ -0,0 +1,288 @@
+/**
+ * Watch Mode
+ *
+ * Watches a skill directory and re-validates it after every change. Only
+ * the rules whose declared `files` match a changed path are re-run; their
+ * checks replace the previous ones and the caller gets the list of checks
+ * that started or stopped failing.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { SEVERITY } from './constants.js';
+import { CONFIG_FILES } from './config.js';
+import { createDefaultRegistry } from './registry.js';
+import { validateSkill } from './index.js';
+import { scoreResults } from './score.js';
+import { getReadiness } from './marketplaces.js';
+import { createMatcher } from '../utils/glob.js';
+
+// Directories never watched
+const SKIP_DIRECTORIES = ['node_modules/', 'dist/', '.git/'];
+
+/**
+ * Get the ids of the rules affected by changed skill-relative paths
+ *
+ * Returns null when every rule must re-run: a config file changed, or an
+ * affected path is not claimed by a rule and some rule declares no files.
+ */
+export function getAffectedRules(registry, changedFiles) {
+  if (changedFiles.some(file => CONFIG_FILES.includes(file))) {
+    return null;
+  }
+
+  const rules = registry.active();
+  if (rules.some(rule => !rule.files)) {
+    return null;
+  }
+
+  const affected = new Set();
+  for (const rule of rules) {
+    const matches = createMatcher(rule.files);
+    if (changedFiles.some(file => matches(file))) {
+      affected.add(rule.id);
+    }
+  }
+  return [...affected];
+}
+
+/**
+ * Replace the checks of re-run rules in `previous` with those of `partial`
+ */
+export function mergeResults(previous, partial, ruleIds) {
+  if (partial.usageError || previous.usageError) {
+    return partial;
+  }
+
+  // Checks not owned by a rule (config, plugin loading) always come from the new run
+  const ruleOrder = partial.rules.map(rule => rule.id);
+  const kept = previous.checks.filter(c => ruleOrder.includes(c.rule) && !ruleIds.includes(c.rule));
+  const checks = [...kept, ...partial.checks]
+    .map((check, index) => ({ check, index }))
+    .sort((a, b) => ruleOrder.indexOf(a.check.rule) - ruleOrder.indexOf(b.check.rule) || a.index - b.index)
+    .map(({ check }) => check);
+
+  const errors = checks.filter(c => c.severity === SEVERITY.ERROR);
+  const merged = {
+    ...partial,
+    success: errors.length === 0,
+    checks,
+    errors,
+    warnings: checks.filter(c => c.severity === SEVERITY.WARNING)
+  };
+  if (partial.targets) {
+    merged.targets = getReadiness(merged, partial.targets.map(target => target.id));
+  }
+  merged.score = scoreResults(merged);
+  return merged;
+}
+
+/**
+ * Compare two results: checks that started failing and that stopped failing
+ */
+export function diffResults(previous, next) {
+  const key = (check) => `${check.rule}\0${check.name}\0${check.message}`;
+  const failing = (results) => new Map(results.checks
+    .filter(c => !c.passed && c.severity !== SEVERITY.SUCCESS)
+    .map(c => [key(c), c]));
+
+  const before = failing(previous);
+  const after = failing(next);
+  return {
+    newlyFailing: [...after].filter(([k]) => !before.has(k)).map(([, c]) => c),
+    newlyPassing: [...before].filter(([k]) => !after.has(k)).map(([, c]) => c)
+  };
+}
+
+/**
+ * Format one watch update as a compact diff
+ */
+export function formatWatchUpdate(update) {
+  const { changedFiles, ruleIds, diff, results } = update;
+  const time = new Date().toTimeString().slice(0, 8);
+  const rules = ruleIds ? ruleIds.join(', ') : 'all rules';
+  const lines = [`[${time}] ${changedFiles.join(', ')} changed; re-ran ${rules || 'no rules'}`];
+
+  for (const check of diff.newlyFailing) {
+    const icon = check.severity === SEVERITY.ERROR ? '❌' : check.severity === SEVERITY.WARNING ? '⚠️' : 'ℹ️';
+    lines.push(`  ${icon} [${check.category}] ${check.name}${check.message ? ` - ${check.message}` : ''}`);
+  }
+  for (const check of diff.newlyPassing) {
+    lines.push(`  ✅ [${check.category}] ${check.name}`);
+  }
+  if (diff.newlyFailing.length === 0 && diff.newlyPassing.length === 0) {
+    lines.push('  No change in results');
+  }
+
+  const score = results.score ? ` · score ${results.score.overall} (${results.score.grade})` : '';
+  lines.push(`  ${results.errors.length} error(s) · ${results.warnings.length} warning(s)${score}`);
+  return lines.join('\n');
+}
+
+/**
+ * Read the skill's .gitignore patterns
+ */
+function readGitignore(skillPath) {
+  try {
+    return fs.readFileSync(path.join(skillPath, '.gitignore'), 'utf-8').split(/\r?\n/);
+  } catch (e) {
+    return [];
+  }
+}
+
+/**
+ * Watch a skill and re-validate it on change
+ *
+ * Calls `onResults(results)` after the initial run and `onUpdate(update)`
+ * after every re-run, where update is { changedFiles, ruleIds, diff,
+ * results }. Returns a handle whose close() stops watching.
+ */
+export async function watchSkill(skillPath, options = {}) {
+  const {
+    debounce = 200,
+    registry = createDefaultRegistry(),
+    onResults = () => {},
+    onUpdate = () => {},
+    onError = () => {}
+  } = options;
+  const validateOptions = { ...options, registry };
+
+  let results = await validateSkill(skillPath, validateOptions);
+  onResults(results);
+
+  let isIgnored = createMatcher([...SKIP_DIRECTORIES, ...readGitignore(skillPath)]);
+  const watchers = new Map();
+  const known = new Set();
+  const changed = new Set();
+  let timer = null;
+  let running = null;
+  let closed = false;
+
+  const rerun = async () => {
+    // Drop short-lived files (editor swap files, atomic-save temporaries)
+    const changedFiles = [...changed].sort().filter(file => {
+      const exists = fs.existsSync(path.join(skillPath, file));
+      const wasKnown = known.has(file);
+      if (exists) {
+        known.add(file);
+      } else {
+        known.delete(file);
+      }
+      return exists || wasKnown;
+    });
+    changed.clear();
+    if (changedFiles.length === 0) {
+      return;
+    }
+
+    if (changedFiles.includes('.gitignore')) {
+      isIgnored = createMatcher([...SKIP_DIRECTORIES, ...readGitignore(skillPath)]);
+    }
+
+    const ruleIds = getAffectedRules(registry, changedFiles);
+    if (ruleIds && ruleIds.length === 0) {
+      return;
+    }
+
+    const partial = await validateSkill(skillPath, { ...validateOptions, rules: ruleIds });
+    const next = ruleIds ? mergeResults(results, partial, ruleIds) : partial;
+    const diff = diffResults(results, next);
+    results = next;
+    onUpdate({ changedFiles, ruleIds, diff, results });
+  };
+
+  const schedule = () => {
+    clearTimeout(timer);
+    timer = setTimeout(async () => {
+      // Never overlap runs; changes made meanwhile are picked up afterwards
+      while (running) {
+        await running;
+      }
+      if (closed || changed.size === 0) {
+        return;
+      }
+      running = rerun().catch(onError).finally(() => {
+        running = null;
+      });
+    }, debounce);
+  };
+
+  const watchDirectory = (relativeDir) => {
+    const fullDir = path.join(skillPath, relativeDir);
+    if (watchers.has(relativeDir) || closed) {
+      return;
+    }
+
+    let watcher;
+    try {
+      watcher = fs.watch(fullDir, (eventType, filename) => {
+        if (!filename) {
+          return;
+        }
+        const relativePath = path.posix.join(relativeDir, filename.toString());
+        if (isIgnored(relativePath) || isIgnored(`${relativePath}/`)) {
+          return;
+        }
+        // Follow directories created or removed after startup
+        const stats = fs.statSync(path.join(skillPath, relativePath), { throwIfNoEntry: false });
+        if (stats?.isDirectory()) {
+          watchTree(relativePath);
+        } else if (!stats) {
+          unwatchTree(relativePath);
+        }
+        changed.add(relativePath);
+        schedule();
+      });
+    } catch (e) {
+      return;
+    }
+    watcher.on('error', () => {
+      watcher.close();
+      watchers.delete(relativeDir);
+    });
+    watchers.set(relativeDir, watcher);
+  };
+
+  const watchTree = (relativeDir) => {
+    watchDirectory(relativeDir);
+    let entries;
+    try {
+      entries = fs.readdirSync(path.join(skillPath, relativeDir), { withFileTypes: true });
+    } catch (e) {
+      return;
+    }
+    for (const entry of entries) {
+      const relativePath = relativeDir ? `${relativeDir}/${entry.name}` : entry.name;
+      if (entry.isDirectory() && !isIgnored(`${relativePath}/`)) {
+        watchTree(relativePath);
+      }
+      known.add(relativePath);
+    }
+  };
+
+  const unwatchTree = (relativeDir) => {
+    for (const [dir, watcher] of watchers) {
+      if (dir === relativeDir || dir.startsWith(`${relativeDir}/`)) {
+        watcher.close();
+        watchers.delete(dir);
+      }
+    }
+  };
+
+  watchTree('');
+
+  return {
+    getResults: () => results,
+    async close() {
+      closed = true;
+      clearTimeout(timer);
+      for (const watcher of watchers.values()) {
+        watcher.close();
+      }
+      watchers.clear();
+      if (running) {
+        await running;
+      }
+    }
+  };
+}
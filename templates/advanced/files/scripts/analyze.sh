@@ -0,0 +1,6 @@
+#!/usr/bin/env sh
+# Analyze a file or directory with the built {{name}} CLI
+set -e
+
+cd "$(dirname "$0")/.."
+node dist/cli/index.js analyze "${1:-.}"
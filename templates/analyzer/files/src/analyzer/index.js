@@ -0,0 +1,81 @@
+/**
+ * {{name}} Analyzer
+ *
+ * Analyzes input and generates structured data for visualization
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Analyze the given input
+ * @param {string} input - The input to analyze
+ * @param {object} options - Analysis options
+ * @returns {object} Analysis results
+ */
+export async function analyze(input, options = {}) {
+  const results = {
+    input,
+    timestamp: new Date().toISOString(),
+    analysis: {}
+  };
+
+  // Add your analysis logic here
+  // Example: Parse input, extract patterns, generate metrics
+
+  return results;
+}
+
+/**
+ * Analyze a file
+ * @param {string} filePath - Path to the file to analyze
+ * @returns {object} Analysis results
+ */
+export async function analyzeFile(filePath) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`File not found: ${filePath}`);
+  }
+
+  const content = fs.readFileSync(filePath, 'utf-8');
+  return analyze(content, { source: filePath });
+}
+
+/**
+ * Analyze a directory
+ * @param {string} dirPath - Path to the directory to analyze
+ * @returns {object} Analysis results
+ */
+export async function analyzeDirectory(dirPath) {
+  if (!fs.existsSync(dirPath)) {
+    throw new Error(`Directory not found: ${dirPath}`);
+  }
+
+  const results = {
+    type: 'directory',
+    path: dirPath,
+    files: [],
+    timestamp: new Date().toISOString()
+  };
+
+  const entries = fs.readdirSync(dirPath, { withFileTypes: true });
+
+  for (const entry of entries) {
+    if (entry.isFile()) {
+      const filePath = path.join(dirPath, entry.name);
+      try {
+        const analysis = await analyzeFile(filePath);
+        results.files.push({
+          name: entry.name,
+          analysis
+        });
+      } catch (e) {
+        results.files.push({
+          name: entry.name,
+          error: e.message
+        });
+      }
+    }
+  }
+
+  return results;
+}
@@ -0,0 +1,69 @@
+#!/usr/bin/env node
+import yargs from 'yargs';
+import { hideBin } from 'yargs/helpers';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { analyzeFile, analyzeDirectory } from '../analyzer/index.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Load translations
+function loadTranslations() {
+  try {
+    const polyglotPath = join(__dirname, '../../polyglot.json');
+    if (fs.existsSync(polyglotPath)) {
+      const content = fs.readFileSync(polyglotPath, 'utf-8');
+      return JSON.parse(content);
+    }
+  } catch (e) {
+    console.warn('Failed to load translations:', e.message);
+  }
+  return {};
+}
+
+// Get translation helper
+let translations = {};
+function t(key, defaultValue = key) {
+  return translations[key]?.[''] || defaultValue;
+}
+
+// CLI configuration
+const argv = yargs(hideBin(process.argv))
+  .scriptName('{{name}}')
+  .usage('Usage: $0 <command> [options]')
+  .command('hello [name]', 'Say hello to someone', (yargs) => {
+    return yargs
+      .positional('name', {
+        describe: 'Name to greet',
+        type: 'string',
+        default: '{{greeting}}'
+      });
+  }, async (argv) => {
+    translations = loadTranslations();
+    console.log(`Hello, ${argv.name}!`);
+    console.log(t('success_message', 'Success!'));
+  })
+  .command('analyze <path>', 'Analyze a file or directory', (yargs) => {
+    return yargs
+      .positional('path', {
+        describe: 'File or directory to analyze',
+        type: 'string'
+      });
+  }, async (argv) => {
+    const results = fs.statSync(argv.path).isDirectory()
+      ? await analyzeDirectory(argv.path)
+      : await analyzeFile(argv.path);
+    console.log(JSON.stringify(results, null, 2));
+  })
+  .help()
+  .alias('help', 'h')
+  .version('1.0.0')
+  .alias('version', 'v')
+  .example('$0 hello Claude', 'Say hello to Claude')
+  .example('$0 analyze ./data', 'Analyze every file in ./data')
+  .argv;
+
+export { argv };
@@ -0,0 +1,55 @@
+#!/usr/bin/env node
+import yargs from 'yargs';
+import { hideBin } from 'yargs/helpers';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Load translations
+function loadTranslations() {
+  try {
+    const polyglotPath = join(__dirname, '../../polyglot.json');
+    if (fs.existsSync(polyglotPath)) {
+      const content = fs.readFileSync(polyglotPath, 'utf-8');
+      return JSON.parse(content);
+    }
+  } catch (e) {
+    console.warn('Failed to load translations:', e.message);
+  }
+  return {};
+}
+
+// Get translation helper
+let translations = {};
+function t(key, defaultValue = key) {
+  return translations[key]?.[''] || defaultValue;
+}
+
+// CLI configuration
+const argv = yargs(hideBin(process.argv))
+  .scriptName('{{name}}')
+  .usage('Usage: $0 <command> [options]')
+  .command('hello [name]', 'Say hello to someone', (yargs) => {
+    return yargs
+      .positional('name', {
+        describe: 'Name to greet',
+        type: 'string',
+        default: '{{greeting}}'
+      });
+  }, async (argv) => {
+    translations = loadTranslations();
+    console.log(`Hello, ${argv.name}!`);
+    console.log(t('success_message', 'Success!'));
+  })
+  .help()
+  .alias('help', 'h')
+  .version('1.0.0')
+  .alias('version', 'v')
+  .example('$0 hello Claude', 'Say hello to Claude')
+  .argv;
+
+export { argv };
@@ -0,0 +1,96 @@
+/**
+ * Archive writers and readers, and the manifest `pack` embeds
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+import { createZip, createTarGz, readZip, readTarGz, crc32 } from '../src/utils/archive.js';
+import { packSkill, collectPackage, verifyManifest } from '../src/packer/index.js';
+import { withTempDir, createFixtureSkill } from './helpers.js';
+
+const ENTRIES = [
+  { path: 'skill/SKILL.md', content: Buffer.from('---\nname: skill\n---\n'), mode: 0o600 },
+  { path: 'skill/scripts/run.sh', content: Buffer.from('#!/bin/sh\necho ok\n'), mode: 0o700 },
+  { path: `skill/references/${'deep/'.repeat(60)}notes.md`, content: Buffer.from('# Notes\n') },
+  { path: 'skill/assets/café.txt', content: Buffer.alloc(0) }
+];
+
+const ARCHIVES = [
+  { format: 'zip', create: createZip, read: readZip },
+  { format: 'tar.gz', create: createTarGz, read: readTarGz }
+];
+
+test('crc32 matches the standard check value and zlib', () => {
+  assert.equal(crc32(Buffer.from('123456789')), 0xcbf43926);
+  assert.equal(crc32(Buffer.alloc(0)), 0);
+  if (zlib.crc32) {
+    const data = Buffer.from(ENTRIES.map(entry => entry.content.toString()).join(''));
+    assert.equal(crc32(data), zlib.crc32(data));
+  }
+});
+
+for (const { format, create, read } of ARCHIVES) {
+  test(`${format} round-trips paths, contents and normalized modes`, () => {
+    const entries = read(create(ENTRIES));
+    assert.deepEqual(entries, ENTRIES.map(entry => ({
+      path: entry.path,
+      content: entry.content,
+      mode: entry.mode & 0o111 ? 0o755 : 0o644
+    })));
+  });
+
+  test(`${format} output is deterministic`, () => {
+    assert.deepEqual(create(ENTRIES), create(ENTRIES.map(entry => ({ ...entry, content: Buffer.from(entry.content) }))));
+  });
+
+  test(`${format} readers reject paths outside the archive`, () => {
+    const archive = create([{ path: 'skill/../../evil.sh', content: Buffer.from('x') }]);
+    assert.throws(() => read(archive), /Unsafe path in archive/);
+  });
+}
+
+test('a zip entry whose CRC does not match is rejected', () => {
+  const zip = createZip([{ path: 'skill/SKILL.md', content: Buffer.from('hello') }]);
+  // The CRC field of the central directory entry
+  const central = zip.indexOf(Buffer.from([0x50, 0x4b, 0x01, 0x02]));
+  zip.writeUInt32LE(zip.readUInt32LE(central + 16) ^ 1, central + 16);
+  assert.throws(() => readZip(zip), /CRC mismatch in zip archive: skill\/SKILL\.md/);
+});
+
+test('pack writes identical archives and a manifest that verifies them', () => withTempDir(async (dir) => {
+  const skillPath = await createFixtureSkill(dir);
+  const first = await packSkill(skillPath, { outDir: path.join(dir, 'first') });
+  const second = await packSkill(skillPath, { outDir: path.join(dir, 'second') });
+  assert.equal(first.success, true, first.errors.join('\n'));
+  assert.deepEqual(first.archives.map(archive => archive.sha256), second.archives.map(archive => archive.sha256));
+
+  for (const archive of first.archives) {
+    const { read } = ARCHIVES.find(({ format }) => format === archive.format);
+    const entries = read(fs.readFileSync(archive.path));
+    assert.equal(entries[0].path, 'fixture-skill/skill-manifest.json');
+    const manifest = JSON.parse(entries[0].content.toString('utf-8'));
+    const files = entries.slice(1).map(entry => ({ ...entry, path: entry.path.slice('fixture-skill/'.length) }));
+    assert.deepEqual(verifyManifest(manifest, files), []);
+  }
+}));
+
+test('the manifest catches changed, extra and missing files', () => withTempDir(async (dir) => {
+  const skillPath = await createFixtureSkill(dir);
+  const { manifest, entries } = collectPackage(skillPath);
+  const [changed, removed, ...rest] = entries;
+
+  const problems = verifyManifest(manifest, [
+    { ...changed, content: Buffer.concat([changed.content, Buffer.from('\n')]) },
+    ...rest,
+    { path: 'extra.js', content: Buffer.from('') }
+  ]);
+
+  assert.deepEqual(problems, [
+    `${changed.path} does not match its manifest hash`,
+    'extra.js is not listed in the manifest',
+    `${removed.path} is listed in the manifest but missing`
+  ]);
+}));
@@ -0,0 +1,48 @@
+/**
+ * When-to-read detection for references/ mentions
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { findReferenceMentions } from '../src/analyzer/budget.js';
+
+const explained = (line) => findReferenceMentions(line)[0].explained;
+
+test('a condition next to the mention says when to read it', () => {
+  assert.equal(explained('Read references/api.md when you call the API.'), true);
+  assert.equal(explained('Read [the API notes](references/api.md) if you need error codes.'), true);
+  assert.equal(explained('Before deploying, read references/deploy.md.'), true);
+  assert.equal(explained('- [references/usage.md](references/usage.md): read it when you need the output fields'), true);
+});
+
+test('"for details" and other pointers without a condition fail', () => {
+  assert.equal(explained('See references/api.md for details.'), false);
+  assert.equal(explained('See references/api.md for more information'), false);
+  assert.equal(explained('Read references/api.md if needed.'), false);
+  assert.equal(explained('Only the essentials are here; see references/api.md.'), false);
+});
+
+test('a condition in another sentence of the line does not count', () => {
+  assert.equal(explained('Run the build when ready. See references/api.md for details.'), false);
+});
+
+test('a sentence wrapped across lines is read as one', () => {
+  assert.equal(explained('Read references/api.md\nwhen you call the payments API.'), true);
+  assert.equal(explained('When you call the payments API, read\nreferences/api.md.'), true);
+  assert.equal(explained('See the notes in\nreferences/api.md\nfor details.'), false);
+});
+
+test('paragraphs, fences and list items end the sentence', () => {
+  assert.equal(explained('Read references/api.md\n\nwhen you call the payments API.'), false);
+  assert.equal(explained('Read references/api.md\n```\nwhen you call the payments API.\n```'), false);
+  assert.equal(explained('- references/api.md\n- when you call the payments API'), false);
+  assert.equal(explained('- references/api.md, read it\n  when you call the payments API'), true);
+});
+
+test('mentions keep the line number they appear on', () => {
+  const mentions = findReferenceMentions('# Usage\n\nWhen you call the API, read\nreferences/api.md and\nreferences/errors.md.', 5);
+  assert.deepEqual(mentions.map(({ file, line, explained: ok }) => ({ file, line, ok })), [
+    { file: 'references/api.md', line: 8, ok: true },
+    { file: 'references/errors.md', line: 9, ok: true }
+  ]);
+});
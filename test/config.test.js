@@ -0,0 +1,107 @@
+/**
+ * Validator config: lookup, presets, severity overrides, ignores and plugins
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { findConfigFile, loadConfig, getSeverityOverride } from '../src/validator/config.js';
+import { createMatcher, globToRegExp } from '../src/utils/glob.js';
+import { validateSkill } from '../src/validator/index.js';
+import { withTempDir, writeFiles, createFixtureSkill } from './helpers.js';
+
+const findCheck = (results, name) => results.checks.find(check => check.name === name);
+
+test('the nearest config file is found by walking up', () => withTempDir(async (dir) => {
+  writeFiles(dir, { '.skillsbuilderrc.json': '{}', 'skills/one/SKILL.md': '' });
+  assert.equal(findConfigFile(path.join(dir, 'skills/one')), path.join(dir, '.skillsbuilderrc.json'));
+
+  writeFiles(dir, { 'skills/one/.skillsbuilderrc.yml': 'rules: {}\n' });
+  assert.equal(findConfigFile(path.join(dir, 'skills/one')), path.join(dir, 'skills/one/.skillsbuilderrc.yml'));
+}));
+
+test('presets and extended files merge, later rules winning', () => withTempDir(async (dir) => {
+  writeFiles(dir, {
+    'shared.json': JSON.stringify({ extends: ['strict'], rules: { has_changelog: 'error' }, ignorePatterns: ['legacy/**'] }),
+    '.skillsbuilderrc.json': JSON.stringify({ extends: ['./shared.json'], rules: { has_changelog: 'off' }, ignorePatterns: ['*.bak'] })
+  });
+  const config = loadConfig(dir);
+
+  assert.equal(config.path, path.join(dir, '.skillsbuilderrc.json'));
+  // From the strict preset, through shared.json
+  assert.equal(config.rules.has_license_file, 'error');
+  assert.equal(config.rules['package.json'], 'error');
+  // shared.json said error, the project file turns it off
+  assert.equal(config.rules.has_changelog, 'off');
+  assert.deepEqual(config.ignorePatterns, ['legacy/**', '*.bak']);
+}));
+
+test('invalid severities and unknown presets are rejected', () => withTempDir(async (dir) => {
+  writeFiles(dir, { '.skillsbuilderrc.json': JSON.stringify({ rules: { has_changelog: 'fatal' } }) });
+  assert.throws(() => loadConfig(dir), /Invalid severity "fatal"/);
+
+  writeFiles(dir, { '.skillsbuilderrc.json': JSON.stringify({ extends: ['nope'] }) });
+  assert.throws(() => loadConfig(dir), /Unknown preset or config file/);
+}));
+
+test('the most specific override key wins', () => {
+  const config = { rules: { description: 'off', has_changelog: 'info', 'best_practices/has_changelog': 'error' } };
+  const check = { category: 'best_practices', name: 'has_changelog', rule: 'best-practices' };
+  assert.equal(getSeverityOverride(config, check), 'error');
+  assert.equal(getSeverityOverride(config, { ...check, category: 'other' }), 'info');
+  assert.equal(getSeverityOverride(config, { category: 'SKILL.md', name: 'description_voice', rule: 'description' }), 'off');
+  assert.equal(getSeverityOverride(config, { category: 'SKILL.md', name: 'field_name', rule: 'skill-md' }), null);
+});
+
+test('plugins resolve from the directory of the config that lists them', () => withTempDir(async (dir) => {
+  writeFiles(dir, {
+    'team/base.json': JSON.stringify({ plugins: ['./rules/acme.js'] }),
+    '.skillsbuilderrc.json': JSON.stringify({ extends: ['./team/base.json'], plugins: ['skills-builder-rules-x'] })
+  });
+  assert.deepEqual(loadConfig(path.join(dir, 'skill')).plugins, [
+    { name: './rules/acme.js', baseDir: path.join(dir, 'team') },
+    { name: 'skills-builder-rules-x', baseDir: dir }
+  ]);
+}));
+
+test('globs follow gitignore rules', () => {
+  assert.ok(globToRegExp('*.md').test('docs/notes.md'));
+  assert.ok(!globToRegExp('/*.md').test('docs/notes.md'));
+  assert.ok(globToRegExp('legacy/**').test('legacy/a/b.js'));
+  assert.ok(!globToRegExp('legacy/**').test('src/legacy/b.js'));
+  assert.ok(globToRegExp('dist/').test('dist/cli/index.js'));
+  assert.ok(!globToRegExp('dist/').test('dist'));
+  assert.ok(globToRegExp('src/**/*.test.js').test('src/a.test.js'));
+  assert.ok(!globToRegExp('?.js').test('ab.js'));
+
+  const isIgnored = createMatcher(['legacy/**', '!legacy/keep.md', '# comment', '']);
+  assert.ok(isIgnored('legacy/old.md'));
+  assert.ok(!isIgnored('legacy/keep.md'));
+  assert.ok(!isIgnored('./README.md'));
+});
+
+test('check applies off, overrides, presets and ignorePatterns', () => withTempDir(async (dir) => {
+  const skillPath = await createFixtureSkill(dir);
+  fs.rmSync(path.join(skillPath, 'README.md'));
+
+  const plain = await validateSkill(skillPath);
+  assert.equal(findCheck(plain, 'has_changelog').severity, 'info');
+  assert.ok(findCheck(plain, 'file_README.md'));
+
+  writeFiles(dir, {
+    '.skillsbuilderrc.json': JSON.stringify({
+      extends: ['strict'],
+      rules: { has_changelog: 'off', has_contributing: 'error' },
+      ignorePatterns: ['README.md']
+    })
+  });
+  const configured = await validateSkill(skillPath);
+  assert.equal(configured.config, path.join(dir, '.skillsbuilderrc.json'));
+  assert.equal(findCheck(configured, 'has_changelog'), undefined);
+  assert.equal(findCheck(configured, 'has_contributing').severity, 'error');
+  // From the strict preset
+  assert.equal(findCheck(configured, 'has_skill_yml').passed, true);
+  assert.equal(findCheck(configured, 'file_README.md'), undefined);
+  assert.equal(configured.success, false);
+}));
@@ -0,0 +1,51 @@
+/**
+ * Description analysis: rewrite wording and the coverage of generated skills
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyzeDescription } from '../src/analyzer/description.js';
+import { analyzeTriggers } from '../src/analyzer/index.js';
+import { listTemplates } from '../src/generator/templates.js';
+import { withTempDir, createFixtureSkill } from './helpers.js';
+
+const BUILTIN_TEMPLATES = listTemplates().filter(template => template.source === 'built-in').map(template => template.name);
+
+const rewrite = (description, context) => analyzeDescription(description, context).rewrite;
+
+test('uncovered patterns and headings are worded as a "when" clause', () => {
+  assert.equal(
+    rewrite('Formats billing documents. Use when the user exports a ledger.', { patterns: ['demo-skill'] }),
+    'Formats billing documents. Use when the user exports a ledger. Also use when the user mentions demo-skill.'
+  );
+  assert.equal(
+    rewrite('Formats billing documents. Use when the user exports a ledger.', {
+      patterns: ['demo-skill', 'the user wants to print an invoice'],
+      headings: [{ text: 'Tax rules', line: 5 }]
+    }),
+    'Formats billing documents. Use when the user exports a ledger. Also use when the user mentions demo-skill, asks about tax rules or wants to print an invoice.'
+  );
+  assert.equal(
+    rewrite('Formats billing documents for "print the invoice" requests.'),
+    'Formats billing documents for "print the invoice" requests. Use when the user mentions "print the invoice".'
+  );
+});
+
+for (const template of BUILTIN_TEMPLATES) {
+  test(`create --template ${template} leaves no trigger coverage gap`, () => withTempDir(async (dir) => {
+    const plain = analyzeTriggers(await createFixtureSkill(dir, 'demo-skill', { template }));
+    assert.deepEqual(plain.coverage.patterns.filter(pattern => !pattern.covered), []);
+    assert.deepEqual(plain.coverage.headings.filter(heading => !heading.covered), []);
+    assert.equal(plain.rewrite, null);
+
+    // Triggers that never name the skill
+    const described = analyzeTriggers(await createFixtureSkill(dir, 'invoice-helper', {
+      template,
+      purpose: 'Formats billing documents',
+      triggers: ['the user exports a ledger']
+    }));
+    assert.deepEqual(described.coverage.patterns.filter(pattern => !pattern.covered), []);
+    assert.deepEqual(described.coverage.headings.filter(heading => !heading.covered), []);
+    assert.equal(described.rewrite, null);
+  }));
+}
@@ -0,0 +1,61 @@
+/**
+ * Autofix: `check --fix` and the `--fix-dry-run` diff
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { fixSkill } from '../src/validator/fix.js';
+import { withTempDir, writeFiles, createFixtureSkill } from './helpers.js';
+
+const findCheck = (results, name) => results.checks.find(check => check.name === name);
+
+/**
+ * A fixture skill with no license in its frontmatter, no dist/ in .gitignore
+ * and no CHANGELOG.md
+ */
+async function createBrokenSkill(dir) {
+  const skillPath = await createFixtureSkill(dir);
+  const skillMd = fs.readFileSync(path.join(skillPath, 'SKILL.md'), 'utf-8');
+  writeFiles(skillPath, {
+    'SKILL.md': skillMd.replace(/^license: .*\n/m, ''),
+    '.gitignore': 'node_modules/\n'
+  });
+  return skillPath;
+}
+
+test('--fix-dry-run reports a diff and writes nothing', () => withTempDir(async (dir) => {
+  const skillPath = await createBrokenSkill(dir);
+  const skillMd = fs.readFileSync(path.join(skillPath, 'SKILL.md'), 'utf-8');
+
+  const result = await fixSkill(skillPath, { dryRun: true });
+
+  assert.equal(result.dryRun, true);
+  assert.deepEqual([...result.changes].sort(), ['.gitignore', 'CHANGELOG.md', 'SKILL.md']);
+  assert.match(result.diff, /^--- a\/\.gitignore\n\+\+\+ b\/\.gitignore\n@@ -1,1 \+1,4 @@\n node_modules\/\n\+\n\+# Build output\n\+\/dist$/m);
+  assert.match(result.diff, /^--- a\/SKILL\.md\n\+\+\+ b\/SKILL\.md\n/m);
+  assert.match(result.diff, /^\+license: MIT$/m);
+  assert.match(result.diff, /^--- \/dev\/null\n\+\+\+ b\/CHANGELOG\.md\n/m);
+  assert.equal(fs.existsSync(path.join(skillPath, 'CHANGELOG.md')), false);
+
+  assert.equal(fs.readFileSync(path.join(skillPath, '.gitignore'), 'utf-8'), 'node_modules/\n');
+  assert.equal(fs.readFileSync(path.join(skillPath, 'SKILL.md'), 'utf-8'), skillMd);
+}));
+
+test('--fix rewrites the files and the checks pass afterwards', () => withTempDir(async (dir) => {
+  const skillPath = await createBrokenSkill(dir);
+
+  const result = await fixSkill(skillPath);
+
+  assert.equal(result.dryRun, false);
+  assert.equal(fs.readFileSync(path.join(skillPath, '.gitignore'), 'utf-8'), 'node_modules/\n\n# Build output\n/dist\n');
+  const frontmatter = fs.readFileSync(path.join(skillPath, 'SKILL.md'), 'utf-8').split('---')[1];
+  assert.match(frontmatter, /^license: MIT$/m);
+  assert.ok(fs.existsSync(path.join(skillPath, 'CHANGELOG.md')));
+
+  assert.equal(findCheck(result.results, 'ignores_dist').passed, true);
+  assert.equal(findCheck(result.results, 'frontmatter_has_license').passed, true);
+  const fixed = result.results.fixes.fixed.map(entry => entry.name).sort();
+  assert.deepEqual(fixed, ['frontmatter_has_license', 'has_changelog', 'ignores_dist']);
+}));
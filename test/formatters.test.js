@@ -0,0 +1,92 @@
+/**
+ * Machine-readable output: SARIF, JUnit XML and the HTML report
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { validateSkill } from '../src/validator/index.js';
+import { formatOutput } from '../src/validator/formatters/index.js';
+import { withTempDir, createFixtureSkill } from './helpers.js';
+
+/**
+ * A fixture skill whose frontmatter name (SKILL.md line 2) is not kebab-case
+ */
+async function validateBrokenSkill(dir) {
+  const skillPath = await createFixtureSkill(dir);
+  const file = path.join(skillPath, 'SKILL.md');
+  fs.writeFileSync(file, fs.readFileSync(file, 'utf-8').replace(/^name: .*$/m, 'name: Bad_Name'));
+  return validateSkill(skillPath);
+}
+
+/**
+ * Check that XML is well formed: balanced tags and no bare `<` or `&` in text
+ */
+function assertWellFormedXml(xml) {
+  const body = xml.replace(/^<\?xml [^?]*\?>\n/, '');
+  const stack = [];
+  const tokens = body.split(/(<[^>]*>)/);
+  for (const token of tokens) {
+    if (!token.startsWith('<')) {
+      assert.doesNotMatch(token, /<|&(?!(?:amp|lt|gt|quot|apos);)/, `bare markup in text: ${token}`);
+      continue;
+    }
+    const tag = token.match(/^<(\/?)([\w-]+)((?:\s+[\w-]+="[^"<]*")*)\s*(\/?)>$/);
+    assert.ok(tag, `malformed tag: ${token}`);
+    const [, closing, name, , selfClosing] = tag;
+    if (closing) {
+      assert.equal(stack.pop(), name);
+    } else if (!selfClosing) {
+      stack.push(name);
+    }
+  }
+  assert.deepEqual(stack, []);
+}
+
+test('SARIF is valid JSON with a result pointing at the failing line', () => withTempDir(async (dir) => {
+  const results = await validateBrokenSkill(dir);
+  const sarif = JSON.parse(formatOutput(results, 'sarif'));
+
+  assert.equal(sarif.version, '2.1.0');
+  const [run] = sarif.runs;
+  const result = run.results.find(entry => entry.ruleId === 'SKILL.md/frontmatter_name_format');
+  assert.equal(result.level, 'error');
+  assert.equal(run.tool.driver.rules[result.ruleIndex].id, result.ruleId);
+
+  const { physicalLocation } = result.locations[0];
+  const expectedUri = path.relative(process.cwd(), path.join(results.skillPath, 'SKILL.md')).split(path.sep).join('/');
+  assert.equal(physicalLocation.artifactLocation.uri, expectedUri);
+  assert.deepEqual(physicalLocation.region, { startLine: 2, startColumn: 1 });
+
+  // Info-level hints become notes; passed checks are left out
+  assert.ok(run.results.some(entry => entry.level === 'note'));
+  assert.equal(run.results.length, results.checks.filter(check => !check.passed).length);
+}));
+
+test('JUnit XML is well formed with a failure at the failing line', () => withTempDir(async (dir) => {
+  const results = await validateBrokenSkill(dir);
+  const xml = formatOutput(results, 'junit');
+
+  assertWellFormedXml(xml);
+  assert.match(xml, /^<testsuites name="skills-builder: fixture-skill" tests="\d+" failures="1">$/m);
+  const testcase = xml.match(/<testcase name="frontmatter_name_format"[^>]*>\n\s*<failure [^>]*>([^<]*)<\/failure>/);
+  assert.ok(testcase, 'frontmatter_name_format should be a failure');
+  assert.match(testcase[0], /file="SKILL\.md"/);
+  assert.match(testcase[1], /^SKILL\.md:2:1: name should be kebab-case/);
+  assert.equal((xml.match(/<testcase /g) || []).length, results.checks.length);
+}));
+
+test('the HTML report is self-contained and shows the location', () => withTempDir(async (dir) => {
+  const results = await validateBrokenSkill(dir);
+  const html = formatOutput(results, 'html');
+
+  assert.match(html, /^<!DOCTYPE html>/i);
+  assert.match(html, /<\/html>\s*$/);
+  assert.doesNotMatch(html, /<(?:script|link)\b[^>]*\b(?:src|href)="https?:/);
+
+  const check = html.match(/<details class="check error" open>[\s\S]*?<\/details>/);
+  assert.ok(check, 'the failing check should be rendered open');
+  assert.match(check[0], /<code>frontmatter_name_format<\/code>/);
+  assert.match(check[0], /<p class="location"><code>SKILL\.md:2:1<\/code><\/p>/);
+}));
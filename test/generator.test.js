@@ -0,0 +1,74 @@
+/**
+ * Generated skills pass their own validation
+ *
+ * Every built-in template, with and without a marketplace, and `init` in an
+ * empty directory must produce a skill that `check` reports no errors for,
+ * with no build scripts or directories for code the template does not ship.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { createSkill } from '../src/generator/index.js';
+import { initSkill } from '../src/generator/init.js';
+import { listTemplates } from '../src/generator/templates.js';
+import { validateSkill } from '../src/validator/index.js';
+import { withTempDir, describeErrors } from './helpers.js';
+
+const BUILTIN_TEMPLATES = listTemplates().filter(template => template.source === 'built-in').map(template => template.name);
+
+test('there are built-in templates to check', () => {
+  assert.ok(BUILTIN_TEMPLATES.length > 0);
+});
+
+for (const template of BUILTIN_TEMPLATES) {
+  test(`create --template ${template} passes check with zero errors`, () => withTempDir(async (dir) => {
+    const created = await createSkill(`sample-${template}`, { path: dir, template, interactive: false });
+    assert.equal(created.success, true, created.error);
+
+    const results = await validateSkill(created.skillPath);
+    assert.equal(results.errors.length, 0, describeErrors(results));
+  }));
+
+  test(`create --template ${template} --marketplace skillsmp passes check with zero errors`, () => withTempDir(async (dir) => {
+    const created = await createSkill(`listed-${template}`, {
+      path: dir,
+      template,
+      interactive: false,
+      marketplace: 'skillsmp',
+      categories: ['documentation'],
+      repository: 'https://github.com/example/listed-skill',
+      author: 'Example Author'
+    });
+    assert.equal(created.success, true, created.error);
+
+    const results = await validateSkill(created.skillPath, { target: 'skillsmp' });
+    assert.equal(results.errors.length, 0, describeErrors(results));
+  }));
+}
+
+test('init in an empty directory passes check with zero errors', () => withTempDir(async (dir) => {
+  const skillPath = path.join(dir, 'fresh-skill');
+  fs.mkdirSync(skillPath);
+  const initialized = await initSkill(skillPath);
+  assert.equal(initialized.success, true, initialized.errors?.join('\n'));
+
+  const results = await validateSkill(skillPath);
+  assert.equal(results.errors.length, 0, describeErrors(results));
+}));
+
+test('create adds only the scripts and directories the template ships', () => withTempDir(async (dir) => {
+  const created = await createSkill('plain-skill', { path: dir, template: 'basic', interactive: false });
+  assert.equal(created.success, true, created.error);
+
+  const packageJson = JSON.parse(fs.readFileSync(path.join(created.skillPath, 'package.json'), 'utf-8'));
+  assert.deepEqual(Object.keys(packageJson.scripts), ['build', 'dev']);
+  assert.equal(fs.existsSync(path.join(created.skillPath, 'dist')), false);
+  assert.equal(fs.existsSync(path.join(created.skillPath, 'locales')), false);
+  assert.equal(created.message, `✅ Created plain-skill in ${created.skillPath}`);
+
+  const analyzer = await createSkill('analyzer-skill', { path: dir, template: 'analyzer', interactive: false });
+  const analyzerPackage = JSON.parse(fs.readFileSync(path.join(analyzer.skillPath, 'package.json'), 'utf-8'));
+  assert.deepEqual(Object.keys(analyzerPackage.scripts), ['build', 'build:analyzer', 'build:all', 'dev']);
+}));
@@ -0,0 +1,57 @@
+/**
+ * Test Helpers
+ *
+ * Temporary directories and small fixture skills shared by the tests.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createSkill } from '../src/generator/index.js';
+
+/**
+ * Run `fn` with a fresh temporary directory, removed afterwards
+ */
+export async function withTempDir(fn) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'skills-builder-test-'));
+  try {
+    return await fn(dir);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Write files given as { "relative/path": content } below `dir`
+ *
+ * A `{ content, mode }` value sets the file mode as well.
+ */
+export function writeFiles(dir, files) {
+  for (const [file, value] of Object.entries(files)) {
+    const target = path.join(dir, file);
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    const { content, mode } = typeof value === 'string' ? { content: value } : value;
+    fs.writeFileSync(target, content);
+    if (mode !== undefined) {
+      fs.chmodSync(target, mode);
+    }
+  }
+}
+
+/**
+ * Create a skill with `create --no-interactive` in `dir`; returns its path
+ */
+export async function createFixtureSkill(dir, name = 'fixture-skill', options = {}) {
+  const created = await createSkill(name, { path: dir, interactive: false, ...options });
+  if (!created.success) {
+    throw new Error(created.error);
+  }
+  return created.skillPath;
+}
+
+/**
+ * Failed error-severity checks, as "category/name: message" lines
+ */
+export function describeErrors(results) {
+  return results.errors.map(check => `${check.category}/${check.name}: ${check.message}`).join('\n');
+}
@@ -0,0 +1,83 @@
+/**
+ * `init` in existing projects: the module system, CLI commands and SKILL.md sources
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { initSkill } from '../src/generator/init.js';
+import { withTempDir, writeFiles } from './helpers.js';
+
+const findEntry = (results, file, field) => results.report.find(entry => entry.file === file && entry.field === field);
+const readPackageJson = (dir) => JSON.parse(fs.readFileSync(path.join(dir, 'package.json'), 'utf-8'));
+
+const COMMONJS_CLI = `#!/usr/bin/env node
+const yargs = require('yargs');
+
+yargs(process.argv.slice(2))
+  .command('build', 'Build it')
+  .command('serve [port]', 'Serve it')
+  .parse();
+`;
+
+test('a CommonJS bin target keeps the package out of ES modules', () => withTempDir(async (dir) => {
+  writeFiles(dir, {
+    'package.json': JSON.stringify({ name: 'tool', bin: { tool: 'bin/tool.js' } }),
+    'bin/tool.js': COMMONJS_CLI
+  });
+
+  const results = await initSkill(dir);
+
+  assert.equal(results.success, true, results.errors.join('\n'));
+  const type = findEntry(results, 'package.json', 'type');
+  assert.equal(type.status, 'conflict');
+  assert.match(type.reason, /^bin\/tool\.js is CommonJS/);
+  assert.equal(readPackageJson(dir).type, undefined);
+
+  // The commands come from the bin entry
+  const skillYml = fs.readFileSync(path.join(dir, '.skill.yml'), 'utf-8');
+  assert.match(skillYml, /- name: build\n/);
+  assert.match(skillYml, /- name: serve\n/);
+}));
+
+test('any CommonJS .js file outside node_modules counts', () => withTempDir(async (dir) => {
+  writeFiles(dir, {
+    'package.json': JSON.stringify({ name: 'lib-tool', main: 'index.mjs' }),
+    'index.mjs': 'export const answer = 42;\n',
+    'lib/util.js': 'module.exports = { answer: 42 };\n',
+    'node_modules/dep/index.js': 'module.exports = {};\n'
+  });
+
+  const results = await initSkill(dir);
+
+  const type = findEntry(results, 'package.json', 'type');
+  assert.equal(type.status, 'conflict');
+  assert.match(type.reason, /^lib\/util\.js is CommonJS/);
+}));
+
+test('an ES module project gets "type": "module"', () => withTempDir(async (dir) => {
+  writeFiles(dir, {
+    'package.json': JSON.stringify({ name: 'esm-tool', main: 'index.js' }),
+    'index.js': "import fs from 'fs';\nexport const read = (file) => fs.readFileSync(file);\n",
+    'node_modules/dep/index.js': 'module.exports = {};\n'
+  });
+
+  const results = await initSkill(dir);
+
+  assert.equal(findEntry(results, 'package.json', 'type').status, 'added');
+  assert.equal(readPackageJson(dir).type, 'module');
+}));
+
+test('the SKILL.md report names where the title and description came from', () => withTempDir(async (dir) => {
+  writeFiles(dir, {
+    'package.json': JSON.stringify({ name: 'described', description: 'Formats invoices as PDF files' }),
+    'README.md': '# Invoice Formatter\n\nTurns invoice data into printable documents.\n'
+  });
+  const fromPackage = await initSkill(dir, { dryRun: true });
+  assert.equal(findEntry(fromPackage, 'SKILL.md', null).reason, 'title from README.md, description from package.json');
+
+  writeFiles(dir, { 'package.json': JSON.stringify({ name: 'described' }) });
+  const fromReadme = await initSkill(dir, { dryRun: true });
+  assert.equal(findEntry(fromReadme, 'SKILL.md', null).reason, 'title and description from README.md');
+}));
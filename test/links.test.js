@@ -0,0 +1,108 @@
+/**
+ * The links rule: broken links, anchors, directory links and orphaned resources
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { validateSkill } from '../src/validator/index.js';
+import { withTempDir, writeFiles, createFixtureSkill } from './helpers.js';
+
+/**
+ * Replace a fixture skill's SKILL.md body, keeping its frontmatter
+ *
+ * Returns the body's first line number.
+ */
+function writeBody(skillPath, body) {
+  const skillMd = fs.readFileSync(path.join(skillPath, 'SKILL.md'), 'utf-8');
+  const frontmatter = skillMd.slice(0, skillMd.indexOf('\n---\n') + 5);
+  writeFiles(skillPath, { 'SKILL.md': `${frontmatter}${body}` });
+  return frontmatter.split('\n').length;
+}
+
+const failed = (results) => results.checks
+  .filter(check => check.category === 'links' && !check.passed)
+  .map(({ name, severity, message, location }) => ({ name, severity, message, location }));
+
+test('broken links and missing anchors are errors at their position', () => withTempDir(async (dir) => {
+  const skillPath = await createFixtureSkill(dir);
+  const first = writeBody(skillPath, [
+    '# Fixture Skill',
+    '',
+    '## Setup',
+    '',
+    'Read [the API notes](references/api.md) when you call the API.',
+    'Read [the old notes](references/missing.md) when you need them.',
+    'Jump back to [setup](#setup) or to [nowhere](#nowhere).',
+    'Check [API errors](references/api.md#errors) or [API limits](references/api.md#limits) when a call fails.',
+    ''
+  ].join('\n'));
+  writeFiles(skillPath, { 'references/api.md': '# API\n\n## Errors\n\nEvery error code.\n' });
+
+  const results = await validateSkill(skillPath);
+
+  assert.deepEqual(failed(results), [
+    {
+      name: 'links_resolve',
+      severity: 'error',
+      message: 'Broken link: references/missing.md does not exist',
+      location: { file: 'SKILL.md', line: first + 5, column: 6 }
+    },
+    {
+      name: 'anchors_resolve',
+      severity: 'error',
+      message: '#nowhere: SKILL.md has no heading for #nowhere',
+      location: { file: 'SKILL.md', line: first + 6, column: 36 }
+    },
+    {
+      name: 'anchors_resolve',
+      severity: 'error',
+      message: 'references/api.md#limits: references/api.md has no heading for #limits',
+      location: { file: 'SKILL.md', line: first + 7, column: 49 }
+    }
+  ]);
+}));
+
+test('self anchors and references/ directory links resolve', () => withTempDir(async (dir) => {
+  const skillPath = await createFixtureSkill(dir);
+  writeBody(skillPath, [
+    '# Fixture Skill',
+    '',
+    '## Step 1: Setup',
+    '',
+    'Go back to [the setup](#step-1-setup) before you retry.',
+    'Browse [all references](references/) when you need background.',
+    ''
+  ].join('\n'));
+  writeFiles(skillPath, { 'references/api.md': '# API\n' });
+
+  const results = await validateSkill(skillPath);
+
+  assert.deepEqual(failed(results), []);
+  const passed = results.checks.filter(check => check.category === 'links' && check.passed).map(check => check.name);
+  assert.deepEqual(passed.sort(), ['anchors_resolve', 'links_resolve', 'resources_referenced']);
+}));
+
+test('a script nothing links to is an orphan', () => withTempDir(async (dir) => {
+  const skillPath = await createFixtureSkill(dir);
+  writeBody(skillPath, [
+    '# Fixture Skill',
+    '',
+    'Run [scripts/used.sh](scripts/used.sh) when you need a report.',
+    ''
+  ].join('\n'));
+  writeFiles(skillPath, {
+    'scripts/used.sh': { content: '#!/bin/sh\necho used\n', mode: 0o755 },
+    'scripts/orphan.sh': { content: '#!/bin/sh\necho orphan\n', mode: 0o755 }
+  });
+
+  const results = await validateSkill(skillPath);
+
+  assert.deepEqual(failed(results), [{
+    name: 'resources_referenced',
+    severity: 'warning',
+    message: 'scripts/orphan.sh is not referenced from SKILL.md or its references; link it and say when to use it, or remove it',
+    location: { file: 'scripts/orphan.sh' }
+  }]);
+}));
@@ -0,0 +1,87 @@
+/**
+ * The scripts rule: module type, syntax, risky patterns and the executable bit
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'child_process';
+import { analyzeScript, scanScript } from '../src/analyzer/scripts.js';
+import { validateSkill } from '../src/validator/index.js';
+import { withTempDir, writeFiles, createFixtureSkill } from './helpers.js';
+
+const hasBash = spawnSync('bash', ['--version']).status === 0;
+
+const findingsOf = (content, interpreter = 'bash') => scanScript(content, interpreter)
+  .map(({ check, severity, line, message }) => ({ check, severity, line, message }));
+
+test('.js scripts parse as the nearest package.json "type" says', () => withTempDir(async (dir) => {
+  const skillPath = await createFixtureSkill(dir);
+  writeFiles(skillPath, {
+    'scripts/report.js': { content: "#!/usr/bin/env node\nimport fs from 'fs';\nconsole.log(fs.existsSync('.'));\n", mode: 0o755 }
+  });
+  const syntaxCheck = (results) => results.checks.find(check => check.name === 'script_syntax');
+
+  // The fixture's package.json has "type": "module"
+  assert.equal(syntaxCheck(await validateSkill(skillPath)).passed, true);
+
+  writeFiles(skillPath, { 'scripts/package.json': JSON.stringify({ type: 'commonjs' }) });
+  const commonjs = syntaxCheck(await validateSkill(skillPath));
+  assert.equal(commonjs.passed, false);
+  assert.equal(commonjs.severity, 'error');
+  assert.match(commonjs.message, /^scripts\/report\.js does not parse: /);
+  assert.equal(commonjs.location.line, 2);
+}));
+
+test('bash -n errors carry their line', { skip: !hasBash && 'bash is not installed' }, () => {
+  const script = analyzeScript({ file: 'scripts/build.sh', content: '#!/usr/bin/env bash\necho start\nfi\necho done\n', mode: 0o755 });
+  assert.equal(script.syntax.line, 3);
+  assert.match(script.syntax.message, /syntax error near unexpected token `fi'/);
+});
+
+test('curl | sh and eval of the arguments are errors', () => {
+  assert.deepEqual(findingsOf('#!/bin/sh\ncurl -fsSL https://get.example.com | sh\neval "$1"\n'), [
+    { check: 'curl_pipe_shell', severity: 'error', line: 2, message: 'Runs a downloaded script (curl | sh); vendor it into scripts/ or verify a checksum' },
+    { check: 'eval_input', severity: 'error', line: 3, message: 'eval of the script arguments or input runs arbitrary commands' }
+  ]);
+  // Evaluating a constant is not input
+  assert.deepEqual(findingsOf('eval "set -x"\n'), []);
+});
+
+test('writes outside the skill warn, and error on system paths', () => {
+  const writes = (content, interpreter) => scanScript(content, interpreter)
+    .filter(finding => finding.check === 'write_outside_skill')
+    .map(({ severity, message }) => ({ severity, message }));
+
+  assert.deepEqual(writes('cp report.txt ../shared/\n', 'bash'), [
+    { severity: 'warning', message: 'Writes outside the skill directory (../shared/)' }
+  ]);
+  assert.deepEqual(writes('echo 1 > /etc/hosts\n', 'bash'), [
+    { severity: 'error', message: 'Writes outside the skill directory (/etc/hosts)' }
+  ]);
+  assert.deepEqual(writes("open('/srv/exports/out.csv', 'w')\n", 'python'), [
+    { severity: 'warning', message: 'Writes outside the skill directory (/srv/exports/out.csv)' }
+  ]);
+  assert.deepEqual(writes("fs.writeFileSync(path.join(os.homedir(), 'notes'), text);\n", 'node'), [
+    { severity: 'warning', message: 'Writes outside the skill directory' }
+  ]);
+  // Temporary files and /dev/null are fine
+  assert.deepEqual(writes('echo 1 > /tmp/out.txt\nrun 2> /dev/null\n', 'bash'), []);
+});
+
+test('a script without the executable bit warns', () => {
+  const content = '#!/usr/bin/env python3\nprint("ok")\n';
+  const checks = (mode) => analyzeScript({ file: 'scripts/run.py', content, mode }).findings.map(finding => finding.check);
+
+  const script = analyzeScript({ file: 'scripts/run.py', content, mode: 0o644 });
+  assert.equal(script.executable, false);
+  assert.deepEqual(script.findings, [{
+    check: 'script_executable',
+    severity: 'warning',
+    line: 1,
+    column: 1,
+    message: 'Not executable: run "chmod +x scripts/run.py"'
+  }]);
+  assert.deepEqual(checks(0o755), []);
+  // Where modes mean nothing (Windows) there is nothing to check
+  assert.deepEqual(checks(null), []);
+});
@@ -0,0 +1,52 @@
+/**
+ * `update` writes every change or none of them
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { updateSkill } from '../src/generator/update.js';
+import { withTempDir, createFixtureSkill } from './helpers.js';
+
+const readJson = (skillPath, file) => JSON.parse(fs.readFileSync(path.join(skillPath, file), 'utf-8'));
+
+test('a successful update writes polyglot.json and package.json', () => withTempDir(async (dir) => {
+  const skillPath = await createFixtureSkill(dir);
+
+  const result = await updateSkill(skillPath, { addLanguage: 'fr', addDependency: 'chalk@5.3.0' });
+
+  assert.equal(result.success, true, result.errors.join('\n'));
+  assert.equal(result.updated.length, 2);
+  assert.match(result.message, /^✅ Updated 2 item\(s\)/);
+  for (const entry of Object.values(readJson(skillPath, 'polyglot.json'))) {
+    assert.equal(entry.fr, '');
+  }
+  assert.equal(readJson(skillPath, 'package.json').dependencies.chalk, '^5.3.0');
+}));
+
+test('a missing file fails the update and nothing is written', () => withTempDir(async (dir) => {
+  const skillPath = await createFixtureSkill(dir);
+  fs.rmSync(path.join(skillPath, 'polyglot.json'));
+  const packageJson = fs.readFileSync(path.join(skillPath, 'package.json'), 'utf-8');
+
+  const result = await updateSkill(skillPath, { addLanguage: 'fr', addDependency: 'chalk@5.3.0' });
+
+  assert.equal(result.success, false);
+  assert.deepEqual(result.errors, ['polyglot.json not found']);
+  assert.deepEqual(result.updated, []);
+  assert.equal(result.message, '❌ Update failed, nothing was changed');
+  assert.equal(fs.readFileSync(path.join(skillPath, 'package.json'), 'utf-8'), packageJson);
+}));
+
+test('an unparseable file fails the update and nothing is written', () => withTempDir(async (dir) => {
+  const skillPath = await createFixtureSkill(dir);
+  fs.writeFileSync(path.join(skillPath, 'package.json'), '{ not json');
+  const polyglot = fs.readFileSync(path.join(skillPath, 'polyglot.json'), 'utf-8');
+
+  const result = await updateSkill(skillPath, { addLanguage: 'fr', addDependency: 'chalk' });
+
+  assert.equal(result.success, false);
+  assert.match(result.errors[0], /^Failed to update package\.json/);
+  assert.equal(fs.readFileSync(path.join(skillPath, 'polyglot.json'), 'utf-8'), polyglot);
+}));